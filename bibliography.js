@@ -0,0 +1,145 @@
+// Citations from the free-text "Literature" column.
+//
+// This file has no DOM dependencies. parseLiterature() turns a cell such as
+//   "Storm (1885:491); Hægstad (1906:9; 40-1); Kålund 1889, 263-4"
+// into one entry per cited work:
+//   { author: 'Storm', year: '1885', pages: ['491'], key: 'Storm 1885', label: 'Storm (1885)' }
+// A work is an author plus a year, so the same book cited with different pages
+// in different manuscripts shares one key. Several years inside one pair of
+// parentheses ("Schlyter (1834:XXI; 1862:XL)") are several works by that author;
+// anything else inside them is a page reference. Citations without a year
+// ("DI I, 108-9", "SGL 3") are keyed by the author text alone.
+
+const CITATION_YEAR_RE = /^(?:1[5-9]\d\d|20\d\d)(?:\s*[-–]\s*\d{1,4})?(?!\d)|^s\.\s*a\.(?:\s*\[[^\]]*\])?/i;
+
+// Split on `sep` outside parentheses. Unbalanced closing parentheses are ignored.
+function splitCitationList(text, sep = ';') {
+  const s = String(text || '');
+  const out = [];
+  let depth = 0;
+  let start = 0;
+  for (let i = 0; i < s.length; i++) {
+    const ch = s[i];
+    if (ch === '(') depth += 1;
+    else if (ch === ')') depth = Math.max(0, depth - 1);
+    else if (ch === sep && depth === 0) {
+      out.push(s.slice(start, i));
+      start = i + 1;
+    }
+  }
+  out.push(s.slice(start));
+  return out.map(p => p.trim()).filter(Boolean);
+}
+
+function normalizeCitationAuthor(author) {
+  return String(author || '')
+    .replace(/\s+/g, ' ')
+    .replace(/^[\s\[]+|[\s\]:;,]+$/g, '')
+    .replace(/\s*\bet\.?\s*al\b\.?$/i, ' et al.')
+    .trim();
+}
+
+function normalizeCitationYear(year) {
+  return String(year || '').replace(/\s*[-–]\s*/g, '-').replace(/\s+/g, ' ').trim();
+}
+
+function normalizeCitationPages(pages) {
+  let p = String(pages || '')
+    .replace(/\s+/g, ' ')
+    .replace(/^[\s:;,]+|[\s:;,]+$/g, '');
+  // Drop a parenthesis left over from the enclosing citation.
+  if (p.endsWith(')') && !p.includes('(')) p = p.slice(0, -1).trim();
+  return p;
+}
+
+function getCitationKey(author, year) {
+  return year ? `${author} ${year}` : author;
+}
+
+function getCitationLabel(author, year) {
+  return year ? `${author} (${year})` : author;
+}
+
+// Split one top-level piece into an author and the items that follow it.
+// Returns author '' for pieces that continue the previous citation ("1844:I-XVII", "s. XXXIX").
+function splitCitationPiece(piece) {
+  const s = piece.replace(/^\[+/, '').trim();
+  if (!s) return null;
+  if (!/^[\p{Lu}\p{Lt}]/u.test(s)) return { author: '', items: [s] };
+
+  const open = s.indexOf('(');
+  if (open > 0) {
+    let depth = 0;
+    let close = s.length;
+    for (let i = open; i < s.length; i++) {
+      if (s[i] === '(') depth += 1;
+      else if (s[i] === ')' && --depth === 0) { close = i; break; }
+    }
+    let author = s.slice(0, open);
+    const inner = s.slice(open + 1, close);
+
+    // "Spørck 2006 (226-230)": the year sits before the parentheses.
+    const yearFirst = author.match(/^(.*\D)\s+((?:1[5-9]\d\d|20\d\d)(?:\s*[-–]\s*\d{1,4})?)\s*$/);
+    if (yearFirst && !CITATION_YEAR_RE.test(inner.trim())) {
+      return { author: yearFirst[1], items: [`${yearFirst[2]}: ${inner}`] };
+    }
+    author = author.replace(/[:,]\s*$/, '');
+    return { author, items: splitCitationList(inner) };
+  }
+
+  // No parentheses: "Kålund 1889, 262-263", "Schlyter 1834:VII–VIII", "DI I, 108-9", "SGL 3".
+  const withYear = s.match(/^(.*?\D)\s+((?:1[5-9]\d\d|20\d\d)(?:\s*[-–]\s*\d{1,4})?(?!\d).*)$/);
+  if (withYear) return { author: withYear[1], items: [withYear[2]] };
+  const withPages = s.match(/^(.+?)\s*[:,]\s*(.+)$/);
+  if (withPages) return { author: withPages[1], items: [withPages[2]] };
+  return { author: s, items: [] };
+}
+
+function parseLiterature(text) {
+  const works = [];
+  const byKey = new Map();
+  let current = null;
+
+  const addWork = (author, year) => {
+    const key = getCitationKey(author, year);
+    if (!byKey.has(key)) {
+      const work = { author, year, pages: [], key, label: getCitationLabel(author, year) };
+      byKey.set(key, work);
+      works.push(work);
+    }
+    return byKey.get(key);
+  };
+  const addPages = (work, pages) => {
+    const p = normalizeCitationPages(pages);
+    if (p && /[\p{L}\p{N}]/u.test(p) && !work.pages.includes(p)) work.pages.push(p);
+  };
+
+  for (const piece of splitCitationList(String(text || '').replace(/\r?\n/g, '; '))) {
+    const parsed = splitCitationPiece(piece);
+    if (!parsed) continue;
+
+    // Pieces without an author continue the previous citation ("1844:I-XVII", "s. XXXIX").
+    const continuing = !parsed.author && current;
+    const author = continuing ? current.author : normalizeCitationAuthor(parsed.author || piece);
+    if (!author) continue;
+    const items = (parsed.author || continuing) ? parsed.items : [];
+
+    let work = continuing ? current : null;
+    for (const item of items) {
+      const m = item.match(CITATION_YEAR_RE);
+      if (m) {
+        work = addWork(author, normalizeCitationYear(m[0]));
+        // Anything between the year and a ':' or ',' ("1643 & senare:") is not a page.
+        const rest = item.slice(m[0].length);
+        const sep = rest.search(/[:,]/);
+        if (sep >= 0) addPages(work, rest.slice(sep + 1));
+        continue;
+      }
+      if (!work) work = addWork(author, '');
+      addPages(work, item);
+    }
+    current = work || addWork(author, '');
+  }
+
+  return works;
+}
@@ -0,0 +1,359 @@
+// Dating strings parsed into a list of datings.
+//
+// This file has no DOM dependencies. The catalogue's Dating column mixes the
+// manuscript's own dating with datings of single parts, later additions and
+// other scholars' proposals, e.g.
+//   "1363 (ff. 18-23 1500-1525)"
+//   "1175–1200 (Storm 1885: 491; Hægstad 1906: 9); 1200-1250 (Eithun et.al 1994:15)"
+//   "1400-1430 (SGL 1475-1500)"
+// parseDating() returns one entry per dating:
+//   {
+//     range:     { min, max }       years; open-ended datings ("after 1590") keep one year
+//     text:      the dating as written, e.g. "1300–25"
+//     qualifier: '' | 'circa' | 'ante' | 'post' | 'uncertain' | 'inferred'
+//     locus:     folios or hands it applies to, e.g. "ff. 18-23" ('' = whole manuscript)
+//     authority: who proposed it, e.g. "Storm 1885: 491" ('' = not given)
+//     sources:   the authority split per reference: [{ name: 'Storm', reference: 'Storm 1885: 491' }]
+//     role:      'main'        the manuscript's dating (top level of the string)
+//                'part'        dating of the folios in `locus`
+//                'addition'    later additions ("add. from 1400-1450")
+//                'alternative' another proposal for the same object ("SGL 1475-1500")
+//     note:      remaining free text, e.g. "with younger addition on f. 72r-v"
+//   }
+// Only 'main' entries make up the manuscript's range (parseDatingRange()).
+
+// Years outside this window are citations (e.g. "Storm 1885"), not datings.
+const DATING_MIN_YEAR = 500;
+const DATING_MAX_YEAR = 1800;
+
+const DATING_ORDINAL_WORDS = [
+  'first', 'second', 'third', 'fourth', 'fifth', 'sixth', 'seventh', 'eighth', 'ninth', 'tenth',
+  'eleventh', 'twelfth', 'thirteenth', 'fourteenth', 'fifteenth', 'sixteenth', 'seventeenth', 'eighteenth',
+];
+
+// "s. xiv in." etc.: thirds of the century.
+const DATING_CENTURY_PARTS = {
+  'in.': [0, 33],
+  'med.': [34, 66],
+  'ex.': [67, 99],
+  '1/2': [0, 49],
+  '2/2': [50, 99],
+};
+
+const DATING_ADDITION_RE = /\b(?:add\.|additions?|added|younger|later|apart from)/i;
+const DATING_LOCUS_RE = /\bff?\.\s*\d+[rv]?\d*(?:\s*[-–]\s*(?:\d+[rv]?\d*|[rv]))?/gi;
+const DATING_HAND_RE = /^hands?\s+[a-z]\b/i;
+
+function parseDatingRoman(s) {
+  const values = { i: 1, v: 5, x: 10, l: 50 };
+  let total = 0;
+  const t = String(s || '').toLowerCase();
+  for (let i = 0; i < t.length; i++) {
+    const v = values[t[i]];
+    const next = values[t[i + 1]] || 0;
+    if (!v) return null;
+    total += (v < next) ? -v : v;
+  }
+  return total || null;
+}
+
+function centuryRange(century, part) {
+  if (!Number.isFinite(century) || century < 1) return null;
+  const start = (century - 1) * 100;
+  const bounds = DATING_CENTURY_PARTS[String(part || '').toLowerCase()] || [0, 99];
+  return { min: start + bounds[0], max: start + bounds[1] };
+}
+
+// Patterns for one dating, most specific first; each returns { min, max, post? } or null.
+const DATING_PATTERNS = [
+  {
+    re: /\bs\.\s*([ivxl]+)\b\.?(?:\s*(in\.|med\.|ex\.|1\/2|2\/2))?/gi,
+    range: m => centuryRange(parseDatingRoman(m[1]), m[2]),
+  },
+  {
+    re: /\b(\d{1,2})(?:st|nd|rd|th)\s*cent(?:ury|\.)?/gi,
+    range: m => centuryRange(Number(m[1])),
+  },
+  {
+    re: new RegExp(`\\b(${DATING_ORDINAL_WORDS.join('|')})\\s+century`, 'gi'),
+    range: m => centuryRange(DATING_ORDINAL_WORDS.indexOf(m[1].toLowerCase()) + 1),
+  },
+  {
+    re: /\b(\d{2})00s\b/g,
+    range: m => ({ min: Number(m[1]) * 100, max: Number(m[1]) * 100 + 99 }),
+  },
+  {
+    // Full dates, e.g. "4.9.1325".
+    re: /\b\d{1,2}\.\d{1,2}\.(\d{4})\b/g,
+    range: m => ({ min: Number(m[1]), max: Number(m[1]) }),
+  },
+  {
+    // "1300-1350", "1300–25", "1300–!50" (typo in the catalogue), open-ended "1345-".
+    re: /\b(\d{4})(?:\s*[-–]\s*!?(\d{4}|\d{2})\b|\s*[-–](?!\s*!?\d))/g,
+    range: m => {
+      const min = Number(m[1]);
+      if (!m[2]) return { min, max: min, post: true };
+      const max = m[2].length === 2 ? Math.floor(min / 100) * 100 + Number(m[2]) : Number(m[2]);
+      return max >= min ? { min, max } : null;
+    },
+  },
+  {
+    re: /\b(\d{4})\b/g,
+    range: m => ({ min: Number(m[1]), max: Number(m[1]) }),
+  },
+];
+
+// Datings within a piece of text: [{ start, end, text, range, qualifier }], in text order.
+function findDatingTokens(text) {
+  const s = String(text || '');
+  const tokens = [];
+  for (const p of DATING_PATTERNS) {
+    p.re.lastIndex = 0;
+    let m;
+    while ((m = p.re.exec(s)) !== null) {
+      const start = m.index;
+      const end = start + m[0].length;
+      if (tokens.some(t => start < t.end && t.start < end)) continue;
+      const r = p.range(m);
+      if (!r || r.min < DATING_MIN_YEAR || r.max > DATING_MAX_YEAR) continue;
+      tokens.push({ start, end, range: { min: r.min, max: r.max }, post: !!r.post });
+    }
+  }
+  tokens.sort((a, b) => a.start - b.start);
+
+  for (const t of tokens) {
+    const before = s.slice(0, t.start);
+    const after = s.slice(t.end);
+    const prefix = before.match(/(?:\b(ca?|circa|after|post|before|ante)\.?\s*)$/i);
+    if (prefix) t.start -= prefix[0].length;
+    const uncertain = after.match(/^\s*\?/);
+    if (uncertain) t.end += uncertain[0].length;
+
+    const word = prefix ? prefix[1].toLowerCase() : '';
+    if (word === 'after' || word === 'post' || t.post) t.qualifier = 'post';
+    else if (word === 'before' || word === 'ante') t.qualifier = 'ante';
+    else if (word) t.qualifier = 'circa';
+    else if (uncertain) t.qualifier = 'uncertain';
+    else if (/\[\s*$/.test(before)) t.qualifier = 'inferred';
+    else t.qualifier = '';
+    t.text = s.slice(t.start, t.end).trim();
+    delete t.post;
+  }
+  return tokens;
+}
+
+// Split on ";", "," and " / " outside parentheses.
+function splitDatingSegments(s) {
+  const out = [];
+  let depth = 0;
+  let cur = '';
+  for (let i = 0; i < s.length; i++) {
+    const ch = s[i];
+    if (ch === '(') depth++;
+    else if (ch === ')') depth = Math.max(0, depth - 1);
+    if (depth === 0 && (ch === ';' || ch === ',' || (ch === '/' && s[i - 1] === ' ' && s[i + 1] === ' '))) {
+      out.push(cur);
+      cur = '';
+      continue;
+    }
+    cur += ch;
+  }
+  out.push(cur);
+  return out.map(x => x.trim()).filter(Boolean);
+}
+
+// Top-level text and parenthesised groups of one segment, in order: [{ text, group }].
+// Unclosed groups run to the end.
+function splitDatingGroups(s) {
+  const parts = [];
+  let depth = 0;
+  let cur = '';
+  for (const ch of s) {
+    if (ch === '(') {
+      if (depth === 0) {
+        if (cur) parts.push({ text: cur, group: false });
+        cur = '';
+      } else cur += ch;
+      depth++;
+      continue;
+    }
+    if (ch === ')' && depth > 0) {
+      depth--;
+      if (depth > 0) cur += ch;
+      else {
+        parts.push({ text: cur, group: true });
+        cur = '';
+      }
+      continue;
+    }
+    cur += ch;
+  }
+  if (cur) parts.push({ text: cur, group: depth > 0 });
+  return parts;
+}
+
+function cleanDatingText(s) {
+  return String(s || '')
+    .replace(/\s+/g, ' ')
+    .replace(/^[\s,;:.\[\]]+|[\s,;:\[\]]+$/g, '')
+    .replace(/^(?:by|d\.)\s+|\s+(?:by|d\.)$/i, '')
+    .trim();
+}
+
+function extractDatingLoci(s) {
+  const loci = String(s || '').match(DATING_LOCUS_RE) || [];
+  return {
+    locus: loci.map(x => x.replace(/\s+/g, ' ').trim()).join(', '),
+    rest: String(s || '').replace(DATING_LOCUS_RE, ' '),
+  };
+}
+
+// Attach undated text (a source, a locus, "?", a remark) to the entries it belongs to.
+function applyDatingRemark(entries, text) {
+  const t = cleanDatingText(text);
+  if (!t) return;
+  for (const e of entries) {
+    if (t === '?') {
+      if (!e.qualifier) e.qualifier = 'uncertain';
+      continue;
+    }
+    const { locus, rest } = extractDatingLoci(t);
+    const field = (locus && !cleanDatingText(rest)) || DATING_HAND_RE.test(t)
+      ? 'locus'
+      : (/^[A-ZÀ-Þ]/.test(t) ? 'authority' : 'note');
+    e[field] = e[field] ? `${e[field]}; ${t}` : t;
+  }
+}
+
+// Parse one level of text: dated groups become entries of their own, the rest
+// describes the datings found at this level (or, when there are none, the
+// datings of the enclosing level: "1375–1400 (Rindal 1983, 23 (1450 by Storm 1885))").
+function parseDatingLevel(text, role, out, parentEntries = []) {
+  const parts = splitDatingGroups(text);
+  const dated = [];
+  let inline = '';
+  for (const p of parts) {
+    if (p.group && findDatingTokens(extractDatingLoci(p.text).rest).length) {
+      dated.push(p.text);
+      inline += ' ';
+    } else {
+      inline += p.group ? `(${p.text})` : p.text;
+    }
+  }
+
+  // Loci of a main dating come from its remarks, e.g. "1250 (ff. 14-93)".
+  const { locus, rest } = role === 'main' ? { locus: '', rest: inline } : extractDatingLoci(inline);
+  const tokens = findDatingTokens(rest);
+  let remainder = rest;
+  for (const t of tokens.slice().reverse()) remainder = remainder.slice(0, t.start) + ' ' + remainder.slice(t.end);
+
+  const entries = tokens.map(t => ({
+    range: t.range,
+    text: t.text,
+    qualifier: t.qualifier,
+    locus,
+    authority: '',
+    role,
+    note: '',
+  }));
+  out.push(...entries);
+
+  if (entries.length && (role === 'part' || role === 'addition')) {
+    // Keep the full wording, e.g. "apart from ff.120-121 that were written in 1600".
+    if (cleanDatingText(remainder)) {
+      const note = cleanDatingText(text);
+      for (const e of entries) e.note = note;
+    }
+  } else {
+    // "Seip (1955:237; 218): 1350–70" is one source; "1589 (Storm 1885) (?)" are two remarks.
+    const target = entries.length ? entries : parentEntries;
+    const rParts = splitDatingGroups(remainder);
+    if (rParts.some(p => !p.group && cleanDatingText(p.text))) applyDatingRemark(target, remainder);
+    else for (const p of rParts) if (p.group) applyDatingRemark(target, p.text);
+  }
+
+  for (const g of dated) {
+    const subRole = DATING_ADDITION_RE.test(g) ? 'addition' : (extractDatingLoci(g).locus ? 'part' : 'alternative');
+    parseDatingLevel(g, subRole, out, entries.length ? entries : parentEntries);
+  }
+  return entries;
+}
+
+function parseDating(dating) {
+  if (dating === null || dating === undefined) return [];
+  const s = String(dating).trim();
+  if (!s) return [];
+  const out = [];
+  for (const seg of splitDatingSegments(s)) parseDatingLevel(seg, 'main', out);
+  for (const e of out) e.sources = splitDatingAuthorities(e.authority);
+  return out;
+}
+
+// "Eithun et.al 1994:15" => "Eithun", "Stefán Karlsson pers. 1983" => "Stefán Karlsson".
+function getDatingAuthorityName(reference) {
+  return String(reference || '')
+    .split(/[\d(:,]/)[0]
+    .replace(/\s+(?:et\.?\s*al\.?|pers\.)\s*$/i, '')
+    .replace(/[\s.;&]+$/, '')
+    .trim();
+}
+
+// "Storm 1885: 491; Hægstad 1906: 9" => one source per reference. Pieces that do not
+// start with a name ("Seip 1966; 91", "Kålund 1905; nr. 41") belong to the one before.
+function splitDatingAuthorities(text) {
+  const pieces = [];
+  let depth = 0;
+  let cur = '';
+  for (const ch of String(text || '')) {
+    if (ch === '(') depth++;
+    else if (ch === ')') depth = Math.max(0, depth - 1);
+    if (depth === 0 && (ch === ';' || ch === ',')) {
+      pieces.push(cur, ch);
+      cur = '';
+      continue;
+    }
+    cur += ch;
+  }
+  pieces.push(cur);
+
+  const refs = [];
+  for (let i = 0; i < pieces.length; i += 2) {
+    const piece = pieces[i].trim();
+    if (!piece) continue;
+    if (refs.length && !/^[A-ZÀ-Þ]/.test(piece)) refs[refs.length - 1] += `${pieces[i - 1]} ${piece}`;
+    else refs.push(piece);
+  }
+  return refs
+    .map(reference => ({ name: getDatingAuthorityName(reference), reference }))
+    .filter(src => src.name);
+}
+
+// 'union': earliest start to latest end. 'intersection': the years all datings
+// share, or null when they do not overlap.
+function combineDatingRanges(entries, how = 'union') {
+  const list = (entries || []).filter(e => e && e.range);
+  if (!list.length) return null;
+  const mins = list.map(e => e.range.min);
+  const maxs = list.map(e => e.range.max);
+  if (how === 'intersection') {
+    const min = Math.max(...mins);
+    const max = Math.min(...maxs);
+    return min <= max ? { min, max } : null;
+  }
+  return { min: Math.min(...mins), max: Math.max(...maxs) };
+}
+
+// Overall year range of a Dating string: the span of its main datings
+// (or of the alternatives when there is no main dating).
+// Example: "1363 (ff. 18-23 1500-1525)" => { min: 1363, max: 1363 }
+function parseDatingRange(dating) {
+  const entries = parseDating(dating);
+  const main = entries.filter(e => e.role === 'main');
+  return combineDatingRanges(main.length ? main : entries.filter(e => e.role === 'alternative'));
+}
+
+// Improved: parse a Dating string to a year (earliest year in the Dating string).
+function parseDatingYear(dating) {
+  const r = parseDatingRange(dating);
+  return r ? r.min : null;
+}
@@ -0,0 +1,79 @@
+// Physical dimensions from the "Full size" and "Leaf size" columns.
+//
+// This file has no DOM dependencies. The columns hold height x width (x thickness),
+// normally in millimetres:
+//   "425x285", "210x155x26", "355-360x267-270", "ca. 245x168", "246 x 195"
+// A few are in centimetres ("24,5x17", "21x15,8x7,6") and are converted.
+// parseDimensions() returns
+//   { height: { min, max }, width: { min, max }, thickness: { min, max } | null, approx }
+// in millimetres, or null for "Unknown" and anything else it cannot read.
+
+// A height below this (in the value's own unit) means the value is in centimetres.
+const DIMENSIONS_CM_BELOW = 50;
+// Height / width outside this range is taken as a data entry error (e.g. "110x550").
+const DIMENSIONS_PROPORTION_MIN = 0.5;
+const DIMENSIONS_PROPORTION_MAX = 2.2;
+
+// "24,5" -> 24.5, "-149" (a stray dash) -> 149
+function parseDimensionNumber(text) {
+  const s = String(text || '').trim().replace(/^[-–]\s*/, '').replace(',', '.');
+  if (!/^\d+(?:\.\d+)?$/.test(s)) return null;
+  return Number(s);
+}
+
+// "355-360" -> { min: 355, max: 360 }
+function parseDimensionRange(text) {
+  const s = String(text || '').trim();
+  const m = s.match(/^(\d+(?:[.,]\d+)?)\s*[-–]\s*(\d+(?:[.,]\d+)?)$/);
+  if (m) {
+    const a = parseDimensionNumber(m[1]);
+    const b = parseDimensionNumber(m[2]);
+    return { min: Math.min(a, b), max: Math.max(a, b) };
+  }
+  const n = parseDimensionNumber(s);
+  return (n === null) ? null : { min: n, max: n };
+}
+
+function parseDimensions(text) {
+  let s = String(text || '').replace(/\s+/g, ' ').trim();
+  if (!s) return null;
+  const approx = /^(?:ca\.?|c\.)\s*/i.test(s);
+  s = s.replace(/^(?:ca\.?|c\.)\s*/i, '').replace(/\s*mm$/i, '');
+
+  const parts = s.split(/\s*[x×]\s*/i);
+  if (parts.length < 2 || parts.length > 3) return null;
+  const ranges = parts.map(parseDimensionRange);
+  if (ranges.some(r => !r || r.max <= 0)) return null;
+
+  const cm = /,/.test(s) || ranges[0].max < DIMENSIONS_CM_BELOW;
+  const toMm = (r) => cm ? { min: Math.round(r.min * 10), max: Math.round(r.max * 10) } : r;
+  return {
+    height: toMm(ranges[0]),
+    width: toMm(ranges[1]),
+    thickness: ranges[2] ? toMm(ranges[2]) : null,
+    approx,
+  };
+}
+
+function getDimensionMidpoint(range) {
+  return range ? (range.min + range.max) / 2 : null;
+}
+
+// Height divided by width, from the middle of each range, to two decimals.
+function getDimensionsProportion(dims) {
+  if (!dims || !dims.height || !dims.width) return null;
+  const w = getDimensionMidpoint(dims.width);
+  if (!w) return null;
+  return Math.round(getDimensionMidpoint(dims.height) / w * 100) / 100;
+}
+
+function isPlausibleDimensionsProportion(dims) {
+  const p = getDimensionsProportion(dims);
+  return p !== null && p >= DIMENSIONS_PROPORTION_MIN && p <= DIMENSIONS_PROPORTION_MAX;
+}
+
+// { min: 355, max: 360 } -> "355–360"
+function formatDimensionRange(range) {
+  if (!range) return '';
+  return (range.min === range.max) ? String(range.min) : `${range.min}–${range.max}`;
+}
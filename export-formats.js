@@ -0,0 +1,212 @@
+// File formats for "Export": CSV/TSV text and a minimal XLSX workbook.
+//
+// This file has no DOM dependencies. Callers pass a header list and rows as
+// arrays of cell values (strings or numbers, same order as the headers).
+// The XLSX writer produces a single-sheet SpreadsheetML package in an
+// uncompressed ZIP container, so no third-party library is needed.
+
+function formatDelimitedField(value, delimiter) {
+  const s = (value === null || value === undefined) ? '' : String(value);
+  // Quote when the value would otherwise break the row/column structure.
+  if (s.includes(delimiter) || s.includes('"') || s.includes('\n') || s.includes('\r')) {
+    return '"' + s.replace(/"/g, '""') + '"';
+  }
+  return s;
+}
+
+function buildDelimitedText(headers, rows, delimiter) {
+  const lines = [headers.map(h => formatDelimitedField(h, delimiter)).join(delimiter)];
+  for (const row of rows) {
+    lines.push(row.map(v => formatDelimitedField(v, delimiter)).join(delimiter));
+  }
+  return lines.join('\r\n') + '\r\n';
+}
+
+function escapeXmlText(value) {
+  return String(value)
+    // Characters not allowed in XML 1.0.
+    .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F\uFFFE\uFFFF]/g, '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+// 0 -> "A", 25 -> "Z", 26 -> "AA"
+function xlsxColumnName(index) {
+  let n = index + 1;
+  let name = '';
+  while (n > 0) {
+    const r = (n - 1) % 26;
+    name = String.fromCharCode(65 + r) + name;
+    n = Math.floor((n - 1) / 26);
+  }
+  return name;
+}
+
+function buildXlsxCell(ref, value, styleIndex) {
+  const s = styleIndex ? ` s="${styleIndex}"` : '';
+  if (typeof value === 'number' && Number.isFinite(value)) {
+    return `<c r="${ref}"${s}><v>${value}</v></c>`;
+  }
+  const text = (value === null || value === undefined) ? '' : String(value);
+  if (!text) return '';
+  return `<c r="${ref}" t="inlineStr"${s}><is><t xml:space="preserve">${escapeXmlText(text)}</t></is></c>`;
+}
+
+function buildXlsxSheetXml(headers, rows) {
+  const out = [];
+  out.push('<?xml version="1.0" encoding="UTF-8" standalone="yes"?>');
+  out.push('<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">');
+  // Keep the header row visible while scrolling.
+  out.push('<sheetViews><sheetView workbookViewId="0"><pane ySplit="1" topLeftCell="A2" activePane="bottomLeft" state="frozen"/></sheetView></sheetViews>');
+  out.push('<sheetData>');
+  const allRows = [headers].concat(rows);
+  allRows.forEach((row, r) => {
+    const cells = row.map((v, c) => buildXlsxCell(`${xlsxColumnName(c)}${r + 1}`, v, r === 0 ? 1 : 0)).join('');
+    out.push(`<row r="${r + 1}">${cells}</row>`);
+  });
+  out.push('</sheetData>');
+  if (headers.length) {
+    out.push(`<autoFilter ref="A1:${xlsxColumnName(headers.length - 1)}${allRows.length}"/>`);
+  }
+  out.push('</worksheet>');
+  return out.join('');
+}
+
+function buildXlsxFiles(headers, rows, sheetName) {
+  const name = escapeXmlText(String(sheetName || 'Sheet1').replace(/[\\/?*\[\]:]/g, ' ').slice(0, 31) || 'Sheet1');
+  return [
+    {
+      name: '[Content_Types].xml',
+      text: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+        + '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">'
+        + '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>'
+        + '<Default Extension="xml" ContentType="application/xml"/>'
+        + '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>'
+        + '<Override PartName="/xl/worksheets/sheet1.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>'
+        + '<Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/>'
+        + '</Types>',
+    },
+    {
+      name: '_rels/.rels',
+      text: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+        + '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">'
+        + '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>'
+        + '</Relationships>',
+    },
+    {
+      name: 'xl/workbook.xml',
+      text: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+        + '<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">'
+        + `<sheets><sheet name="${name}" sheetId="1" r:id="rId1"/></sheets>`
+        + (headers.length ? `<definedNames><definedName name="_xlnm._FilterDatabase" localSheetId="0" hidden="1">'${name.replace(/'/g, "''")}'!$A$1:$${xlsxColumnName(headers.length - 1)}$${rows.length + 1}</definedName></definedNames>` : '')
+        + '</workbook>',
+    },
+    {
+      name: 'xl/_rels/workbook.xml.rels',
+      text: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+        + '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">'
+        + '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet1.xml"/>'
+        + '<Relationship Id="rId2" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/styles" Target="styles.xml"/>'
+        + '</Relationships>',
+    },
+    {
+      // Style 0: default; style 1: bold (header row).
+      name: 'xl/styles.xml',
+      text: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+        + '<styleSheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">'
+        + '<fonts count="2"><font><sz val="11"/><name val="Calibri"/></font><font><b/><sz val="11"/><name val="Calibri"/></font></fonts>'
+        + '<fills count="2"><fill><patternFill patternType="none"/></fill><fill><patternFill patternType="gray125"/></fill></fills>'
+        + '<borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders>'
+        + '<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>'
+        + '<cellXfs count="2"><xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/><xf numFmtId="0" fontId="1" fillId="0" borderId="0" xfId="0" applyFont="1"/></cellXfs>'
+        + '</styleSheet>',
+    },
+    { name: 'xl/worksheets/sheet1.xml', text: buildXlsxSheetXml(headers, rows) },
+  ];
+}
+
+let CRC32_TABLE = null;
+
+function crc32(bytes) {
+  if (!CRC32_TABLE) {
+    CRC32_TABLE = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+      let c = n;
+      for (let k = 0; k < 8; k++) c = (c & 1) ? (0xEDB88320 ^ (c >>> 1)) : (c >>> 1);
+      CRC32_TABLE[n] = c >>> 0;
+    }
+  }
+  let crc = 0xFFFFFFFF;
+  for (let i = 0; i < bytes.length; i++) crc = CRC32_TABLE[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+  return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+// ZIP archive with "stored" (uncompressed) entries: [{ name, bytes }] -> Uint8Array.
+function buildZipArchive(entries) {
+  const encoder = new TextEncoder();
+  const chunks = [];
+  const central = [];
+  let offset = 0;
+
+  for (const entry of entries) {
+    const nameBytes = encoder.encode(entry.name);
+    const data = entry.bytes;
+    const crc = crc32(data);
+
+    const local = new DataView(new ArrayBuffer(30));
+    local.setUint32(0, 0x04034B50, true);
+    local.setUint16(4, 20, true);           // version needed
+    local.setUint16(6, 0x0800, true);       // UTF-8 names
+    local.setUint16(8, 0, true);            // stored
+    local.setUint16(10, 0, true);           // time
+    local.setUint16(12, 0x21, true);        // date: 1980-01-01
+    local.setUint32(14, crc, true);
+    local.setUint32(18, data.length, true);
+    local.setUint32(22, data.length, true);
+    local.setUint16(26, nameBytes.length, true);
+    local.setUint16(28, 0, true);
+    chunks.push(new Uint8Array(local.buffer), nameBytes, data);
+
+    const dir = new DataView(new ArrayBuffer(46));
+    dir.setUint32(0, 0x02014B50, true);
+    dir.setUint16(4, 20, true);             // version made by
+    dir.setUint16(6, 20, true);
+    dir.setUint16(8, 0x0800, true);
+    dir.setUint16(10, 0, true);
+    dir.setUint16(12, 0, true);
+    dir.setUint16(14, 0x21, true);
+    dir.setUint32(16, crc, true);
+    dir.setUint32(20, data.length, true);
+    dir.setUint32(24, data.length, true);
+    dir.setUint16(28, nameBytes.length, true);
+    dir.setUint32(42, offset, true);
+    central.push(new Uint8Array(dir.buffer), nameBytes);
+
+    offset += 30 + nameBytes.length + data.length;
+  }
+
+  const centralSize = central.reduce((n, c) => n + c.length, 0);
+  const end = new DataView(new ArrayBuffer(22));
+  end.setUint32(0, 0x06054B50, true);
+  end.setUint16(8, entries.length, true);
+  end.setUint16(10, entries.length, true);
+  end.setUint32(12, centralSize, true);
+  end.setUint32(16, offset, true);
+
+  const parts = chunks.concat(central, [new Uint8Array(end.buffer)]);
+  const out = new Uint8Array(parts.reduce((n, p) => n + p.length, 0));
+  let pos = 0;
+  for (const p of parts) {
+    out.set(p, pos);
+    pos += p.length;
+  }
+  return out;
+}
+
+function buildXlsxWorkbook(headers, rows, sheetName) {
+  const encoder = new TextEncoder();
+  const files = buildXlsxFiles(headers, rows, sheetName);
+  return buildZipArchive(files.map(f => ({ name: f.name, bytes: encoder.encode(f.text) })));
+}
@@ -0,0 +1,362 @@
+// Facet filtering and counting over an inverted index.
+//
+// Shared by facet-worker.js and the synchronous fallback in table.js, so this file
+// must not touch the DOM. Requires search-query.js for evaluating search terms.
+//
+// The index is built once per data load from plain "facet documents" prepared on the
+// main thread (see buildFacetDocs() in table.js), one per row:
+//   {
+//     ms:     manuscript number (rows of one manuscript share it),
+//     match:  { facetKey: string[] }   values compared against checkbox selections,
+//     count:  { facetKey: string[] }   values shown as facet counters,
+//     ranges: { field: {min,max}|null } numeric ranges (Dating, Lines, Columns),
+//     search: { field: string[] }       folded values for the search box ('' = all fields)
+//   }
+// updateFacetIndexDocs() swaps in the docs of single rows when only they changed.
+//
+// Queries are answered in one of two modes:
+//   'rows'        Text View: one hit per row
+//   'manuscripts' Manuscript View: a manuscript matches a condition if any of its rows does
+
+const FACET_RANGE_BUCKET_SIZE = 10;
+const FACET_SEARCH_TOKEN_RE = /[\p{L}\p{N}]+/gu;
+const FACET_SEARCH_SINGLE_TOKEN_RE = /^[\p{L}\p{N}]+$/u;
+
+function addFacetPosting(map, key, id) {
+  let list = map.get(key);
+  if (!list) {
+    list = [];
+    map.set(key, list);
+  }
+  if (list[list.length - 1] !== id) list.push(id);
+}
+
+// Keep posting lists ascending when a doc is re-indexed in place.
+function insertFacetPosting(map, key, id) {
+  let list = map.get(key);
+  if (!list) {
+    list = [];
+    map.set(key, list);
+  }
+  let i = list.length;
+  while (i > 0 && list[i - 1] > id) i--;
+  if (list[i - 1] !== id) list.splice(i, 0, id);
+}
+
+function removeFacetPosting(map, key, id) {
+  const list = map.get(key);
+  if (!list) return;
+  const i = list.indexOf(id);
+  if (i >= 0) list.splice(i, 1);
+  if (!list.length) map.delete(key);
+}
+
+function getFacetPostingMap(maps, key) {
+  let map = maps.get(key);
+  if (!map) {
+    map = new Map();
+    maps.set(key, map);
+  }
+  return map;
+}
+
+// Apply `post` (add, insert or remove) to every posting of one doc.
+function postFacetDoc(index, id, doc, post) {
+  const match = doc.match || {};
+  for (const key of Object.keys(match)) {
+    const byValue = getFacetPostingMap(index.values, key);
+    for (const v of match[key] || []) post(byValue, v, id);
+  }
+
+  const search = doc.search || {};
+  for (const field of Object.keys(search)) {
+    const byToken = getFacetPostingMap(index.tokens, field);
+    for (const value of search[field] || []) {
+      const tokens = String(value || '').match(FACET_SEARCH_TOKEN_RE);
+      if (!tokens) continue;
+      for (const t of tokens) post(byToken, t, id);
+    }
+  }
+
+  const ranges = doc.ranges || {};
+  for (const field of Object.keys(ranges)) {
+    const r = ranges[field];
+    if (!r || typeof r.min !== 'number' || typeof r.max !== 'number') continue;
+    const byBucket = getFacetPostingMap(index.buckets, field);
+    const from = Math.floor(r.min / FACET_RANGE_BUCKET_SIZE);
+    const to = Math.floor(r.max / FACET_RANGE_BUCKET_SIZE);
+    for (let b = from; b <= to; b++) post(byBucket, b, id);
+  }
+}
+
+function createFacetIndex(docs) {
+  const list = Array.isArray(docs) ? docs : [];
+  const index = {
+    docs: list,
+    n: list.length,
+    msCount: 0,
+    msOfDoc: new Int32Array(list.length),
+    docsOfMs: [],
+    // facetKey -> value -> doc ids
+    values: new Map(),
+    // search field ('' = any field) -> token -> doc ids
+    tokens: new Map(),
+    // range field -> bucket number -> doc ids (bucket = floor(value / FACET_RANGE_BUCKET_SIZE))
+    buckets: new Map(),
+  };
+
+  for (let id = 0; id < list.length; id++) {
+    const doc = list[id] || {};
+
+    const ms = (typeof doc.ms === 'number') ? doc.ms : id;
+    index.msOfDoc[id] = ms;
+    if (ms >= index.msCount) index.msCount = ms + 1;
+    if (!index.docsOfMs[ms]) index.docsOfMs[ms] = [];
+    index.docsOfMs[ms].push(id);
+
+    postFacetDoc(index, id, doc, addFacetPosting);
+  }
+
+  for (let ms = 0; ms < index.msCount; ms++) {
+    if (!index.docsOfMs[ms]) index.docsOfMs[ms] = [];
+  }
+
+  return index;
+}
+
+// Replace single docs ([{ id, doc }]) without rebuilding the index, e.g. after a
+// manuscript's annotations changed. A doc keeps the row and manuscript it had.
+function updateFacetIndexDocs(index, updates) {
+  for (const { id, doc } of updates || []) {
+    if (!(id >= 0 && id < index.n) || !doc) continue;
+    postFacetDoc(index, id, index.docs[id] || {}, removeFacetPosting);
+    index.docs[id] = doc;
+    postFacetDoc(index, id, doc, insertFacetPosting);
+  }
+}
+
+// Docs whose range lies (at least partly) within [lo, hi]; a superset used before the exact check.
+function facetRangeCandidates(index, field, lo, hi) {
+  const out = [];
+  const byBucket = index.buckets.get(field);
+  if (!byBucket) return out;
+  const fromB = (lo === null || lo === -Infinity) ? -Infinity : Math.floor(lo / FACET_RANGE_BUCKET_SIZE);
+  const toB = (hi === null || hi === Infinity) ? Infinity : Math.floor(hi / FACET_RANGE_BUCKET_SIZE);
+  for (const [b, ids] of byBucket) {
+    if (b < fromB || b > toB) continue;
+    for (const id of ids) out.push(id);
+  }
+  return out;
+}
+
+function facetRangeOf(index, id, field) {
+  const doc = index.docs[id];
+  const r = doc && doc.ranges ? doc.ranges[field] : null;
+  if (!r || typeof r.min !== 'number' || typeof r.max !== 'number') return null;
+  return r;
+}
+
+// 'overlap': some year of r is in [min, max]; 'within': all of r is; 'start': r.min is.
+function facetRangeMatches(r, min, max, mode) {
+  if (mode === 'within') return !(min !== null && r.min < min) && !(max !== null && r.max > max);
+  if (mode === 'start') return !(min !== null && r.min < min) && !(max !== null && r.min > max);
+  return !(min !== null && r.max < min) && !(max !== null && r.min > max);
+}
+
+// Filters are compiled on the main thread from the facet sidebar selections:
+//   { type: 'values', facet, key, values: string[] }
+//   { type: 'range',  facet, field, min, max, mode: 'overlap' | 'within' | 'start' }
+//   { type: 'lines',  facet, key, values: string[], field, min, max }  (text values OR range within)
+// `facet` is the sidebar facet the filter belongs to; it is skipped when counting that facet.
+function facetFilterSet(index, filter) {
+  const set = new Uint8Array(index.n);
+
+  if (filter.type === 'values' || filter.type === 'lines') {
+    const byValue = index.values.get(filter.key);
+    if (byValue) {
+      for (const v of filter.values || []) {
+        const ids = byValue.get(v);
+        if (!ids) continue;
+        for (const id of ids) set[id] = 1;
+      }
+    }
+  }
+
+  if (filter.type === 'range' || filter.type === 'lines') {
+    const min = (typeof filter.min === 'number') ? filter.min : null;
+    const max = (typeof filter.max === 'number') ? filter.max : null;
+    if (min === null && max === null) return set;
+    const mode = (filter.type === 'lines') ? 'within' : filter.mode;
+    for (const id of facetRangeCandidates(index, filter.field, min, max)) {
+      if (set[id]) continue;
+      const r = facetRangeOf(index, id, filter.field);
+      if (!r) continue;
+      if (facetRangeMatches(r, min, max, mode)) set[id] = 1;
+    }
+  }
+
+  return set;
+}
+
+function facetSearchRecord(doc) {
+  return {
+    values: (field) => (doc.search && doc.search[field === null ? '' : field]) || [],
+    range: (field) => (doc.ranges ? doc.ranges[field] : null) || null,
+  };
+}
+
+function facetSearchTermSet(index, node) {
+  const set = new Uint8Array(index.n);
+  const field = (node.field === null) ? '' : node.field;
+
+  // A term made only of letters/digits can only occur inside a single token,
+  // so scanning the token dictionary is exact. Anything else falls back to a scan.
+  if (FACET_SEARCH_SINGLE_TOKEN_RE.test(node.value)) {
+    const byToken = index.tokens.get(field);
+    if (!byToken) return set;
+    for (const [token, ids] of byToken) {
+      if (!token.includes(node.value)) continue;
+      for (const id of ids) set[id] = 1;
+    }
+    return set;
+  }
+
+  for (let id = 0; id < index.n; id++) {
+    if (searchTermMatches(facetSearchRecord(index.docs[id]), node)) set[id] = 1;
+  }
+  return set;
+}
+
+function facetSearchRangeSet(index, node) {
+  const set = new Uint8Array(index.n);
+  let lo = -Infinity;
+  let hi = Infinity;
+  if (node.type === 'between') { lo = node.min; hi = node.max; }
+  else if (node.op === '<' || node.op === '<=') hi = node.value;
+  else if (node.op === '>' || node.op === '>=') lo = node.value;
+  else { lo = node.value; hi = node.value; }
+
+  for (const id of facetRangeCandidates(index, node.field, lo, hi)) {
+    if (searchRangeMatches(facetRangeOf(index, id, node.field), node)) set[id] = 1;
+  }
+  return set;
+}
+
+// Lift a per-row set to the query mode (manuscripts: any row).
+function liftFacetSet(index, rowSet, mode) {
+  if (mode !== 'manuscripts') return rowSet;
+  const out = new Uint8Array(index.msCount);
+  for (let id = 0; id < index.n; id++) {
+    if (rowSet[id]) out[index.msOfDoc[id]] = 1;
+  }
+  return out;
+}
+
+// Same semantics as evaluateSearchQuery() in search-query.js, but over sets.
+function facetSearchSet(index, ast, mode) {
+  switch (ast.type) {
+    case 'and': {
+      const a = facetSearchSet(index, ast.left, mode);
+      const b = facetSearchSet(index, ast.right, mode);
+      for (let i = 0; i < a.length; i++) a[i] = a[i] & b[i];
+      return a;
+    }
+    case 'or': {
+      const a = facetSearchSet(index, ast.left, mode);
+      const b = facetSearchSet(index, ast.right, mode);
+      for (let i = 0; i < a.length; i++) a[i] = a[i] | b[i];
+      return a;
+    }
+    case 'not': {
+      const a = facetSearchSet(index, ast.expr, mode);
+      for (let i = 0; i < a.length; i++) a[i] = a[i] ? 0 : 1;
+      return a;
+    }
+    case 'term':
+      return liftFacetSet(index, facetSearchTermSet(index, ast), mode);
+    case 'compare':
+    case 'between':
+      return liftFacetSet(index, facetSearchRangeSet(index, ast), mode);
+    default:
+      return new Uint8Array(mode === 'manuscripts' ? index.msCount : index.n);
+  }
+}
+
+// request: { mode, filters, search (AST or null), countKeys: string[], manuscriptLevelKeys: string[] }
+// returns: { ids: number[], counts: { key: { baseTotal, counts: Map } } }
+//   ids are row numbers ('rows') or manuscript numbers ('manuscripts'), ascending.
+function runFacetQuery(index, request) {
+  const mode = (request && request.mode === 'manuscripts') ? 'manuscripts' : 'rows';
+  const size = (mode === 'manuscripts') ? index.msCount : index.n;
+  const filters = (request && Array.isArray(request.filters)) ? request.filters : [];
+  const countKeys = (request && Array.isArray(request.countKeys)) ? request.countKeys : [];
+  const msLevel = new Set((request && request.manuscriptLevelKeys) || []);
+
+  const filterSets = filters.map(f => ({ facet: f.facet, set: liftFacetSet(index, facetFilterSet(index, f), mode) }));
+  const searchSet = (request && request.search) ? facetSearchSet(index, request.search, mode) : null;
+
+  function baseSet(excludeFacet) {
+    const out = new Uint8Array(size);
+    out.fill(1);
+    if (searchSet) for (let i = 0; i < size; i++) out[i] &= searchSet[i];
+    for (const f of filterSets) {
+      if (excludeFacet !== null && f.facet === excludeFacet) continue;
+      for (let i = 0; i < size; i++) out[i] &= f.set[i];
+    }
+    return out;
+  }
+
+  const full = baseSet(null);
+  const ids = [];
+  for (let i = 0; i < size; i++) if (full[i]) ids.push(i);
+
+  const counts = {};
+  const baseByFacet = new Map();
+  for (const key of countKeys) {
+    const excludeFacet = (key === 'Main text group-variant') ? 'Main text group' : key;
+    let base = baseByFacet.get(excludeFacet);
+    if (!base) {
+      base = filterSets.some(f => f.facet === excludeFacet) ? baseSet(excludeFacet) : full;
+      baseByFacet.set(excludeFacet, base);
+    }
+
+    const byValue = new Map();
+    let baseTotal = 0;
+
+    if (mode === 'manuscripts') {
+      for (let ms = 0; ms < size; ms++) {
+        if (!base[ms]) continue;
+        baseTotal++;
+        const seen = new Set();
+        for (const id of index.docsOfMs[ms]) {
+          const doc = index.docs[id];
+          for (const v of (doc.count && doc.count[key]) || []) seen.add(v);
+        }
+        for (const v of seen) byValue.set(v, (byValue.get(v) || 0) + 1);
+      }
+    } else if (msLevel.has(key)) {
+      // Manuscript-level facets are counted once per manuscript even in Text View.
+      const seenMs = new Set();
+      for (let id = 0; id < size; id++) {
+        if (!base[id]) continue;
+        const ms = index.msOfDoc[id];
+        if (seenMs.has(ms)) continue;
+        seenMs.add(ms);
+        const doc = index.docs[id];
+        for (const v of (doc.count && doc.count[key]) || []) byValue.set(v, (byValue.get(v) || 0) + 1);
+      }
+      baseTotal = seenMs.size;
+    } else {
+      for (let id = 0; id < size; id++) {
+        if (!base[id]) continue;
+        baseTotal++;
+        const doc = index.docs[id];
+        for (const v of (doc.count && doc.count[key]) || []) byValue.set(v, (byValue.get(v) || 0) + 1);
+      }
+    }
+
+    counts[key] = { baseTotal, counts: byValue };
+  }
+
+  return { ids, counts };
+}
@@ -0,0 +1,50 @@
+// Web Worker: keeps the facet index off the main thread.
+//
+// Messages in:
+//   { type: 'init', generation, docs }           build the index (once per data load)
+//   { type: 'update', generation, updates }      replace single docs, see updateFacetIndexDocs()
+//   { type: 'query', generation, id, request }   see runFacetQuery() in facet-engine.js
+// Messages out:
+//   { type: 'ready', generation }
+//   { type: 'result', generation, id, result }
+//   { type: 'error', generation, id, message }
+
+importScripts('search-query.js', 'facet-engine.js');
+
+let index = null;
+let generation = 0;
+
+self.onmessage = function (e) {
+  const msg = e.data || {};
+
+  if (msg.type === 'init') {
+    generation = msg.generation;
+    try {
+      index = createFacetIndex(msg.docs);
+      self.postMessage({ type: 'ready', generation });
+    } catch (err) {
+      index = null;
+      self.postMessage({ type: 'error', generation, id: null, message: String(err && err.message || err) });
+    }
+    return;
+  }
+
+  if (msg.type === 'update') {
+    // An update for an older generation is superseded by the next 'init'.
+    if (index && msg.generation === generation) updateFacetIndexDocs(index, msg.updates);
+    return;
+  }
+
+  if (msg.type === 'query') {
+    if (!index || msg.generation !== generation) {
+      self.postMessage({ type: 'error', generation: msg.generation, id: msg.id, message: 'Index not ready' });
+      return;
+    }
+    try {
+      const result = runFacetQuery(index, msg.request);
+      self.postMessage({ type: 'result', generation, id: msg.id, result });
+    } catch (err) {
+      self.postMessage({ type: 'error', generation, id: msg.id, message: String(err && err.message || err) });
+    }
+  }
+};
@@ -0,0 +1,197 @@
+// User data kept in the browser (IndexedDB): the research basket and private
+// annotations of manuscripts.
+//
+// This file has no DOM dependencies. Both stores are keyed by msKey, i.e.
+// "Depository||Shelf mark" as elsewhere in table.js.
+//
+// Basket items are { msKey, sourceId, shelfmark, depository }; the order of the
+// list is the order the user gave it, stored as `position`.
+// Annotations are { msKey, note, tags: string[], checked, updatedAt }, where
+// `checked` means "checked against facsimile" and updatedAt is an ISO timestamp.
+//
+// Both can be shared as JSON files; build*Json() writes what parse*Json() reads:
+//   { "type": "nordiclaw-basket", "version": 1, "exportedAt": "...", "items": [...] }
+//   { "type": "nordiclaw-annotations", "version": 1, "exportedAt": "...", "annotations": [...] }
+
+const LOCAL_DB_NAME = 'nordiclaw';
+// 1: basket; 2: annotations
+const LOCAL_DB_VERSION = 2;
+const BASKET_STORE = 'basket';
+const ANNOTATION_STORE = 'annotations';
+const BASKET_JSON_TYPE = 'nordiclaw-basket';
+const ANNOTATIONS_JSON_TYPE = 'nordiclaw-annotations';
+
+let LOCAL_DB_OPENING = null;
+
+function openLocalDb() {
+  if (LOCAL_DB_OPENING) return LOCAL_DB_OPENING;
+  LOCAL_DB_OPENING = new Promise((resolve, reject) => {
+    if (typeof indexedDB === 'undefined') {
+      reject(new Error('IndexedDB is not available'));
+      return;
+    }
+    const req = indexedDB.open(LOCAL_DB_NAME, LOCAL_DB_VERSION);
+    req.onupgradeneeded = () => {
+      const db = req.result;
+      for (const name of [BASKET_STORE, ANNOTATION_STORE]) {
+        if (!db.objectStoreNames.contains(name)) db.createObjectStore(name, { keyPath: 'msKey' });
+      }
+    };
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error || new Error('Could not open IndexedDB'));
+  });
+  // Let a later call try again (e.g. after the user allowed storage).
+  LOCAL_DB_OPENING.catch(() => { LOCAL_DB_OPENING = null; });
+  return LOCAL_DB_OPENING;
+}
+
+function isValidMsKey(msKey) {
+  return !!msKey && msKey !== '||' && msKey.includes('||');
+}
+
+function normalizeBasketItem(item) {
+  if (!item || typeof item !== 'object') return null;
+  const msKey = String(item.msKey || '').trim();
+  if (!isValidMsKey(msKey)) return null;
+  const [depository, shelfmark] = msKey.split('||');
+  return {
+    msKey,
+    sourceId: String(item.sourceId || ''),
+    shelfmark: String(item.shelfmark || shelfmark || ''),
+    depository: String(item.depository || depository || ''),
+  };
+}
+
+// Items in basket order.
+async function loadBasketItems() {
+  const db = await openLocalDb();
+  return new Promise((resolve, reject) => {
+    const req = db.transaction(BASKET_STORE, 'readonly').objectStore(BASKET_STORE).getAll();
+    req.onsuccess = () => {
+      const rows = Array.isArray(req.result) ? req.result.slice() : [];
+      rows.sort((a, b) => (Number(a.position) || 0) - (Number(b.position) || 0));
+      resolve(rows.map(normalizeBasketItem).filter(Boolean));
+    };
+    req.onerror = () => reject(req.error);
+  });
+}
+
+// Replace the stored basket with `items` (baskets are small; one transaction keeps it consistent).
+async function saveBasketItems(items) {
+  const db = await openLocalDb();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(BASKET_STORE, 'readwrite');
+    const store = tx.objectStore(BASKET_STORE);
+    store.clear();
+    (items || []).forEach((item, position) => {
+      const it = normalizeBasketItem(item);
+      if (it) store.put(Object.assign(it, { position }));
+    });
+    tx.oncomplete = () => resolve();
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error || new Error('Basket transaction aborted'));
+  });
+}
+
+function buildBasketJson(items) {
+  return JSON.stringify({
+    type: BASKET_JSON_TYPE,
+    version: 1,
+    exportedAt: new Date().toISOString(),
+    items: (items || []).map(normalizeBasketItem).filter(Boolean),
+  }, null, 2);
+}
+
+// Accepts an exported basket or a bare array of items; throws on anything else.
+// Duplicate manuscripts keep their first position.
+function parseBasketJson(text) {
+  const json = JSON.parse(String(text || ''));
+  let list = null;
+  if (Array.isArray(json)) list = json;
+  else if (json && json.type === BASKET_JSON_TYPE && Array.isArray(json.items)) list = json.items;
+  if (!list) throw new Error('Not a basket file');
+
+  const seen = new Set();
+  const out = [];
+  for (const raw of list) {
+    const it = normalizeBasketItem(raw);
+    if (!it || seen.has(it.msKey)) continue;
+    seen.add(it.msKey);
+    out.push(it);
+  }
+  return out;
+}
+
+// "a, b; c" or ['a', 'b'] -> unique trimmed tags in the given order.
+function normalizeAnnotationTags(tags) {
+  const list = Array.isArray(tags) ? tags : String(tags || '').split(/[,;]/);
+  const out = [];
+  for (const t of list) {
+    const tag = String(t || '').replace(/\s+/g, ' ').trim();
+    if (tag && !out.some(x => x.toLowerCase() === tag.toLowerCase())) out.push(tag);
+  }
+  return out;
+}
+
+function normalizeAnnotation(record) {
+  if (!record || typeof record !== 'object') return null;
+  const msKey = String(record.msKey || '').trim();
+  if (!isValidMsKey(msKey)) return null;
+  return {
+    msKey,
+    note: String(record.note || '').trim(),
+    tags: normalizeAnnotationTags(record.tags),
+    checked: record.checked === true,
+    updatedAt: String(record.updatedAt || ''),
+  };
+}
+
+function isEmptyAnnotation(a) {
+  return !a || (!a.note && !a.tags.length && !a.checked);
+}
+
+async function loadAnnotations() {
+  const db = await openLocalDb();
+  return new Promise((resolve, reject) => {
+    const req = db.transaction(ANNOTATION_STORE, 'readonly').objectStore(ANNOTATION_STORE).getAll();
+    req.onsuccess = () => resolve((Array.isArray(req.result) ? req.result : []).map(normalizeAnnotation).filter(Boolean));
+    req.onerror = () => reject(req.error);
+  });
+}
+
+// Store or replace annotations; empty ones are deleted.
+async function saveAnnotations(records) {
+  const db = await openLocalDb();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(ANNOTATION_STORE, 'readwrite');
+    const store = tx.objectStore(ANNOTATION_STORE);
+    for (const record of records || []) {
+      const a = normalizeAnnotation(record);
+      if (!a) continue;
+      if (isEmptyAnnotation(a)) store.delete(a.msKey);
+      else store.put(a);
+    }
+    tx.oncomplete = () => resolve();
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error || new Error('Annotation transaction aborted'));
+  });
+}
+
+function buildAnnotationsJson(records) {
+  return JSON.stringify({
+    type: ANNOTATIONS_JSON_TYPE,
+    version: 1,
+    exportedAt: new Date().toISOString(),
+    annotations: (records || []).map(normalizeAnnotation).filter(a => a && !isEmptyAnnotation(a)),
+  }, null, 2);
+}
+
+// Accepts an exported annotations file or a bare array; throws on anything else.
+function parseAnnotationsJson(text) {
+  const json = JSON.parse(String(text || ''));
+  let list = null;
+  if (Array.isArray(json)) list = json;
+  else if (json && json.type === ANNOTATIONS_JSON_TYPE && Array.isArray(json.annotations)) list = json.annotations;
+  if (!list) throw new Error('Not an annotations file');
+  return list.map(normalizeAnnotation).filter(a => a && !isEmptyAnnotation(a));
+}
@@ -0,0 +1,318 @@
+// Scribal hands from the free-text "Scribe" column.
+//
+// This file has no DOM dependencies. parseScribeHands() turns a cell such as
+//   "Hand a (Jacobus Olavi: ff. 1r-91r); Hand b (f. 91v); Marginal: Hand e (Olaus Petri)"
+// into
+//   { hands: [{ id: 'a', label: 'Hand a', scribe: 'Jacobus Olavi', loci: ['ff. 1r-91r'], ... }, ...],
+//     unnamed: 0, several: false, marginal: true }
+// Hands are identified by their letter or number ("Hand a", "scribe b", "hand 3");
+// a named scribe without one ("Niels Muns") is a hand of its own. Hands that are
+// only counted ("two further scribes", "a further hand") go into `unnamed`, and
+// vague plurals ("various hands", "with further minor hands") set `several`.
+
+const SCRIBE_HAND_RE = /\b(?:hand|scribe)\s+([a-z]|\d{1,2})(?![\p{L}\d])((?:\s*(?:,|and|&)\s*(?:(?:hand|scribe)\s+)?[a-z](?![\p{L}\d.\-:]))*)/giu;
+const SCRIBE_NUMBER_WORDS = {
+  a: 1, an: 1, one: 1, another: 1, en: 1,
+  two: 2, three: 3, four: 4, five: 5, six: 6, seven: 7, eight: 8, nine: 9, ten: 10,
+};
+const SCRIBE_COUNTED_RE = /\b(a|an|one|another|en|two|three|four|five|six|seven|eight|nine|ten)\s+((?:further|other|more|minor|younger|later)\s+){0,2}(scribes?|hands?)\b/gi;
+const SCRIBE_SINGLE_RE = /^(?:further|futher|later|younger|other)\s+(?:scribe|hand)$/i;
+const SCRIBE_SEVERAL_RE = /\b(?:various|several|many|further|other|younger|later|minor)\s+(?:(?:minor|later|younger|further)\s+)?(?:scribes|hands)\b/gi;
+// A folio or page reference at the start of a text: "ff. 1r-5v", "f.6r-v", "bl. 94vb", "5rb:20-37".
+const SCRIBE_LOCUS_START_RE = /^\[?\s*(?:(?:ff?|bl|pp?|fols?)\s*[.\-]|\d+\s*[rv](?![\p{L}]{2}))/iu;
+// Words that can appear inside a folio reference ("f. 41v rad 3", "f. II; VII-XI").
+const SCRIBE_LOCUS_WORDS = new Set(['ff', 'bl', 'pp', 'fol', 'fols', 'rad', 'col', 'recto', 'verso']);
+const SCRIBE_NOT_NAME_WORDS = new Set([
+  'hand', 'hands', 'scribe', 'scribes', 'unknown', 'none', 'various', 'several',
+  'further', 'futher', 'later', 'younger', 'minor', 'other', 'same', 'one', 'two', 'three',
+]);
+
+// Split on `sep` outside parentheses and square brackets.
+function splitScribeList(text, sep = ';') {
+  const s = String(text || '');
+  const out = [];
+  let depth = 0;
+  let start = 0;
+  for (let i = 0; i < s.length; i++) {
+    const ch = s[i];
+    if (ch === '(' || ch === '[') depth += 1;
+    else if (ch === ')' || ch === ']') depth = Math.max(0, depth - 1);
+    else if (ch === sep && depth === 0) {
+      out.push(s.slice(start, i));
+      start = i + 1;
+    }
+  }
+  out.push(s.slice(start));
+  return out.map(p => p.trim()).filter(Boolean);
+}
+
+// Parenthesis depth at each index of `s` (unbalanced closing parentheses are ignored).
+function getScribeDepths(s) {
+  const depths = new Array(s.length);
+  let depth = 0;
+  for (let i = 0; i < s.length; i++) {
+    if (s[i] === ')') depth = Math.max(0, depth - 1);
+    depths[i] = depth;
+    if (s[i] === '(') depth += 1;
+  }
+  return depths;
+}
+
+// Text between `open` (an index of '(') and its closing parenthesis.
+function getScribeParenContent(s, open) {
+  let depth = 0;
+  for (let i = open; i < s.length; i++) {
+    if (s[i] === '(') depth += 1;
+    else if (s[i] === ')' && --depth === 0) return s.slice(open + 1, i);
+  }
+  return s.slice(open + 1);
+}
+
+// "Johannes Nielsen", "Hans Hinderson?", "Þórarinn kaggi Egilsson"; not "NgL scribe" or "Storm 1885".
+function isScribeName(text) {
+  const s = String(text || '').replace(/\s*\?$/, '').trim();
+  if (!s || /\d/.test(s) || s.length > 60) return false;
+  if (!/^[\p{Lu}][\p{L}'’.\-]*(?:\s+\(?[\p{L}'’.\-]+\)?){0,4}$/u.test(s)) return false;
+  return !s.toLowerCase().split(/[\s()]+/).some(w => SCRIBE_NOT_NAME_WORDS.has(w));
+}
+
+function normalizeScribeName(text) {
+  return String(text || '').replace(/\s+/g, ' ').replace(/\s+\?$/, '?').trim();
+}
+
+// Folio references at the start of `text`, up to the first word that is not part of one.
+function extractScribeLoci(text) {
+  let s = String(text || '').replace(/^\s*(?:on|in|at|på)\s+/i, '');
+  if (!SCRIBE_LOCUS_START_RE.test(s)) return [];
+  for (const m of s.matchAll(/(?<![\p{L}\d])[\p{L}]{2,}(?![\p{L}])/gu)) {
+    if (SCRIBE_LOCUS_WORDS.has(m[0].toLowerCase()) || /^[IVXLC]+$/.test(m[0])) continue;
+    s = s.slice(0, m.index);
+    break;
+  }
+  return splitScribeList(s.replace(/,\s*(?=(?:ff?|bl|pp?)\s*[.\-])/gi, '; '))
+    .map(p => p.replace(/^[\s,:]+|[\s,:;(]+$/g, '').replace(/\s+/g, ' ').trim())
+    .map(p => (/\)$/.test(p) && !p.includes('(')) ? p.slice(0, -1).trim() : p)
+    .map(p => p.replace(/(\d[rv]?[ab]?)\.$/, '$1'))
+    .filter(Boolean);
+}
+
+// A parenthesis following a hand: "(ff. 1r-5v)", "(Johannes Nielsen, f. 170r)", "(Jören Olofsson; Benedictus Larisson)".
+function parseScribeParen(inner) {
+  const s = String(inner || '').trim();
+  const loci = extractScribeLoci(s);
+  if (loci.length) return { scribe: '', loci };
+
+  const names = [];
+  let nameLoci = [];
+  for (const item of splitScribeList(s)) {
+    const m = item.match(/^([^:,]+?)\s*[:,]\s*(.*)$/);
+    const head = m ? m[1] : item;
+    if (!isScribeName(head)) break;
+    names.push(normalizeScribeName(head));
+    // "Jacobus Olavi: ff-1r-91r;92r-129r": the folios run on past the item.
+    if (m && names.length === 1) nameLoci = extractScribeLoci(s.slice(s.indexOf(item) + item.length - m[2].length));
+  }
+  return { scribe: names.join('; '), loci: nameLoci };
+}
+
+function countUnnamedScribes(s) {
+  let n = 0;
+  for (const m of s.matchAll(SCRIBE_COUNTED_RE)) {
+    const before = s.slice(0, m.index);
+    const after = s.slice(m.index + m[0].length);
+    // "Hand b (or two scribes)" is an alternative, "two further scribes (Hand b and Hand c)" names them.
+    if (/\bor\s*$/i.test(before)) continue;
+    if (/^\s*\(\s*(?:hand|scribe)\s/i.test(after)) continue;
+    // "a part in Llb", "one younger addition": only the hands themselves count, and "a hands" is not one.
+    const word = m[1].toLowerCase();
+    const plural = /s$/i.test(m[3]);
+    if ((SCRIBE_NUMBER_WORDS[word] === 1) === plural) continue;
+    n += SCRIBE_NUMBER_WORDS[word];
+  }
+  if (!n && SCRIBE_SINGLE_RE.test(s.trim())) n = 1;
+  return n;
+}
+
+function hasSeveralScribes(s) {
+  for (const m of s.matchAll(SCRIBE_SEVERAL_RE)) {
+    if (/\b(?:or|\d|two|three|four|five|six|seven|eight|nine|ten)\s*$/i.test(s.slice(0, m.index))) continue;
+    return true;
+  }
+  return false;
+}
+
+// The "Scribe" column as displayed: collapsed whitespace, '; ' before each repeated hand marker.
+function normalizeScribe(value) {
+  if (value === null || value === undefined) return '';
+  let s = String(value).replace(/\r/g, '').trim();
+  if (!s) return '';
+  s = s.replace(/\s+/g, ' ').trim();
+
+  // Normalize to '; '-separated segments for repeated hand markers
+  // (not inside parentheses: "with two further scribes (Hand b and Hand c)").
+  const markerRe = /(Hand\s+[A-Za-z]\b|Marginal:)/g;
+  const matches = Array.from(s.matchAll(markerRe));
+  if (matches.length <= 1) return s;
+
+  const depths = getScribeDepths(s);
+  const starts = matches
+    .map(m => (typeof m.index === 'number' ? m.index : -1))
+    .filter(i => i >= 0 && !depths[i])
+    .sort((a, b) => a - b);
+  if (starts.length <= 1) return s;
+
+  const parts = [];
+  const prefix = s.slice(0, starts[0]).trim();
+  if (prefix) parts.push(prefix.replace(/;+\s*$/g, '').trim());
+
+  for (let i = 0; i < starts.length; i++) {
+    const start = starts[i];
+    const end = (i + 1 < starts.length) ? starts[i + 1] : s.length;
+    let part = s.slice(start, end).trim();
+    part = part.replace(/^;+\s*/g, '');
+    part = part.replace(/;+\s*$/g, '').trim();
+    if (part) parts.push(part);
+  }
+
+  return parts.join('; ');
+}
+
+function parseScribeHands(text) {
+  const s = normalizeScribe(text);
+  const result = { hands: [], unnamed: 0, several: false, marginal: false };
+  if (!s) return result;
+
+  const depths = getScribeDepths(s);
+  const marginalAt = s.search(/\bMarginal:/);
+  result.marginal = marginalAt >= 0 || /\bmarg(?:\.|inal)/i.test(s);
+
+  const byId = new Map();
+  const addHand = (id, fields) => {
+    const key = id || `name:${fields.scribe.toLowerCase()}`;
+    let hand = byId.get(key);
+    if (!hand) {
+      hand = {
+        id,
+        label: id ? `Hand ${id}` : fields.scribe,
+        scribe: '',
+        loci: [],
+        main: false,
+        marginal: false,
+        uncertain: false,
+      };
+      byId.set(key, hand);
+      result.hands.push(hand);
+    }
+    if (fields.scribe && !hand.scribe) hand.scribe = fields.scribe;
+    for (const l of fields.loci || []) if (!hand.loci.includes(l)) hand.loci.push(l);
+    if (fields.main) hand.main = true;
+    if (fields.marginal) hand.marginal = true;
+    if (fields.uncertain) hand.uncertain = true;
+    return hand;
+  };
+
+  const mentions = Array.from(s.matchAll(SCRIBE_HAND_RE));
+  mentions.forEach((m, k) => {
+    const end = m.index + m[0].length;
+    const next = (k + 1 < mentions.length) ? mentions[k + 1].index : s.length;
+    const after = s.slice(end, next);
+    const ids = [m[1]].concat((m[2].match(/\b[a-z]\b/gi) || []).filter(x => !/^a$/i.test(x) || /[,&]/.test(m[2])));
+
+    let fields = { scribe: '', loci: [] };
+    const open = after.search(/\S/);
+    if (open >= 0 && after[open] === '(') fields = parseScribeParen(getScribeParenContent(s, end + open));
+    else fields.loci = extractScribeLoci(after.replace(/^\s*:/, ''));
+
+    for (const id of ids) {
+      addHand(id.toLowerCase(), {
+        scribe: ids.length === 1 ? fields.scribe : '',
+        loci: id === ids[ids.length - 1] ? fields.loci : [],
+        main: depths[m.index] === 0,
+        marginal: marginalAt >= 0 && m.index > marginalAt,
+        uncertain: /^\s*(?:\?|\(\s*\?\s*\))/.test(after),
+      });
+    }
+  });
+
+  // Named scribes without a hand letter: "Niels Muns", "Sira Teitr (Hand c)", "Olaus Eriksson & Nils djäkne".
+  let offset = 0;
+  for (const part of s.split(';')) {
+    const start = s.indexOf(part, offset);
+    offset = start + part.length;
+    if (depths[start] !== 0) continue;
+    const piece = part.trim();
+    const open = piece.indexOf('(');
+    const head = (open >= 0 ? piece.slice(0, open) : piece).trim();
+    const names = head.split(/\s+(?:&|and|och)\s+/).filter(isScribeName).map(normalizeScribeName);
+    if (!names.length || names.length !== head.split(/\s+(?:&|and|och)\s+/).length) continue;
+
+    const inner = open >= 0 ? getScribeParenContent(piece, open) : '';
+    const hm = inner.match(/^\s*(?:hand|scribe)\s+([a-z]|\d{1,2})\s*$/i);
+    if (hm && names.length === 1) {
+      addHand(hm[1].toLowerCase(), { scribe: names[0], main: true });
+      continue;
+    }
+    const loci = extractScribeLoci(inner);
+    for (const name of names) addHand('', { scribe: name, loci, main: true });
+  }
+
+  result.unnamed = countUnnamedScribes(s);
+  result.several = hasSeveralScribes(s);
+  return result;
+}
+
+// Hands of one manuscript from its Scribe values. `entries` are { text, locus }, where
+// `locus` is the folio range the value covers; it is used for hands named without folios.
+function summarizeScribeHands(entries) {
+  const hands = [];
+  const byKey = new Map();
+  const seenText = new Set();
+  let unnamed = 0;
+  let several = false;
+  let marginal = false;
+
+  for (const entry of entries || []) {
+    const text = String(entry && entry.text || '').replace(/\s+/g, ' ').trim();
+    if (!text) continue;
+    const parsed = parseScribeHands(text);
+    if (!seenText.has(text)) {
+      seenText.add(text);
+      unnamed += parsed.unnamed;
+    }
+    several = several || parsed.several;
+    marginal = marginal || parsed.marginal;
+
+    // In "Hand a (Jacobus?) Hand b (f. 78r) Hand c (f. 78v)" only hand a wrote the rest of the range.
+    const someLoci = parsed.hands.some(h => h.loci.length);
+    parsed.hands.forEach((h, i) => {
+      const key = h.id || `name:${h.scribe.toLowerCase()}`;
+      let hand = byKey.get(key);
+      if (!hand) {
+        hand = { id: h.id, label: h.label, scribe: '', loci: [], marginal: false, uncertain: false };
+        byKey.set(key, hand);
+        hands.push(hand);
+      }
+      if (h.scribe && !hand.scribe) hand.scribe = h.scribe;
+      const inherits = h.main && !h.marginal && (!someLoci || i === 0) && entry.locus;
+      const loci = h.loci.length ? h.loci : (inherits ? [String(entry.locus)] : []);
+      for (const l of loci) if (!hand.loci.includes(l)) hand.loci.push(l);
+      hand.marginal = hand.marginal || h.marginal;
+      hand.uncertain = hand.uncertain || h.uncertain;
+    });
+  }
+
+  hands.sort((a, b) => {
+    if (!a.id !== !b.id) return a.id ? -1 : 1;
+    return a.id.localeCompare(b.id, undefined, { numeric: true });
+  });
+  return { hands, unnamed, several, marginal, count: hands.length + unnamed };
+}
+
+// "1", "2", "3+" or "Unknown" for the "Number of hands" facet.
+function getScribeHandCountLabel(summary) {
+  const n = summary ? summary.count : 0;
+  if (summary && summary.several) return '3+';
+  if (!n) return 'Unknown';
+  if (n >= 3) return '3+';
+  return String(n);
+}
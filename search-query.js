@@ -0,0 +1,318 @@
+// Query language for the global search box.
+//
+// Supported syntax:
+//   gothic                 substring match against any field
+//   "main text":GuL        substring match within one field (field names are case-insensitive)
+//   "royal library"        quoted phrase
+//   a AND b, a OR b, NOT a parentheses group; adjacent terms are combined with AND
+//   dating<1350            numeric comparison (<, <=, >, >=, =) on range-valued fields
+//   dating:1300-1350       numeric range overlap on range-valued fields
+//   storm 1885:491         an unknown field name is plain text, so pasted references and URLs still search
+//
+// This file has no DOM dependencies so it can also be loaded into a Web Worker.
+// Records are accessed through a small interface supplied by the caller:
+//   record.values(field)  -> string[]   (field === null => all searchable values)
+//   record.range(field)   -> { min, max } | null
+
+class SearchQuerySyntaxError extends Error {
+  constructor(message, position) {
+    super(message);
+    this.name = 'SearchQuerySyntaxError';
+    this.position = (typeof position === 'number') ? position : null;
+  }
+}
+
+const SEARCH_QUERY_OPERATORS = new Set(['AND', 'OR', 'NOT']);
+const SEARCH_QUERY_COMPARATORS = ['<=', '>=', '<', '>', '='];
+
+function foldSearchText(value) {
+  const s = (value === null || value === undefined) ? '' : String(value);
+  try {
+    return s.toLowerCase().normalize('NFD').replace(/\p{Diacritic}+/gu, '');
+  } catch (e) {
+    return s.toLowerCase();
+  }
+}
+
+function normalizeSearchFieldName(name) {
+  return foldSearchText(name).replace(/[^a-z0-9]+/g, '');
+}
+
+function tokenizeSearchQuery(text) {
+  const s = String(text || '');
+  const tokens = [];
+  let i = 0;
+
+  while (i < s.length) {
+    const ch = s[i];
+
+    if (/\s/.test(ch)) { i++; continue; }
+
+    if (ch === '(' || ch === ')') {
+      tokens.push({ type: ch, pos: i });
+      i++;
+      continue;
+    }
+
+    if (ch === '"') {
+      const start = i;
+      i++;
+      let value = '';
+      while (i < s.length && s[i] !== '"') {
+        value += s[i];
+        i++;
+      }
+      if (i >= s.length) throw new SearchQuerySyntaxError('Unterminated quoted phrase', start);
+      i++; // closing quote
+      tokens.push({ type: 'string', value, pos: start });
+      continue;
+    }
+
+    if (ch === ':') {
+      tokens.push({ type: ':', pos: i });
+      i++;
+      continue;
+    }
+
+    const cmp = SEARCH_QUERY_COMPARATORS.find(op => s.startsWith(op, i));
+    if (cmp) {
+      tokens.push({ type: 'cmp', value: cmp, pos: i });
+      i += cmp.length;
+      continue;
+    }
+
+    const start = i;
+    let word = '';
+    while (i < s.length && !/[\s()":<>=]/.test(s[i])) {
+      word += s[i];
+      i++;
+    }
+    if (SEARCH_QUERY_OPERATORS.has(word)) tokens.push({ type: 'op', value: word, pos: start });
+    else tokens.push({ type: 'word', value: word, pos: start });
+  }
+
+  tokens.push({ type: 'eof', pos: s.length });
+  return tokens;
+}
+
+// Resolve a user-typed field name against the known field list.
+// options.fields: string[] of canonical names; options.aliases: { alias: canonical }.
+function resolveSearchField(name, options) {
+  const wanted = normalizeSearchFieldName(name);
+  if (!wanted) return null;
+  const aliases = (options && options.aliases) ? options.aliases : {};
+  for (const alias of Object.keys(aliases)) {
+    if (normalizeSearchFieldName(alias) === wanted) return aliases[alias];
+  }
+  const fields = (options && Array.isArray(options.fields)) ? options.fields : [];
+  for (const f of fields) {
+    if (normalizeSearchFieldName(f) === wanted) return f;
+  }
+  return null;
+}
+
+function parseSearchQuery(text, options = {}) {
+  const tokens = tokenizeSearchQuery(text);
+  let pos = 0;
+  const rangeFields = new Set((options && Array.isArray(options.rangeFields)) ? options.rangeFields : []);
+
+  const peek = () => tokens[pos];
+  const next = () => tokens[pos++];
+
+  function describe(tok) {
+    if (!tok || tok.type === 'eof') return 'end of query';
+    if (tok.type === 'word' || tok.type === 'op' || tok.type === 'cmp') return `"${tok.value}"`;
+    if (tok.type === 'string') return 'quoted phrase';
+    return `"${tok.type}"`;
+  }
+
+  function parseOr() {
+    let left = parseAnd();
+    while (peek().type === 'op' && peek().value === 'OR') {
+      next();
+      const right = parseAnd();
+      left = { type: 'or', left, right };
+    }
+    return left;
+  }
+
+  function startsOperand(tok) {
+    return tok.type === 'word' || tok.type === 'string' || tok.type === '(' || (tok.type === 'op' && tok.value === 'NOT');
+  }
+
+  function parseAnd() {
+    let left = parseNot();
+    for (;;) {
+      const tok = peek();
+      if (tok.type === 'op' && tok.value === 'AND') {
+        next();
+        const right = parseNot();
+        left = { type: 'and', left, right };
+        continue;
+      }
+      // Implicit AND between adjacent terms.
+      if (startsOperand(tok)) {
+        const right = parseNot();
+        left = { type: 'and', left, right };
+        continue;
+      }
+      return left;
+    }
+  }
+
+  function parseNot() {
+    const tok = peek();
+    if (tok.type === 'op' && tok.value === 'NOT') {
+      next();
+      return { type: 'not', expr: parseNot() };
+    }
+    return parsePrimary();
+  }
+
+  function tokenEnd(tok) {
+    if (tok.type === 'string') return tok.pos + tok.value.length + 2;
+    if (tok.type === ':') return tok.pos + 1;
+    return tok.pos + String(tok.value || '').length;
+  }
+
+  // The source text of `first` and the tokens written directly after it ("1885:491", "https://...").
+  function readAttachedText(first) {
+    let end = tokenEnd(first);
+    while (['word', 'string', 'op', ':', 'cmp'].includes(peek().type) && peek().pos === end) end = tokenEnd(next());
+    return String(text || '').slice(first.pos, end).replace(/"/g, '');
+  }
+
+  function parseValue(afterTok) {
+    const tok = next();
+    if (tok.type === 'word' || tok.type === 'string') return tok;
+    // Allow operator keywords as literal values (e.g. field:OR).
+    if (tok.type === 'op') return { type: 'word', value: tok.value, pos: tok.pos };
+    throw new SearchQuerySyntaxError(`Expected a value after ${describe(afterTok)}`, tok.pos);
+  }
+
+  function parsePrimary() {
+    const tok = peek();
+
+    if (tok.type === '(') {
+      next();
+      if (peek().type === ')') throw new SearchQuerySyntaxError('Empty parentheses', peek().pos);
+      const expr = parseOr();
+      const close = next();
+      if (close.type !== ')') throw new SearchQuerySyntaxError(`Expected ")" but found ${describe(close)}`, close.pos);
+      return expr;
+    }
+
+    if (tok.type === 'word' || tok.type === 'string') {
+      next();
+      const after = peek();
+
+      if (after.type === ':' || after.type === 'cmp') {
+        const field = resolveSearchField(tok.value, options);
+        if (!field) return { type: 'term', field: null, value: foldSearchText(readAttachedText(tok)) };
+        next();
+        const valueTok = parseValue(after);
+        const value = String(valueTok.value || '');
+
+        if (after.type === 'cmp') {
+          if (!rangeFields.has(field)) {
+            throw new SearchQuerySyntaxError(`Field "${tok.value}" does not support ${after.value} comparisons`, after.pos);
+          }
+          const n = Number(value);
+          if (!/^-?\d+$/.test(value.trim()) || !Number.isFinite(n)) {
+            throw new SearchQuerySyntaxError(`Expected a number after ${after.value}`, valueTok.pos);
+          }
+          return { type: 'compare', field, op: after.value, value: n };
+        }
+
+        // field:1300-1350 on range-valued fields means numeric overlap.
+        const rm = value.trim().match(/^(\d+)\s*[-–]\s*(\d+)$/);
+        if (rangeFields.has(field) && rm) {
+          const a = Number(rm[1]);
+          const b = Number(rm[2]);
+          return { type: 'between', field, min: Math.min(a, b), max: Math.max(a, b) };
+        }
+
+        if (!value.trim()) throw new SearchQuerySyntaxError(`Expected a value after "${tok.value}:"`, valueTok.pos);
+        return { type: 'term', field, value: foldSearchText(value) };
+      }
+
+      if (!String(tok.value || '').trim()) throw new SearchQuerySyntaxError('Empty quoted phrase', tok.pos);
+      return { type: 'term', field: null, value: foldSearchText(tok.value) };
+    }
+
+    if (tok.type === ')') throw new SearchQuerySyntaxError('Unbalanced ")"', tok.pos);
+    if (tok.type === ':') throw new SearchQuerySyntaxError('Expected a field name before ":"', tok.pos);
+    if (tok.type === 'cmp') throw new SearchQuerySyntaxError(`Expected a field name before ${tok.value}`, tok.pos);
+    if (tok.type === 'op') throw new SearchQuerySyntaxError(`Expected a search term after ${tok.value}`, tok.pos);
+    throw new SearchQuerySyntaxError('Unexpected end of query', tok.pos);
+  }
+
+  if (peek().type === 'eof') return null;
+  const ast = parseOr();
+  const rest = peek();
+  if (rest.type !== 'eof') {
+    if (rest.type === ')') throw new SearchQuerySyntaxError('Unbalanced ")"', rest.pos);
+    throw new SearchQuerySyntaxError(`Unexpected ${describe(rest)}`, rest.pos);
+  }
+  return ast;
+}
+
+// Returns { ast, error } where error is { message, position } or null.
+// ast === null with no error means "match everything" (empty query).
+function compileSearchQuery(text, options = {}) {
+  try {
+    return { ast: parseSearchQuery(text, options), error: null };
+  } catch (e) {
+    if (e instanceof SearchQuerySyntaxError) {
+      return { ast: null, error: { message: e.message, position: e.position } };
+    }
+    throw e;
+  }
+}
+
+function searchRangeMatches(range, node) {
+  if (!range) return false;
+  const min = range.min;
+  const max = range.max;
+  if (typeof min !== 'number' || Number.isNaN(min)) return false;
+  if (typeof max !== 'number' || Number.isNaN(max)) return false;
+
+  if (node.type === 'between') return !(max < node.min || min > node.max);
+
+  // "dating<1350": some part of the range lies before 1350; ">" looks at the late end.
+  switch (node.op) {
+    case '<': return min < node.value;
+    case '<=': return min <= node.value;
+    case '>': return max > node.value;
+    case '>=': return max >= node.value;
+    case '=': return min <= node.value && node.value <= max;
+    default: return false;
+  }
+}
+
+function searchTermMatches(record, node) {
+  const values = record.values(node.field);
+  for (const v of values) {
+    if (v && v.includes(node.value)) return true;
+  }
+  return false;
+}
+
+// Evaluate against a group of records (one row in Text View, all rows of a
+// manuscript in Manuscript View). A term holds if any record satisfies it, so
+// "script:gothic AND dating<1350" can be met by different rows of one manuscript.
+function evaluateSearchQuery(ast, records) {
+  if (!ast) return true;
+  const list = Array.isArray(records) ? records : [records];
+
+  switch (ast.type) {
+    case 'and': return evaluateSearchQuery(ast.left, list) && evaluateSearchQuery(ast.right, list);
+    case 'or': return evaluateSearchQuery(ast.left, list) || evaluateSearchQuery(ast.right, list);
+    case 'not': return !evaluateSearchQuery(ast.expr, list);
+    case 'term': return list.some(r => searchTermMatches(r, ast));
+    case 'compare':
+    case 'between':
+      return list.some(r => searchRangeMatches(r.range(ast.field), ast));
+    default: return false;
+  }
+}
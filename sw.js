@@ -0,0 +1,193 @@
+// Service worker: offline copy of the app and the catalogue data.
+//
+// - App files and the CDN libraries are precached on install and served
+//   stale-while-revalidate, so code updates arrive on the next reload.
+// - Data files (data/*) are served cache-first so the catalogue works without a
+//   network. The page sends the list of data files to precache (see
+//   getOfflineDataUrls() in table.js) and asks for a freshness check; the cached
+//   copies are only replaced when the user asks for an update.
+
+const CACHE_PREFIX = 'nordiclaw-';
+const APP_CACHE = CACHE_PREFIX + 'app-v1';
+const DATA_CACHE = CACHE_PREFIX + 'data-v1';
+const CACHED_AT_HEADER = 'X-NordicLaw-Cached-At';
+
+const APP_URLS = [
+  './',
+  'index.html',
+  'table.js',
+  'search-query.js',
+  'facet-engine.js',
+  'facet-worker.js',
+  'export-formats.js',
+  'tei-export.js',
+  'dating.js',
+  'bibliography.js',
+  'scribes.js',
+  'dimensions.js',
+  'local-store.js',
+  'https://cdn.jsdelivr.net/npm/bootstrap@5.3.2/dist/css/bootstrap.min.css',
+  'https://cdn.jsdelivr.net/npm/bootstrap@5.3.2/dist/js/bootstrap.bundle.min.js',
+  'https://cdnjs.cloudflare.com/ajax/libs/jspdf/2.5.1/jspdf.umd.min.js',
+  'https://cdnjs.cloudflare.com/ajax/libs/html2canvas/1.4.1/html2canvas.min.js',
+  'https://cdnjs.cloudflare.com/ajax/libs/leaflet/1.9.4/leaflet.min.css',
+  'https://cdnjs.cloudflare.com/ajax/libs/leaflet/1.9.4/leaflet.min.js',
+];
+
+const APP_HREFS = APP_URLS.map(u => new URL(u, self.registration.scope).href);
+
+function isDataRequest(url) {
+  return url.origin === self.location.origin && url.pathname.includes('/data/');
+}
+
+function isAppRequest(url) {
+  if (url.origin === self.location.origin) return true;
+  return APP_HREFS.includes(url.href);
+}
+
+// Stamp the time a response was cached so the page can show how old the copy is.
+async function stampResponse(resp) {
+  const headers = new Headers(resp.headers);
+  headers.set(CACHED_AT_HEADER, String(Date.now()));
+  const body = await resp.blob();
+  return new Response(body, { status: resp.status, statusText: resp.statusText, headers });
+}
+
+async function cacheFromNetwork(cache, url) {
+  const resp = await fetch(url, { cache: 'no-store' });
+  if (!resp.ok) throw new Error(`HTTP ${resp.status} for ${url}`);
+  await cache.put(url, await stampResponse(resp));
+}
+
+self.addEventListener('install', (event) => {
+  event.waitUntil((async () => {
+    const cache = await caches.open(APP_CACHE);
+    // Cache what we can; one unreachable CDN must not block installation.
+    await Promise.all(APP_HREFS.map(href => cacheFromNetwork(cache, href).catch(() => {})));
+    await self.skipWaiting();
+  })());
+});
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil((async () => {
+    const keep = new Set([APP_CACHE, DATA_CACHE]);
+    for (const name of await caches.keys()) {
+      if (name.startsWith(CACHE_PREFIX) && !keep.has(name)) await caches.delete(name);
+    }
+    await self.clients.claim();
+  })());
+});
+
+self.addEventListener('fetch', (event) => {
+  const req = event.request;
+  if (req.method !== 'GET') return;
+  const url = new URL(req.url);
+
+  if (isDataRequest(url)) {
+    event.respondWith((async () => {
+      const cache = await caches.open(DATA_CACHE);
+      const hit = await cache.match(url.href, { ignoreSearch: true });
+      if (hit) return hit;
+      const resp = await fetch(req);
+      if (resp.ok) {
+        const stamped = await stampResponse(resp);
+        await cache.put(url.href, stamped.clone());
+        return stamped;
+      }
+      return resp;
+    })());
+    return;
+  }
+
+  if (isAppRequest(url)) {
+    event.respondWith((async () => {
+      const cache = await caches.open(APP_CACHE);
+      const key = (req.mode === 'navigate') ? new URL('index.html', self.registration.scope).href : url.href;
+      const hit = await cache.match(key, { ignoreSearch: true });
+      const update = fetch(req).then(async (resp) => {
+        if (resp.ok && resp.type !== 'opaque') await cache.put(key, await stampResponse(resp.clone()));
+        return resp;
+      });
+      if (hit) {
+        event.waitUntil(update.catch(() => {}));
+        return hit;
+      }
+      return update;
+    })());
+  }
+});
+
+// A cached copy is stale when the server reports a different validator for it.
+function responsesDiffer(cached, fresh) {
+  for (const h of ['ETag', 'Last-Modified', 'Content-Length']) {
+    const a = cached.headers.get(h);
+    const b = fresh.headers.get(h);
+    if (a && b) return a !== b;
+  }
+  return false;
+}
+
+// Precache missing data files, then compare the cached ones with the server.
+// Resolves to { state: 'fresh' | 'stale' | 'offline', cachedAt, stale: [], missing: [] }.
+async function checkDataCache(urls) {
+  const cache = await caches.open(DATA_CACHE);
+  const status = { state: 'fresh', cachedAt: null, stale: [], missing: [] };
+
+  for (const href of urls) {
+    let cached = await cache.match(href);
+    if (!cached && status.state !== 'offline') {
+      try {
+        await cacheFromNetwork(cache, href);
+        cached = await cache.match(href);
+      } catch (e) {
+        if (!navigator.onLine) status.state = 'offline';
+      }
+    }
+    if (!cached) {
+      status.missing.push(href);
+      continue;
+    }
+
+    const at = Number(cached.headers.get(CACHED_AT_HEADER));
+    if (Number.isFinite(at) && at > 0 && (status.cachedAt === null || at < status.cachedAt)) status.cachedAt = at;
+
+    if (status.state === 'offline') continue;
+    try {
+      const head = await fetch(href, { method: 'HEAD', cache: 'no-store' });
+      if (head.ok && responsesDiffer(cached, head)) status.stale.push(href);
+    } catch (e) {
+      status.state = 'offline';
+    }
+  }
+
+  if (status.state !== 'offline' && status.stale.length) status.state = 'stale';
+  return status;
+}
+
+async function refreshDataCache(urls) {
+  const cache = await caches.open(DATA_CACHE);
+  await Promise.all(urls.map(href => cacheFromNetwork(cache, href).catch(() => {})));
+}
+
+self.addEventListener('message', (event) => {
+  const msg = event.data || {};
+  const port = event.ports && event.ports[0];
+  const reply = (payload) => { if (port) port.postMessage(payload); };
+  const urls = Array.isArray(msg.urls)
+    ? msg.urls.map(u => new URL(u, self.registration.scope).href)
+    : [];
+
+  if (msg.type === 'check-data') {
+    event.waitUntil(checkDataCache(urls)
+      .then(status => reply({ type: 'data-status', status }))
+      .catch(e => reply({ type: 'error', message: String(e && e.message || e) })));
+    return;
+  }
+
+  if (msg.type === 'refresh-data') {
+    event.waitUntil(refreshDataCache(urls)
+      .then(() => checkDataCache(urls))
+      .then(status => reply({ type: 'data-status', status }))
+      .catch(e => reply({ type: 'error', message: String(e && e.message || e) })));
+  }
+});
@@ -1,67 +1,3 @@
-// Parse a Dating string to an overall year range.
-// Example: "1363 (ff. 18-23 1500-1525)" => { min: 1363, max: 1525 }
-function parseDatingRange(dating) {
-  if (dating === null || dating === undefined) return null;
-  const s = String(dating);
-  if (!s.trim()) return null;
-  const years = [];
-
-  // Year ranges (support 3-4 digits; include both endpoints).
-  const rangeRe = /(\d{3,4})\s*[-–]\s*(\d{3,4})/g;
-  let m;
-  while ((m = rangeRe.exec(s)) !== null) {
-    const a = Number(m[1]);
-    const b = Number(m[2]);
-    if (Number.isFinite(a)) years.push(a);
-    if (Number.isFinite(b)) years.push(b);
-  }
-
-  // Individual years (4-digit).
-  const yearRe = /(\d{4})/g;
-  while ((m = yearRe.exec(s)) !== null) {
-    const y = Number(m[1]);
-    if (Number.isFinite(y)) years.push(y);
-  }
-
-  // Century shorthand (e.g. "1200s" => 1200-1299).
-  const centuryRe = /(\d{3})00s/g;
-  while ((m = centuryRe.exec(s)) !== null) {
-    const start = Number(String(m[1]) + '00');
-    if (Number.isFinite(start)) {
-      years.push(start);
-      years.push(start + 99);
-    }
-  }
-
-  // Ordinal centuries (e.g. "14th century" => 1300-1399).
-  const ordinalCenturyRe = /(\d{1,2})(?:th|st|nd|rd)\s*cent/ig;
-  while ((m = ordinalCenturyRe.exec(s)) !== null) {
-    const c = Number(m[1]);
-    if (Number.isFinite(c) && c >= 1) {
-      const start = (c - 1) * 100;
-      years.push(start);
-      years.push(start + 99);
-    }
-  }
-
-  const filtered = years
-    .filter(y => typeof y === 'number' && Number.isFinite(y))
-    // Exclude post-1800 years (often literature/reference years like 1885/1988/2023).
-    .filter(y => y >= 500 && y <= 1800);
-  if (filtered.length === 0) return null;
-
-  return {
-    min: Math.min(...filtered),
-    max: Math.max(...filtered),
-  };
-}
-
-// Improved: parse a Dating string to a year (earliest year in the Dating string).
-function parseDatingYear(dating) {
-  const r = parseDatingRange(dating);
-  return r ? r.min : null;
-}
-
 function escapeHtml(text) {
   if (text === null || text === undefined) return '';
   return String(text)
@@ -169,8 +105,11 @@ function applyFrozenColumnsToTable(tableEl, fields = FROZEN_COLUMNS) {
   if (!baseBg || baseBg.a === 0) baseBg = parseCssRgba(getComputedStyle(document.body).backgroundColor);
   if (!baseBg || baseBg.a === 0) baseBg = { r: 255, g: 255, b: 255, a: 1 };
 
+  // Cells of further header rows (the Text View filter row) follow their column.
+  const extraHeadCells = Array.from(tableEl.querySelectorAll('thead tr:not(:first-child) th'));
+
   // Clear previous frozen styling (important when columns toggle visibility).
-  for (const th of headCells) {
+  for (const th of headCells.concat(extraHeadCells)) {
     th.classList.remove('frozen-col', 'frozen-col-edge', 'frozen-col-first');
     th.style.left = '';
     th.style.backgroundColor = '';
@@ -195,6 +134,14 @@ function applyFrozenColumnsToTable(tableEl, fields = FROZEN_COLUMNS) {
     if (isEdge) th.classList.add('frozen-col-edge');
     th.style.left = `${Math.round(left)}px`;
     th.style.backgroundColor = getOpaqueCellBackground(th, baseBg);
+    for (const extra of extraHeadCells) {
+      if (extra.getAttribute('data-field') !== field) continue;
+      extra.classList.add('frozen-col');
+      if (isFirst) extra.classList.add('frozen-col-first');
+      if (isEdge) extra.classList.add('frozen-col-edge');
+      extra.style.left = `${Math.round(left)}px`;
+      extra.style.backgroundColor = getOpaqueCellBackground(extra, baseBg);
+    }
 
     const bodyCells = Array.from(tableEl.querySelectorAll(`tbody td[data-field="${cssEscape(field)}"]`));
     for (const td of bodyCells) {
@@ -257,39 +204,6 @@ function normalizeGatherings(value) {
   return s;
 }
 
-function normalizeScribe(value) {
-  if (value === null || value === undefined) return '';
-  let s = String(value).replace(/\r/g, '').trim();
-  if (!s) return '';
-  s = s.replace(/\s+/g, ' ').trim();
-
-  // Normalize to '; '-separated segments for repeated hand markers.
-  const markerRe = /(Hand\s+[A-Za-z]\b|Marginal:)/g;
-  const matches = Array.from(s.matchAll(markerRe));
-  if (matches.length <= 1) return s;
-
-  const starts = matches
-    .map(m => (typeof m.index === 'number' ? m.index : -1))
-    .filter(i => i >= 0)
-    .sort((a, b) => a - b);
-  if (starts.length <= 1) return s;
-
-  const parts = [];
-  const prefix = s.slice(0, starts[0]).trim();
-  if (prefix) parts.push(prefix.replace(/;+\s*$/g, '').trim());
-
-  for (let i = 0; i < starts.length; i++) {
-    const start = starts[i];
-    const end = (i + 1 < starts.length) ? starts[i + 1] : s.length;
-    let part = s.slice(start, end).trim();
-    part = part.replace(/^;+\s*/g, '');
-    part = part.replace(/;+\s*$/g, '').trim();
-    if (part) parts.push(part);
-  }
-
-  return parts.join('; ');
-}
-
 // Canonical column order for UI display (matches the TSV export order, with Language injected).
 const COLUMN_ORDER = [
   "Depository",
@@ -306,6 +220,7 @@ const COLUMN_ORDER = [
   "Gatherings",
   "Full size",
   "Leaf size",
+  "Proportion",
   "Catch Words and Gatherings",
   "Pricking",
   "Material",
@@ -338,7 +253,7 @@ function buildDisplayColumns(headers) {
   const headerSet = new Set(hs);
 
   // Hide internal/derived helper fields from UI column lists.
-  const hidden = new Set(["Century", "DatingYear", "DatingMinYear", "DatingMaxYear", "Main text group", "Depository_abbr"]);
+  const hidden = new Set(["Century", "DatingYear", "DatingMinYear", "DatingMaxYear", "Main text group", "Depository_abbr", "Origin place", "Depository place"]);
 
   const out = [];
   const base = Array.isArray(COLUMN_ORDER) && COLUMN_ORDER.length ? COLUMN_ORDER : hs;
@@ -395,6 +310,7 @@ const COLUMN_PRESETS = {
     "Gatherings",
     "Full size",
     "Leaf size",
+    "Proportion",
     "Catch Words and Gatherings",
     "Pricking",
     "Ruling",
@@ -537,6 +453,19 @@ function getTableVisibleColumnsArray(columnsFull) {
 }
 
 let TEXT_COLUMN_DEFS = null; // field -> colDef
+
+// Text View header sort: [{ field, dir }], persisted like the other view settings.
+const TEXT_SORT_STORAGE_KEY = "nordiclaw.textSort";
+let TEXT_SORT = [];
+
+// Columns whose header sort compares parsed values rather than text.
+const TEXT_COLUMN_SORTERS = {
+  "Shelf mark": compareShelfmarks,
+  "Lines": sortByParsedLines,
+  "Columns": sortByParsedLines,
+  "Dating": sortByDating,
+  "Proportion": sortByNumber,
+};
 let TEXT_ALWAYS_COLUMNS = []; // extra hidden columns that should stay attached
 
 function updateTextViewColumnsFromVisibility() {
@@ -556,6 +485,7 @@ function updateTextViewColumnsFromVisibility() {
       try { table.redraw(true); } catch (e) {}
     }
   }
+  syncUrlState();
 }
 
 function renderTableColumnsMenu() {
@@ -745,6 +675,278 @@ let currentView = "merged";
 // Text View table adapter instance (SimpleTable).
 let table = null;
 
+// "All" results with more rows than this are rendered through VirtualRowWindow.
+const VIRTUAL_RENDER_MIN_ROWS = 200;
+
+// Windowed rendering for long tables: only the blocks (a row, or a manuscript's
+// group of rows) near the visible part of `scrollEl` are materialized in `tbody`;
+// spacer rows stand in for the rest. Block heights are estimated from the average
+// row height until a block has been rendered and measured.
+//   options.count          number of blocks
+//   options.colSpan        columns to span with the spacer cells
+//   options.blockRowCount  (i) => rows in block i (default 1)
+//   options.renderBlock    (i, tbody) => append block i's <tr>s to tbody
+//   options.onRender       called after each window change (e.g. applyFrozenColumns)
+class VirtualRowWindow {
+  constructor(scrollEl, tbody, options = {}) {
+    this._scrollEl = scrollEl;
+    this._tbody = tbody;
+    this._count = Math.max(0, Number(options.count) || 0);
+    this._colSpan = Math.max(1, Number(options.colSpan) || 1);
+    this._blockRowCount = (typeof options.blockRowCount === 'function') ? options.blockRowCount : (() => 1);
+    this._renderBlock = options.renderBlock;
+    this._onRender = options.onRender;
+    this._heights = new Array(this._count);
+    this._rowHeight = 33;
+    this._measuredRows = 0;
+    this._measuredHeight = 0;
+    this._range = null;
+    this._raf = 0;
+
+    this._onScroll = () => {
+      if (this._raf) return;
+      const schedule = (typeof requestAnimationFrame === 'function') ? requestAnimationFrame : (fn => setTimeout(fn, 16));
+      this._raf = schedule(() => {
+        this._raf = 0;
+        this.update();
+      });
+    };
+    if (this._scrollEl) this._scrollEl.addEventListener('scroll', this._onScroll, { passive: true });
+    window.addEventListener('resize', this._onScroll);
+    this.update(true);
+  }
+
+  destroy() {
+    if (this._scrollEl) this._scrollEl.removeEventListener('scroll', this._onScroll);
+    window.removeEventListener('resize', this._onScroll);
+    this._renderBlock = null;
+  }
+
+  _blockHeight(i) {
+    const h = this._heights[i];
+    if (typeof h === 'number') return h;
+    return Math.max(1, this._blockRowCount(i)) * this._rowHeight;
+  }
+
+  _buildSpacer(height) {
+    const tr = document.createElement('tr');
+    tr.className = 'virtual-spacer';
+    tr.setAttribute('aria-hidden', 'true');
+    const td = document.createElement('td');
+    td.colSpan = this._colSpan;
+    td.style.height = `${Math.round(height)}px`;
+    tr.appendChild(td);
+    return tr;
+  }
+
+  update(force) {
+    if (!this._tbody || typeof this._renderBlock !== 'function') return;
+    const scrollEl = this._scrollEl;
+    const overscan = 600;
+    const scrollTop = scrollEl ? scrollEl.scrollTop : 0;
+    const viewHeight = (scrollEl && scrollEl.clientHeight) || window.innerHeight || 800;
+    // Offset of the first block within the scrolled content (below the sticky header).
+    const bodyTop = scrollEl
+      ? this._tbody.getBoundingClientRect().top - scrollEl.getBoundingClientRect().top + scrollTop
+      : 0;
+    const from = scrollTop - bodyTop - overscan;
+    const to = scrollTop - bodyTop + viewHeight + overscan;
+
+    let start = 0;
+    let offset = 0;
+    while (start < this._count - 1 && offset + this._blockHeight(start) < from) {
+      offset += this._blockHeight(start);
+      start++;
+    }
+    const before = offset;
+    let end = start;
+    while (end < this._count && offset < to) {
+      offset += this._blockHeight(end);
+      end++;
+    }
+    let after = 0;
+    for (let i = end; i < this._count; i++) after += this._blockHeight(i);
+
+    if (!force && this._range && this._range.start === start && this._range.end === end) return;
+    this._range = { start, end };
+
+    const tbody = this._tbody;
+    tbody.innerHTML = '';
+    tbody.appendChild(this._buildSpacer(before));
+    // Keep the first real row on the same odd/even position as in the full table
+    // so .table-striped stays correct.
+    if (start % 2 === 0) tbody.appendChild(this._buildSpacer(0));
+
+    const spans = [];
+    for (let i = start; i < end; i++) {
+      const first = tbody.rows.length;
+      this._renderBlock(i, tbody);
+      spans.push({ i, first, last: tbody.rows.length - 1 });
+    }
+    tbody.appendChild(this._buildSpacer(after));
+
+    for (const sp of spans) {
+      if (sp.last < sp.first) continue;
+      const top = tbody.rows[sp.first].getBoundingClientRect().top;
+      const bottom = tbody.rows[sp.last].getBoundingClientRect().bottom;
+      const h = bottom - top;
+      if (!(h > 0)) continue;
+      if (typeof this._heights[sp.i] !== 'number') {
+        this._measuredRows += (sp.last - sp.first) + 1;
+        this._measuredHeight += h;
+      }
+      this._heights[sp.i] = h;
+    }
+    if (this._measuredRows > 0) this._rowHeight = this._measuredHeight / this._measuredRows;
+
+    if (typeof this._onRender === 'function') {
+      try { this._onRender(); } catch (e) { /* ignore */ }
+    }
+  }
+}
+
+// [{ field, dir: 'asc'|'desc' }], first entry is the primary key.
+function normalizeTableSort(sort) {
+  const out = [];
+  if (!Array.isArray(sort)) return out;
+  for (const s of sort) {
+    const field = s && s.field ? String(s.field) : '';
+    if (!field || out.some(o => o.field === field)) continue;
+    out.push({ field, dir: (s.dir === 'desc') ? 'desc' : 'asc' });
+  }
+  return out;
+}
+
+function isEmptySortValue(value) {
+  return value === null || value === undefined || (typeof value === 'number' && Number.isNaN(value)) || String(value).trim() === '';
+}
+
+// Compare two rows on one column. Empty cells are decided here; for the rest a column
+// may supply `sorter(a, b, rowA, rowB)` returning a number, or { value, empty } when
+// it can tell that a value is unusable (e.g. an unparsable number).
+// Returns { value, empty } where `empty` marks a comparison decided by a missing value.
+function compareTableCells(colDef, rowA, rowB) {
+  const field = colDef.field;
+  const a = rowA ? rowA[field] : null;
+  const b = rowB ? rowB[field] : null;
+  const aEmpty = isEmptySortValue(a);
+  const bEmpty = isEmptySortValue(b);
+  if (aEmpty || bEmpty) return { value: (aEmpty === bEmpty) ? 0 : (aEmpty ? 1 : -1), empty: aEmpty !== bEmpty };
+  if (typeof colDef.sorter === 'function') {
+    const cmp = colDef.sorter(a, b, rowA, rowB);
+    if (cmp && typeof cmp === 'object') return cmp;
+    return { value: Number(cmp) || 0, empty: false };
+  }
+  if (typeof a === 'number' && typeof b === 'number') return { value: a - b, empty: false };
+  return { value: compareText(a, b), empty: false };
+}
+
+// Numeric comparison for columns parsed into {min, max} ranges; unparsable values go last.
+function compareParsedRanges(ra, rb) {
+  if (!ra || !rb) return { value: (!ra === !rb) ? 0 : (!ra ? 1 : -1), empty: !ra !== !rb };
+  return { value: (ra.min - rb.min) || (ra.max - rb.max), empty: false };
+}
+
+function sortByParsedLines(a, b) {
+  return compareParsedRanges(parseLinesRange(a), parseLinesRange(b));
+}
+
+function sortByNumber(a, b) {
+  const toRange = (v) => {
+    const n = parseFloat(v);
+    return Number.isFinite(n) ? { min: n, max: n } : null;
+  };
+  return compareParsedRanges(toRange(a), toRange(b));
+}
+
+function getRowDatingRange(row) {
+  return (row && typeof row.DatingMinYear === 'number' && typeof row.DatingMaxYear === 'number')
+    ? { min: row.DatingMinYear, max: row.DatingMaxYear }
+    : null;
+}
+
+function sortByDating(_a, _b, rowA, rowB) {
+  return compareParsedRanges(getRowDatingRange(rowA), getRowDatingRange(rowB));
+}
+
+// First number or "a-b" range in a cell, ignoring comments and "ca.".
+function parseNumericCellRange(value) {
+  if (value === null || value === undefined) return null;
+  if (typeof value === 'number') return Number.isNaN(value) ? null : { min: value, max: value };
+  const s = stripCaPrefix(stripParenComments(String(value)));
+  let m = s.match(/(\d+)\s*[-–]\s*(\d+)/);
+  if (m) {
+    const a = parseInt(m[1], 10);
+    const b = parseInt(m[2], 10);
+    return { min: Math.min(a, b), max: Math.max(a, b) };
+  }
+  m = s.match(/\d+/);
+  if (m) {
+    const n = parseInt(m[0], 10);
+    return { min: n, max: n };
+  }
+  return null;
+}
+
+// Text View column filter syntax:
+//   /pattern/flags  regular expression (case-insensitive unless flags are given)
+//   20..30, 20.., ..30, >=25, >25, <=3, <3, =4  numeric range; a cell matches when its
+//                   parsed number or range overlaps (colDef.headerFilterRange overrides parsing)
+//   anything else   case- and diacritic-insensitive substring
+// Returns a row predicate, or null when the text is empty or not a valid expression.
+function buildHeaderFilterMatcher(text, colDef) {
+  const q = String(text || '').trim();
+  if (!q || !colDef || !colDef.field) return null;
+  const field = colDef.field;
+  const cellText = (row) => {
+    const v = row ? row[field] : '';
+    return (v === null || v === undefined) ? '' : String(v);
+  };
+
+  const re = q.match(/^\/(.+)\/([a-z]*)$/);
+  if (re) {
+    let rx;
+    try {
+      rx = new RegExp(re[1], re[2] || 'i');
+    } catch (e) {
+      return null;
+    }
+    return (row) => {
+      rx.lastIndex = 0;
+      return rx.test(cellText(row));
+    };
+  }
+
+  let bound = null;
+  const cmp = q.match(/^(<=|>=|<|>|=)\s*(-?\d+)$/);
+  if (cmp) {
+    const n = Number(cmp[2]);
+    if (cmp[1] === '=') bound = { min: n, max: n };
+    else if (cmp[1] === '>=') bound = { min: n, max: null };
+    else if (cmp[1] === '>') bound = { min: n + 1, max: null };
+    else if (cmp[1] === '<=') bound = { min: null, max: n };
+    else bound = { min: null, max: n - 1 };
+  } else if (q.includes('..')) {
+    bound = parseRangeParam(q.replace(/\s+/g, ''));
+    if (!bound) return null;
+  }
+  if (bound) {
+    const getRange = (typeof colDef.headerFilterRange === 'function')
+      ? (row) => colDef.headerFilterRange(row ? row[field] : null, row)
+      : (row) => parseNumericCellRange(row ? row[field] : null);
+    return (row) => {
+      const r = getRange(row);
+      if (!r) return false;
+      if (bound.min !== null && r.max < bound.min) return false;
+      if (bound.max !== null && r.min > bound.max) return false;
+      return true;
+    };
+  }
+
+  const needle = normalizeFacetSearchText(q);
+  return (row) => normalizeFacetSearchText(cellText(row)).includes(needle);
+}
+
 class SimpleTable {
   constructor(containerSelector, options = {}) {
     this._root = (typeof containerSelector === 'string')
@@ -754,6 +956,10 @@ class SimpleTable {
     this._baseData = Array.isArray(options.data) ? options.data.slice() : [];
     this._filterFn = null;
     this._filtered = this._baseData.slice();
+    this._sort = normalizeTableSort(options.sort);
+    this._headerFilters = new Map(); // field -> raw input text
+    this._headerFilterTimer = null;
+    this._virtual = null;
     if (options && options.pageSize === true) {
       this._pageSize = Number.POSITIVE_INFINITY;
     } else if (options && options.pageSize !== undefined && options.pageSize !== null) {
@@ -788,6 +994,7 @@ class SimpleTable {
       if (this._page > 1) {
         this._page -= 1;
         this._render();
+        this._emit('pageChanged', this._page);
       }
     });
 
@@ -800,6 +1007,7 @@ class SimpleTable {
       if (this._page < totalPages) {
         this._page += 1;
         this._render();
+        this._emit('pageChanged', this._page);
       }
     });
 
@@ -864,9 +1072,44 @@ class SimpleTable {
 
   setColumns(columns) {
     this._columns = Array.isArray(columns) ? columns.slice() : [];
+    this._applyFilter();
+    this._render();
+  }
+
+  getSort() {
+    return this._sort.map(s => ({ field: s.field, dir: s.dir }));
+  }
+
+  setSort(sort) {
+    this._sort = normalizeTableSort(sort);
+    this._page = 1;
+    this._applyFilter();
     this._render();
   }
 
+  // Header click: asc -> desc -> off. Shift-click adds/cycles a secondary key
+  // instead of replacing the current sort.
+  _toggleSort(field, additive) {
+    const idx = this._sort.findIndex(s => s.field === field);
+    const current = (idx >= 0) ? this._sort[idx].dir : null;
+    const next = (current === null) ? 'asc' : (current === 'asc' ? 'desc' : null);
+    let sort = additive ? this._sort.slice() : this._sort.filter(s => s.field === field);
+    const at = sort.findIndex(s => s.field === field);
+    if (next === null) {
+      if (at >= 0) sort.splice(at, 1);
+    } else if (at >= 0) {
+      sort[at] = { field, dir: next };
+    } else {
+      sort.push({ field, dir: next });
+    }
+    this.setSort(sort);
+    this._emit('sortChanged', this.getSort());
+  }
+
+  _isSortableColumn(colDef) {
+    return !!(colDef && colDef.field && colDef.headerSort !== false);
+  }
+
   replaceData(rows) {
     this._baseData = Array.isArray(rows) ? rows.slice() : [];
     this._page = 1;
@@ -900,21 +1143,96 @@ class SimpleTable {
     this._render();
   }
 
+  getPage() {
+    return this._page;
+  }
+
+  setPage(page) {
+    const n = parseInt(page, 10);
+    const totalPages = this._getTotalPages();
+    this._page = (Number.isFinite(n) && n >= 1) ? Math.min(n, totalPages) : 1;
+    this._render();
+  }
+
   redraw(_force) {
     this._render();
   }
 
+  getHeaderFilters() {
+    return Array.from(this._headerFilters.entries()).map(([field, value]) => ({ field, value }));
+  }
+
+  setHeaderFilterValue(field, value) {
+    const f = String(field || '');
+    if (!f) return;
+    const v = (value === null || value === undefined) ? '' : String(value);
+    if (v.trim()) this._headerFilters.set(f, v);
+    else this._headerFilters.delete(f);
+    this._page = 1;
+    this._applyFilter();
+    this._render();
+  }
+
+  clearHeaderFilter() {
+    if (!this._headerFilters.size) return;
+    this._headerFilters.clear();
+    this._page = 1;
+    this._applyFilter();
+    this._render();
+  }
+
+  // Header filters of shown columns; invalid expressions (e.g. a broken regex) are skipped.
+  _getHeaderFilterMatchers() {
+    const out = [];
+    for (const c of this._getRenderColumns()) {
+      if (!c || !c.field || !c.headerFilter) continue;
+      const text = this._headerFilters.get(String(c.field));
+      if (!text) continue;
+      const matcher = buildHeaderFilterMatcher(text, c);
+      if (matcher) out.push(matcher);
+    }
+    return out;
+  }
+
   _applyFilter() {
-    if (!this._filterFn) {
+    const matchers = this._getHeaderFilterMatchers();
+    if (!this._filterFn && !matchers.length) {
       this._filtered = this._baseData.slice();
     } else {
       this._filtered = this._baseData.filter(r => {
-        try { return !!this._filterFn(r); } catch (e) { return false; }
+        try {
+          if (this._filterFn && !this._filterFn(r)) return false;
+          return matchers.every(m => m(r));
+        } catch (e) {
+          return false;
+        }
       });
     }
+    this._applySort();
     this._emit('dataFiltered', [], this._filtered.slice());
   }
 
+  // Sort keys only apply while their column is shown; ties keep the data order.
+  _applySort() {
+    const renderCols = this._getRenderColumns();
+    const keys = this._sort
+      .map(s => ({ dir: s.dir, col: renderCols.find(c => c && c.field === s.field) }))
+      .filter(k => this._isSortableColumn(k.col));
+    if (!keys.length) return;
+
+    const decorated = this._filtered.map((r, idx) => ({ r, idx }));
+    decorated.sort((a, b) => {
+      for (const k of keys) {
+        const cmp = compareTableCells(k.col, a.r, b.r);
+        // Empty cells stay at the bottom in both directions.
+        if (cmp.empty) return cmp.value;
+        if (cmp.value) return (k.dir === 'desc') ? -cmp.value : cmp.value;
+      }
+      return a.idx - b.idx;
+    });
+    this._filtered = decorated.map(x => x.r);
+  }
+
   _getTotalPages() {
     if (!Number.isFinite(this._pageSize)) return 1;
     return Math.max(1, Math.ceil(this._filtered.length / this._pageSize));
@@ -922,10 +1240,13 @@ class SimpleTable {
 
   _render() {
     if (!this._root) return;
+    this._renderHeader();
+    this._renderBody();
+  }
 
+  _renderHeader() {
     const renderCols = this._getRenderColumns();
 
-    // Header
     this._thead.innerHTML = '';
     const trh = document.createElement('tr');
     for (const c of renderCols) {
@@ -933,49 +1254,139 @@ class SimpleTable {
       const field = c && c.field ? String(c.field) : '';
       if (field) th.setAttribute('data-field', field);
       th.textContent = c && c.title ? String(c.title) : '';
+      if (this._isSortableColumn(c)) {
+        const idx = this._sort.findIndex(s => s.field === field);
+        th.classList.add('sortable');
+        th.title = 'Click to sort; Shift-click to add a secondary sort';
+        th.setAttribute('aria-sort', (idx < 0) ? 'none' : (this._sort[idx].dir === 'asc' ? 'ascending' : 'descending'));
+        if (idx >= 0) {
+          const ind = document.createElement('span');
+          ind.className = 'sort-indicator';
+          ind.textContent = (this._sort[idx].dir === 'asc' ? '\u25B2' : '\u25BC') + (this._sort.length > 1 ? String(idx + 1) : '');
+          th.appendChild(ind);
+        }
+        th.addEventListener('click', (ev) => this._toggleSort(field, !!ev.shiftKey));
+      }
       trh.appendChild(th);
     }
     this._thead.appendChild(trh);
 
+    // Filter row: one input under each column that declares `headerFilter`.
+    if (renderCols.some(c => c && c.headerFilter)) {
+      const trf = document.createElement('tr');
+      trf.className = 'simple-table-filter-row';
+      for (const c of renderCols) {
+        const th = document.createElement('th');
+        const field = c && c.field ? String(c.field) : '';
+        if (field) th.setAttribute('data-field', field);
+        if (field && c.headerFilter) th.appendChild(this._buildHeaderFilterInput(c));
+        trf.appendChild(th);
+      }
+      this._thead.appendChild(trf);
+      // Stick below the title row.
+      const h = trh.getBoundingClientRect().height;
+      if (h > 0) trf.querySelectorAll('th').forEach(th => { th.style.top = `${Math.round(h)}px`; });
+    }
+  }
+
+  _buildHeaderFilterInput(colDef) {
+    const field = String(colDef.field);
+    const input = document.createElement('input');
+    input.type = 'search';
+    input.className = 'form-control form-control-sm';
+    input.placeholder = colDef.headerFilterPlaceholder ? String(colDef.headerFilterPlaceholder) : '';
+    input.title = 'Text, /regex/, or a number range such as 20..30, >=25, <3';
+    input.setAttribute('aria-label', `Filter ${colDef.title || field}`);
+    input.value = this._headerFilters.get(field) || '';
+    input.classList.toggle('is-invalid', !!input.value && !buildHeaderFilterMatcher(input.value, colDef));
+
+    const apply = () => {
+      clearTimeout(this._headerFilterTimer);
+      const v = input.value;
+      input.classList.toggle('is-invalid', !!v.trim() && !buildHeaderFilterMatcher(v, colDef));
+      if (v.trim()) this._headerFilters.set(field, v);
+      else this._headerFilters.delete(field);
+      this._page = 1;
+      this._applyFilter();
+      // Only the body is redrawn so the input keeps focus while typing.
+      this._renderBody();
+      this._emit('headerFilterChanged', this.getHeaderFilters());
+    };
+
+    if (colDef.headerFilterLiveFilter === false) {
+      input.addEventListener('change', apply);
+    } else {
+      input.addEventListener('input', () => {
+        clearTimeout(this._headerFilterTimer);
+        this._headerFilterTimer = setTimeout(apply, 200);
+      });
+      input.addEventListener('change', apply);
+    }
+    // Typing in the filter must not trigger the column sort.
+    input.addEventListener('click', (ev) => ev.stopPropagation());
+    return input;
+  }
+
+  _buildRow(rowData, renderCols) {
+    const tr = document.createElement('tr');
+    tr.style.cursor = 'pointer';
+    tr.addEventListener('click', (ev) => {
+      const rowObj = { getData: () => rowData };
+      this._emit('rowClick', ev, rowObj);
+    });
+
+    for (const colDef of renderCols) {
+      const field = colDef && colDef.field ? colDef.field : '';
+      const raw = rowData ? rowData[field] : '';
+      const td = document.createElement('td');
+      if (field) td.setAttribute('data-field', String(field));
+
+      if (colDef && typeof colDef.formatter === 'function') {
+        const rowObj = { getData: () => rowData };
+        const cellObj = {
+          getValue: () => raw,
+          getRow: () => rowObj,
+        };
+        const html = colDef.formatter(cellObj);
+        td.innerHTML = (html === null || html === undefined) ? '' : String(html);
+      } else {
+        td.textContent = (raw === null || raw === undefined) ? '' : String(raw);
+      }
+
+      tr.appendChild(td);
+    }
+    return tr;
+  }
+
+  _renderBody() {
+    const renderCols = this._getRenderColumns();
+
     // Body
+    if (this._virtual) {
+      this._virtual.destroy();
+      this._virtual = null;
+    }
     this._tbody.innerHTML = '';
     const start = (!Number.isFinite(this._pageSize)) ? 0 : (this._page - 1) * this._pageSize;
     const end = (!Number.isFinite(this._pageSize)) ? this._filtered.length : Math.min(this._filtered.length, start + this._pageSize);
     const pageRows = this._filtered.slice(start, end);
 
-    for (const rowData of pageRows) {
-      const tr = document.createElement('tr');
-      tr.style.cursor = 'pointer';
-      tr.addEventListener('click', (ev) => {
-        const rowObj = { getData: () => rowData };
-        this._emit('rowClick', ev, rowObj);
+    if (!Number.isFinite(this._pageSize) && pageRows.length > VIRTUAL_RENDER_MIN_ROWS) {
+      // "All": only materialize the rows around the viewport.
+      this._virtual = new VirtualRowWindow(this._scrollEl, this._tbody, {
+        count: pageRows.length,
+        colSpan: renderCols.length,
+        renderBlock: (i, tbody) => tbody.appendChild(this._buildRow(pageRows[i], renderCols)),
+        onRender: () => applyFrozenColumnsToTable(this._tableEl),
       });
-
-      for (const colDef of renderCols) {
-        const field = colDef && colDef.field ? colDef.field : '';
-        const raw = rowData ? rowData[field] : '';
-        const td = document.createElement('td');
-        if (field) td.setAttribute('data-field', String(field));
-
-        if (colDef && typeof colDef.formatter === 'function') {
-          const rowObj = { getData: () => rowData };
-          const cellObj = {
-            getValue: () => raw,
-            getRow: () => rowObj,
-          };
-          const html = colDef.formatter(cellObj);
-          td.innerHTML = (html === null || html === undefined) ? '' : String(html);
-        } else {
-          td.textContent = (raw === null || raw === undefined) ? '' : String(raw);
-        }
-
-        tr.appendChild(td);
+    } else {
+      for (const rowData of pageRows) {
+        this._tbody.appendChild(this._buildRow(rowData, renderCols));
       }
-      this._tbody.appendChild(tr);
-    }
 
-    // Re-apply frozen columns after every render (page change, data change, column visibility change).
-    try { applyFrozenColumns(); } catch (e) {}
+      // Re-apply frozen columns after every render (page change, data change, column visibility change).
+      try { applyFrozenColumns(); } catch (e) {}
+    }
 
     // Pager
     const totalPages = this._getTotalPages();
@@ -991,6 +1402,12 @@ class SimpleTable {
 
 // Persist the selected view across reloads (helps with Live Server reload behavior)
 const VIEW_STORAGE_KEY = "nordiclaw.view";
+const VIEW_NAMES = ["merged", "table", "timeline", "map", "bibliography", "relations", "sizes"];
+
+// Every view except Text View shows the facet engine's manuscript list.
+function isManuscriptListView(view) {
+  return view !== "table";
+}
 
 // Persist Facet sidebar visibility across reloads.
 const FACETS_HIDDEN_STORAGE_KEY = "nordiclaw.facetsHidden";
@@ -1064,6 +1481,207 @@ function compareText(a, b) {
   return ax.localeCompare(bx, undefined, { numeric: true, sensitivity: 'base' });
 }
 
+// Format designators, in catalogue order (no format sorts first).
+const SHELFMARK_FORMAT_RANK = {
+  "fol": 1,
+  "4to": 2, "4:o": 2, "4o": 2,
+  "8vo": 3, "8:o": 3, "8o": 3,
+  "12mo": 4, "12vo": 4, "12:o": 4,
+};
+
+const SHELFMARK_PARSE_CACHE = new Map();
+
+function parseRomanNumeral(token) {
+  // Only multi-letter numerals and I/V/X: single C, D, L, M are shelfmark letters ("NRA 1 C").
+  if (!/^[IVXLC]+$/.test(token) || (token.length === 1 && !/[IVX]/.test(token))) return null;
+  const values = { I: 1, V: 5, X: 10, L: 50, C: 100 };
+  let n = 0;
+  for (let i = 0; i < token.length; i++) {
+    const v = values[token[i]];
+    const next = values[token[i + 1]] || 0;
+    n += (v < next) ? -v : v;
+  }
+  return n;
+}
+
+// "AM 315 k fol." -> { collection: "am", number: 315, suffix: [{ num: null, text: "k" }], format: 1 }
+// "Isl. Perg. 4to 25" -> { collection: "isl perg", number: 25, suffix: [], format: 2 }
+// The collection is everything before the first number; later letters, numbers and
+// roman numerals ("AM 173 d A 10", "AM 1056 XXII 4to", "B 179 [2]") form the suffix.
+// Parenthesized notes ("B 24 (29?)") are ignored; combined shelfmarks sort by the first part.
+function parseShelfmark(value) {
+  const raw = normalizeForCompare(value);
+  if (SHELFMARK_PARSE_CACHE.has(raw)) return SHELFMARK_PARSE_CACHE.get(raw);
+
+  const collection = [];
+  const suffix = [];
+  let number = null;
+  let format = 0;
+  const words = raw.replace(/\([^)]*\)/g, ' ').replace(/[\u201C\u201D\u201E"]/g, '').split(/[\s,;&]+/).filter(Boolean);
+  for (const word of words) {
+    const rank = SHELFMARK_FORMAT_RANK[word.toLowerCase().replace(/\.$/, '')];
+    if (rank) {
+      if (!format) format = rank;
+      continue;
+    }
+    for (const part of word.split(/[.\[\]\u2013-]+/).filter(Boolean)) {
+      if (number === null && !/^\d+$/.test(part)) {
+        collection.push(part.toLowerCase());
+      } else if (number === null) {
+        number = parseInt(part, 10);
+      } else if (/^\d+$/.test(part)) {
+        suffix.push({ num: parseInt(part, 10), text: part });
+      } else {
+        suffix.push({ num: parseRomanNumeral(part), text: part });
+      }
+    }
+  }
+
+  const parsed = { collection: collection.join(' '), number, suffix, format };
+  SHELFMARK_PARSE_CACHE.set(raw, parsed);
+  return parsed;
+}
+
+// Catalogue order: collection, number, suffix (numbers before letters), then format.
+function compareShelfmarks(a, b) {
+  const pa = parseShelfmark(a);
+  const pb = parseShelfmark(b);
+  const collCmp = compareText(pa.collection, pb.collection);
+  if (collCmp) return collCmp;
+  if (pa.number !== pb.number) {
+    if (pa.number === null) return 1;
+    if (pb.number === null) return -1;
+    return pa.number - pb.number;
+  }
+  const n = Math.min(pa.suffix.length, pb.suffix.length);
+  for (let i = 0; i < n; i++) {
+    const x = pa.suffix[i];
+    const y = pb.suffix[i];
+    if (x.num !== null && y.num !== null) {
+      if (x.num !== y.num) return x.num - y.num;
+    } else if (x.num !== null || y.num !== null) {
+      return (x.num !== null) ? -1 : 1;
+    }
+    const textCmp = compareText(x.text, y.text);
+    if (textCmp) return textCmp;
+  }
+  if (pa.suffix.length !== pb.suffix.length) return pa.suffix.length - pb.suffix.length;
+  if (pa.format !== pb.format) return pa.format - pb.format;
+  return compareText(a, b);
+}
+
+// Related Shelfmarks: free text such as "Holm Perg. 30 4to; C 17 (Storm 1885: 661)" or
+// "II.29 (Ólafur Halldórsson, 1094); AM 173 a 1 4to". Shelfmarks of loaded manuscripts
+// (any source) found in the text are resolved so they can be linked.
+const RELATED_SHELFMARK_MAX_TOKENS = 8;
+
+// Older names for collections, as cited in the catalogues.
+const SHELFMARK_COLLECTION_ALIASES = {
+  "holm perg": "isl perg",
+  "holm papp": "isl papp",
+};
+
+let RELATED_SHELFMARK_INDEX = null; // { rows, manuscripts, byKey: Map(lookup key -> [target]), targets: Map(msKey -> target), graph }
+
+// Comparable form of a shelfmark; without the format, "JS fragm 12" also finds "JS fragm 12 4to".
+function getShelfmarkLookupKey(value, withFormat = true) {
+  const p = parseShelfmark(value);
+  if (!p.collection || p.number === null) return "";
+  const collection = SHELFMARK_COLLECTION_ALIASES[p.collection] || p.collection;
+  const key = `${collection}|${p.number}|${p.suffix.map(x => x.text.toLowerCase()).join(" ")}`;
+  return withFormat ? `${key}|${p.format}` : `~${key}`;
+}
+
+function getRelatedShelfmarkIndex() {
+  if (RELATED_SHELFMARK_INDEX && RELATED_SHELFMARK_INDEX.rows === allRows) return RELATED_SHELFMARK_INDEX;
+
+  const byKey = new Map();
+  const targets = new Map();
+  const manuscripts = groupByPreserveOrder(allRows || [], getManuscriptKey);
+  for (const ms of manuscripts) {
+    const first = ms.rows[0] || {};
+    const sourceId = getSourceIdForManuscript(ms.key, ms.rows);
+    if (!sourceId) continue;
+    const shelfmark = normalizeForCompare(first["Shelf mark"]);
+    const target = { msKey: ms.key, sourceId, shelfmark, depository: normalizeForCompare(first["Depository_abbr"]) };
+    targets.set(ms.key, target);
+    for (const key of [getShelfmarkLookupKey(shelfmark), getShelfmarkLookupKey(shelfmark, false)]) {
+      if (!key) continue;
+      if (!byKey.has(key)) byKey.set(key, []);
+      byKey.get(key).push(target);
+    }
+  }
+  RELATED_SHELFMARK_INDEX = { rows: allRows, manuscripts, byKey, targets, graph: null };
+  return RELATED_SHELFMARK_INDEX;
+}
+
+// Several manuscripts share a shelfmark across depositories ("B 62"): prefer the depository
+// named just before it ("UUB B 62"), then the citing manuscript's own depository.
+// One-letter collections ("C 19") double as sigla in editions, so they need one of the two.
+function pickRelatedShelfmarkTarget(candidates, span, hint, fromDepository) {
+  const matchesHint = t => t.depository.toUpperCase() === hint;
+  const matchesOwn = t => t.depository === fromDepository;
+  let list = candidates;
+  if (parseShelfmark(span).collection.length === 1) list = list.filter(t => matchesHint(t) || matchesOwn(t));
+  if (list.length === 1) return list[0];
+  const byHint = list.filter(matchesHint);
+  if (byHint.length === 1) return byHint[0];
+  const byOwn = list.filter(matchesOwn);
+  return (byOwn.length === 1) ? byOwn[0] : null;
+}
+
+// Shelfmarks of other loaded manuscripts in a Related Shelfmarks value: [{ start, end, target }].
+// `fromKey` is the manuscript key (getManuscriptKey) of the manuscript the value belongs to.
+function findRelatedShelfmarks(text, fromKey = "") {
+  const s = String(text || "");
+  if (!s.trim()) return [];
+  const index = getRelatedShelfmarkIndex();
+  const fromDepository = String(fromKey || "").split("||")[0];
+
+  const tokens = [];
+  const re = /[^\s;,\/()&"?]+/g;
+  let m;
+  while ((m = re.exec(s))) tokens.push({ text: m[0], start: m.index, end: m.index + m[0].length });
+
+  const hits = [];
+  let start = 0;
+  while (start < tokens.length) {
+    // A shelfmark ends a run of tokens separated only by spaces ("copy of AM 350 fol.").
+    let end = start;
+    while (end + 1 < tokens.length && !/\S/.test(s.slice(tokens[end].end, tokens[end + 1].start))) end += 1;
+
+    for (let i = Math.max(start, end - RELATED_SHELFMARK_MAX_TOKENS + 1); i <= end; i++) {
+      const span = s.slice(tokens[i].start, tokens[end].end);
+      let candidates = index.byKey.get(getShelfmarkLookupKey(span)) || [];
+      if (!candidates.length && !parseShelfmark(span).format) candidates = index.byKey.get(getShelfmarkLookupKey(span, false)) || [];
+      candidates = candidates.filter(t => t.msKey !== fromKey);
+      if (!candidates.length) continue;
+      const hint = (i > 0) ? tokens[i - 1].text.toUpperCase() : "";
+      const target = pickRelatedShelfmarkTarget(candidates, span, hint, fromDepository);
+      if (target) {
+        hits.push({ start: tokens[i].start, end: tokens[end].end, target });
+        break;
+      }
+    }
+    start = end + 1;
+  }
+  return hits;
+}
+
+function renderRelatedShelfmarksHtml(text, fromKey = "") {
+  const s = String(text || "");
+  let html = "";
+  let pos = 0;
+  for (const hit of findRelatedShelfmarks(s, fromKey)) {
+    const t = hit.target;
+    const title = `${expandDepositoryLabel(t.depository)} — ${t.shelfmark}`;
+    html += escapeHtml(s.slice(pos, hit.start));
+    html += `<a href="#" class="ms-open-details" data-ms-key="${escapeHtml(t.msKey)}" data-source-id="${escapeHtml(t.sourceId)}" title="${escapeHtml(title)}">${escapeHtml(s.slice(hit.start, hit.end))}</a>`;
+    pos = hit.end;
+  }
+  return html + escapeHtml(s.slice(pos));
+}
+
 function compareManuscripts(msA, msB, sortMode) {
   const aRows = (msA && Array.isArray(msA.rows)) ? msA.rows : [];
   const bRows = (msB && Array.isArray(msB.rows)) ? msB.rows : [];
@@ -1086,7 +1704,7 @@ function compareManuscripts(msA, msB, sortMode) {
   // Default: stable manuscript ordering by Depository then Shelf mark.
   const depCmp = compareText(aDep, bDep);
   if (depCmp) return depCmp;
-  const shelfCmp = compareText(aShelf, bShelf);
+  const shelfCmp = compareShelfmarks(aShelf, bShelf);
   if (shelfCmp) return shelfCmp;
   return 0;
 }
@@ -1106,7 +1724,7 @@ function sortRowsForTextView(rows, sortMode) {
 
     const depCmp = compareText(ra["Depository_abbr"] || ra["Depository"] || "", rb["Depository_abbr"] || rb["Depository"] || "");
     if (depCmp) return depCmp;
-    const shelfCmp = compareText(ra["Shelf mark"] || "", rb["Shelf mark"] || "");
+    const shelfCmp = compareShelfmarks(ra["Shelf mark"] || "", rb["Shelf mark"] || "");
     if (shelfCmp) return shelfCmp;
     return a.idx - b.idx;
   });
@@ -1170,12 +1788,75 @@ let RAW_MERGES_BY_SOURCE = new Map();  // sourceId -> { columns: string[], merge
 let RAW_ROWS_BY_SOURCE = new Map();    // sourceId -> RawRow[] (in source-row order)
 let RAW_EXCEL_HEADERS = null;          // string[] including inserted Language
 
-const RAW_EXCEL_SOURCES = [
-  { id: "dan", lang: "da", tsv: "data/1.0_Metadata_Dan_raw.tsv", merges: "data/1.0_Metadata_Dan_raw_merges.json", segments: "data/1.0_Metadata_Dan_segments.json" },
-  { id: "isl", lang: "is", tsv: "data/1.1_Metadata_Isl_raw.tsv", merges: "data/1.1_Metadata_Isl_raw_merges.json", segments: "data/1.1_Metadata_Isl_segments.json" },
-  { id: "norw", lang: "no", tsv: "data/1.2_Metadata_Norw_raw.tsv", merges: "data/1.2_Metadata_Norw_raw_merges.json", segments: "data/1.2_Metadata_Norw_segments.json" },
-  { id: "swe", lang: "sv", tsv: "data/1.1_Metadata_Swe_raw.tsv", merges: "data/1.1_Metadata_Swe_raw_merges.json", segments: "data/1.1_Metadata_Swe_segments.json" },
-];
+// Sources are declared in data/manifest.json:
+//   { "sources": [ { "id", "language", "name", "tsv", "merges", "segments", "columns"? } ] }
+// "columns" optionally maps a source's own header names to the canonical ones
+// (e.g. { "Signum": "Shelf mark" }) so a new collection needs no code changes.
+const DATA_MANIFEST_URL = "data/manifest.json";
+let DATA_MANIFEST_LOADING = null;
+let RAW_EXCEL_SOURCES = []; // [{ id, lang, name, tsv, merges, segments, columns }] in manifest order
+
+async function loadDataManifest() {
+  if (DATA_MANIFEST_LOADING) return DATA_MANIFEST_LOADING;
+
+  DATA_MANIFEST_LOADING = (async () => {
+    try {
+      const resp = await fetch(DATA_MANIFEST_URL);
+      if (!resp.ok) throw new Error(`Failed to fetch ${DATA_MANIFEST_URL}: ${resp.status}`);
+      const manifest = await resp.json();
+      const list = (manifest && Array.isArray(manifest.sources)) ? manifest.sources : [];
+
+      const sources = [];
+      for (const s of list) {
+        if (!s || typeof s !== 'object') continue;
+        const id = normalizeForCompare(s.id);
+        const tsv = normalizeForCompare(s.tsv);
+        if (!id || !tsv) {
+          console.warn('Ignoring manifest source without id/tsv:', s);
+          continue;
+        }
+        const lang = normalizeForCompare(s.language).toLowerCase();
+        sources.push({
+          id,
+          lang,
+          name: normalizeForCompare(s.name) || lang,
+          tsv,
+          merges: normalizeForCompare(s.merges) || null,
+          segments: normalizeForCompare(s.segments) || null,
+          columns: (s.columns && typeof s.columns === 'object') ? s.columns : null,
+        });
+        if (lang && !LANGUAGE_MAP[lang]) LANGUAGE_MAP[lang] = normalizeForCompare(s.name) || lang;
+      }
+      RAW_EXCEL_SOURCES = sources;
+    } catch (e) {
+      console.error('Failed to load data manifest:', e);
+      RAW_EXCEL_SOURCES = [];
+    }
+    return RAW_EXCEL_SOURCES;
+  })();
+
+  return DATA_MANIFEST_LOADING;
+}
+
+// Rename a source's TSV headers to canonical column names (manifest "columns").
+function mapSourceHeaders(src, headers) {
+  const mapping = (src && src.columns) ? src.columns : null;
+  if (!mapping) return headers.slice();
+  return headers.map(h => {
+    const key = String(h || '').trim();
+    return Object.prototype.hasOwnProperty.call(mapping, key) ? String(mapping[key]) : h;
+  });
+}
+
+// Language names of the manifest sources, in manifest order (Language facet).
+function getManifestLanguageNames() {
+  const names = [];
+  for (const src of RAW_EXCEL_SOURCES) {
+    const name = LANGUAGE_MAP[src.lang] || src.name || src.lang;
+    if (name && !names.includes(name)) names.push(name);
+  }
+  return names;
+}
 
 // Segments JSON (manuscript-level description extracted from raw TSV + merges).
 let SEGMENTS_LOADING = null;
@@ -1207,34 +1888,270 @@ function buildMsKeyFromDepositoryShelfmark(depositoryAbbr, shelfmark) {
   return (d || '') + '||' + (s || '');
 }
 
-async function ensureSegmentsLoaded() {
-  if (SEGMENTS_LOADED || SEGMENTS_FAILED) return Promise.resolve();
-  if (SEGMENTS_LOADING) return SEGMENTS_LOADING;
+// Runtime fallback for a missing segments JSON: rebuild the same structure from the
+// raw TSV + merge coordinates, following the rules of the offline export:
+// - a manuscript starts at every row with a Shelf mark and runs until the next one;
+// - a merged range becomes one 'merge' segment, any other non-empty cell a 'cell' segment;
+// - each segment's locus is derived from the Leaves/Pages values of its rows.
+const SEGMENT_EXCLUDED_COLUMNS = new Set(["Depository", "Shelf mark", "Language", "Leaves/Pages"]);
+
+// Undo csv-style quoting that survives in some TSV cells ("Rigens rett" -> Rigens rett).
+function unquoteTsvCell(value) {
+  const v = String(value || '');
+  if (v[0] !== '"') return v;
+  let out = '';
+  let i = 1;
+  while (i < v.length) {
+    if (v[i] === '"') {
+      if (v[i + 1] === '"') { out += '"'; i += 2; continue; }
+      i++;
+      break;
+    }
+    out += v[i++];
+  }
+  return out + v.slice(i);
+}
 
-  SEGMENTS_LOADING = (async () => {
-    try {
-      const results = await Promise.all(RAW_EXCEL_SOURCES.map(async (src) => {
-        if (!src || !src.segments) return false;
-        try {
-          const resp = await fetch(src.segments);
-          if (!resp.ok) throw new Error(`Failed to fetch ${src.segments}: ${resp.status}`);
-          const root = await resp.json();
-          SEGMENTS_BY_SOURCE.set(src.id, root);
-
-          // Build msKey index: Depository||Shelfmark (normalized).
-          const idx = new Map();
-          const manuscripts = (root && Array.isArray(root.manuscripts)) ? root.manuscripts : [];
-          for (const ms of manuscripts) {
-            if (!ms || typeof ms !== 'object') continue;
-            const key = buildMsKeyFromDepositoryShelfmark(ms.Depository, ms.Shelfmark);
-            if (!key || key === '||') continue;
-            idx.set(key, ms);
-          }
-          SEGMENTS_INDEX_BY_SOURCE.set(src.id, idx);
-          return true;
-        } catch (e) {
-          console.warn(`Segments JSON not available for ${src.id}: ${src.segments}`, e);
-          return false;
+// "12v", "12va", "12:7" -> { n: 12, side: 'v' | 'r' | '' }
+function parseLocusPoint(text) {
+  const m = String(text || '').trim().match(/^(\d+)([rv])?/);
+  return m ? { n: Number(m[1]), side: m[2] || '' } : null;
+}
+
+// Same leaf: recto first, then an unspecified side, then verso.
+function compareLocusPoints(a, b) {
+  if (a.n !== b.n) return a.n - b.n;
+  const rank = s => (s === 'r' ? 0 : (s === 'v' ? 2 : 1));
+  return rank(a.side) - rank(b.side);
+}
+
+// One Leaves/Pages item, e.g. "ff. 12r-15v", "F. 58r-v", "f.146v:9-25".
+function parseLocusPart(part) {
+  let s = String(part || '').replace(/[()*]/g, '').trim();
+  let prefix = null;
+  const pm = s.match(/^(ff?)\.\s*/i);
+  if (pm) {
+    prefix = pm[1].toLowerCase() + '.';
+    s = s.slice(pm[0].length);
+  }
+
+  const dash = s.search(/[-–]/);
+  const from = parseLocusPoint(dash === -1 ? s : s.slice(0, dash));
+  if (!from) return null;
+
+  const right = (dash === -1) ? '' : s.slice(dash + 1).trim();
+  let to = from;
+  if (/^[rv]$/.test(right)) to = { n: from.n, side: right };
+  else if (right) to = parseLocusPoint(right) || from;
+
+  if (compareLocusPoints(from, to) > 0) return { prefix, from: to, to: from };
+  return { prefix, from, to };
+}
+
+function parseLeavesPagesLocus(leavesPages) {
+  const evidence = { leavesPages };
+  let first = null;
+  let last = null;
+  for (const value of leavesPages) {
+    for (const piece of String(value).split(/[;,]/)) {
+      const p = parseLocusPart(piece);
+      if (!p) continue;
+      if (!first || compareLocusPoints(p.from, first.from) < 0) first = p;
+      if (!last || compareLocusPoints(p.to, last.to) > 0) last = p;
+    }
+  }
+  if (!first) return { kind: null, from: null, to: null, rendered: null, evidence };
+
+  const prefix = first.prefix || 'ff.';
+  const from = `${first.from.n}${first.from.side}`;
+  const to = `${last.to.n}${last.to.side}`;
+  return { kind: 'f', from, to, prefix, rendered: `${prefix} ${from}-${to}`, evidence };
+}
+
+// Loci such as "ff. 18-23" or "f. 94, f. 95".
+function parseLocusList(text) {
+  return String(text || '').split(/[;,]/).map(parseLocusPart).filter(Boolean);
+}
+
+// Datings that apply to one row. A dating given for particular folios, e.g. the
+// "ff. 18-23 1500-1525" in "1363 (ff. 18-23 1500-1525)", applies to the rows
+// lying within them; all other rows get the datings of the whole manuscript.
+function getRowDatingEntries(row) {
+  const entries = parseDating(row ? row["Dating"] : null);
+  const own = parseLocusList(row ? row["Leaves/Pages"] : '');
+  if (own.length) {
+    // Unspecified sides on the dating's locus cover the whole leaf.
+    const within = (p, l) => compareLocusPoints({ n: l.from.n, side: l.from.side || 'r' }, p.from) <= 0
+      && compareLocusPoints(p.to, { n: l.to.n, side: l.to.side || 'v' }) <= 0;
+    const hits = entries.filter(e => {
+      if (e.role === 'alternative' || !e.locus) return false;
+      const loci = parseLocusList(e.locus);
+      return loci.length && own.every(p => loci.some(l => within(p, l)));
+    });
+    if (hits.length) return { entries: hits, byLocus: true };
+  }
+  return { entries: entries.filter(e => e.role === 'main' || e.role === 'alternative'), byLocus: false };
+}
+
+// Year range of one row: its folio-specific dating, else the manuscript's main dating.
+function parseRowDatingRange(row) {
+  const { entries, byLocus } = getRowDatingEntries(row);
+  if (byLocus) return combineDatingRanges(entries);
+  const main = entries.filter(e => e.role === 'main');
+  return combineDatingRanges(main.length ? main : entries);
+}
+
+function buildSegmentsRootFromRaw(src, tsvText, mergesJson) {
+  const lines = String(tsvText || '').split(/\r?\n/);
+  const headers = mapSourceHeaders(src, (lines[0] || '').split('\t'));
+  const rowCount = (mergesJson && Number.isFinite(mergesJson.rowCount)) ? mergesJson.rowCount : Math.max(0, lines.length - 1);
+  const cells = [];
+  for (let i = 0; i < rowCount; i++) cells.push((lines[i + 1] || '').split('\t'));
+
+  const cell = (r, col) => {
+    const c = headers.indexOf(col);
+    if (c === -1 || !cells[r]) return '';
+    return unquoteTsvCell(cells[r][c]).trim();
+  };
+
+  const segmentColumns = COLUMN_ORDER.filter(c => !SEGMENT_EXCLUDED_COLUMNS.has(c) && headers.includes(c));
+
+  const mergesByColumn = new Map();
+  const merges = (mergesJson && Array.isArray(mergesJson.merges)) ? mergesJson.merges : [];
+  for (const m of merges) {
+    for (let c = m.minColIndex; c <= m.maxColIndex; c++) {
+      const col = headers[c];
+      if (!col) continue;
+      if (!mergesByColumn.has(col)) mergesByColumn.set(col, []);
+      mergesByColumn.get(col).push(m);
+    }
+  }
+
+  const starts = [];
+  let currentDepAbbr = '';
+  for (let r = 0; r < rowCount; r++) {
+    if (cell(r, 'Depository')) currentDepAbbr = cell(r, 'Depository');
+    if (cell(r, 'Shelf mark')) starts.push({ row: r, depository: currentDepAbbr });
+  }
+
+  const manuscripts = starts.map((st, k) => {
+    const start = st.row;
+    const end = (k + 1 < starts.length ? starts[k + 1].row : rowCount) - 1;
+    const segmentsByColumn = {};
+
+    for (const col of segmentColumns) {
+      // Merged ranges overlapping this manuscript, keyed by their first row inside it.
+      const mergeAt = new Map();
+      for (const m of (mergesByColumn.get(col) || [])) {
+        if (m.maxRow < start || m.minRow > end) continue;
+        mergeAt.set(Math.max(m.minRow, start), m);
+      }
+
+      const segs = [];
+      for (let r = start; r <= end; r++) {
+        const m = mergeAt.get(r);
+        const endAbs = m ? Math.min(m.maxRow, end) : r;
+        const label = m ? String(m.value ?? '').replace(/\s+/g, ' ').trim() : cell(r, col);
+        if (!m && !label) continue;
+
+        const leavesPages = [];
+        for (let x = r; x <= endAbs; x++) {
+          const lp = cell(x, 'Leaves/Pages');
+          if (lp) leavesPages.push(lp);
+        }
+        segs.push({
+          column: col,
+          label,
+          startRow: r - start,
+          endRow: endAbs - start,
+          startRowAbs: r,
+          endRowAbs: endAbs,
+          source: m ? 'merge' : 'cell',
+          locus: parseLeavesPagesLocus(leavesPages),
+        });
+        r = endAbs;
+      }
+      if (segs.length) segmentsByColumn[col] = segs;
+    }
+
+    return {
+      Shelfmark: cell(start, 'Shelf mark'),
+      Depository: st.depository,
+      rowRangeAbs: { start, end },
+      rowCount: end - start + 1,
+      segmentsByColumn,
+    };
+  });
+
+  return {
+    source: {
+      rawTsv: src.tsv,
+      mergesJson: src.merges,
+      excel: mergesJson ? (mergesJson.source || null) : null,
+      sheet: mergesJson ? (mergesJson.sheet || null) : null,
+      builtAtRuntime: true,
+    },
+    segmentColumns,
+    manuscripts,
+  };
+}
+
+async function fetchSegmentsRootFromRaw(src) {
+  const tsvResp = await fetch(src.tsv);
+  if (!tsvResp.ok) throw new Error(`Failed to fetch ${src.tsv}: ${tsvResp.status}`);
+  const tsvText = await tsvResp.text();
+
+  // Without merges every non-empty cell becomes its own segment.
+  let mergesJson = null;
+  try {
+    if (!src.merges) throw new Error(`No merges JSON configured for ${src.id}`);
+    const mergesResp = await fetch(src.merges);
+    if (mergesResp.ok) mergesJson = await mergesResp.json();
+  } catch (e) {
+    // ignore
+  }
+  return buildSegmentsRootFromRaw(src, tsvText, mergesJson);
+}
+
+function setSegmentsRoot(sourceId, root) {
+  SEGMENTS_BY_SOURCE.set(sourceId, root);
+
+  // Build msKey index: Depository||Shelfmark (normalized).
+  const idx = new Map();
+  const manuscripts = (root && Array.isArray(root.manuscripts)) ? root.manuscripts : [];
+  for (const ms of manuscripts) {
+    if (!ms || typeof ms !== 'object') continue;
+    const key = buildMsKeyFromDepositoryShelfmark(ms.Depository, ms.Shelfmark);
+    if (!key || key === '||') continue;
+    idx.set(key, ms);
+  }
+  SEGMENTS_INDEX_BY_SOURCE.set(sourceId, idx);
+}
+
+async function ensureSegmentsLoaded() {
+  if (SEGMENTS_LOADED || SEGMENTS_FAILED) return Promise.resolve();
+  if (SEGMENTS_LOADING) return SEGMENTS_LOADING;
+
+  SEGMENTS_LOADING = (async () => {
+    try {
+      await loadDataManifest();
+      const results = await Promise.all(RAW_EXCEL_SOURCES.map(async (src) => {
+        if (!src) return false;
+        try {
+          if (!src.segments) throw new Error(`No segments JSON configured for ${src.id}`);
+          const resp = await fetch(src.segments);
+          if (!resp.ok) throw new Error(`Failed to fetch ${src.segments}: ${resp.status}`);
+          setSegmentsRoot(src.id, await resp.json());
+          return true;
+        } catch (e) {
+          console.warn(`Segments JSON not available for ${src.id}: ${src.segments}; building from raw TSV.`, e);
+        }
+        try {
+          setSegmentsRoot(src.id, await fetchSegmentsRootFromRaw(src));
+          return true;
+        } catch (e) {
+          console.warn(`Could not build segments for ${src.id} from ${src.tsv}`, e);
+          return false;
         }
       }));
 
@@ -1361,6 +2278,120 @@ function renderManuscriptSection(title, bodyHtml) {
   `;
 }
 
+// Segment label as shown in the manuscript modal: Main/Minor text abbreviations expanded.
+function expandSegmentLabel(ms, col, rawLabel) {
+  const byCol = ms && ms.segmentsByColumn ? ms.segmentsByColumn : null;
+  const v = normalizeForCompare(rawLabel);
+  if (!v) return '';
+
+  if (col === 'Main text') {
+    const map = (typeof window !== 'undefined' && window.MAIN_TEXT_MAP)
+      ? window.MAIN_TEXT_MAP
+      : (typeof MAIN_TEXT_MAP !== 'undefined' ? MAIN_TEXT_MAP : null);
+    if (map && typeof map === 'object') {
+      return splitSemicolonList(v).map(part => formatAbbrExpansion(map, part)).join('; ');
+    }
+    return String(rawLabel);
+  }
+
+  if (col === 'Minor text') {
+    const minorMap = (typeof window !== 'undefined' && window.MINOR_TEXT_MAP)
+      ? window.MINOR_TEXT_MAP
+      : (typeof MINOR_TEXT_MAP !== 'undefined' ? MINOR_TEXT_MAP : null);
+
+    if (minorMap && typeof minorMap === 'object') {
+      // Determine main-text context from manuscript-level segments.
+      let mainCandidates = [];
+      const mainSegs = byCol && Array.isArray(byCol['Main text']) ? byCol['Main text'] : [];
+      for (const s of mainSegs) {
+        const mv = normalizeForCompare(s && s.label !== undefined ? s.label : '');
+        if (!mv) continue;
+        mainCandidates = mainCandidates.concat(
+          splitSemicolonList(mv)
+            .map(m => parseTrailingParenSuffix(m).base)
+            .filter(Boolean)
+        );
+      }
+      // De-duplicate while preserving order.
+      const seen = new Set();
+      mainCandidates = mainCandidates.filter(m => {
+        const k = String(m || '').trim();
+        if (!k || seen.has(k)) return false;
+        seen.add(k);
+        return true;
+      });
+
+      return splitSemicolonList(v).map(sectionAbbr => formatMinorTextExpansion(minorMap, mainCandidates, sectionAbbr)).join('; ');
+    }
+
+    return String(rawLabel);
+  }
+
+  return String(rawLabel);
+}
+
+const DATING_QUALIFIER_LABELS = {
+  circa: 'circa',
+  ante: 'before',
+  post: 'after',
+  uncertain: 'uncertain',
+  inferred: 'inferred',
+};
+const DATING_ROLE_LABELS = {
+  main: 'Main',
+  part: 'Part',
+  addition: 'Addition',
+  alternative: 'Alternative',
+};
+
+function formatDatingEntryRange(e) {
+  return (e.range.min === e.range.max) ? String(e.range.min) : `${e.range.min}\u2013${e.range.max}`;
+}
+
+function renderDatingQualifierHtml(e) {
+  if (!e.qualifier) return '';
+  return ` <span class="text-secondary">(${escapeHtml(DATING_QUALIFIER_LABELS[e.qualifier] || e.qualifier)})</span>`;
+}
+
+// Structured reading of a Dating value (see parseDating() in dating.js), shown
+// below the value when it says more than a single plain range.
+function renderDatingEntriesHtml(label) {
+  const entries = parseDating(label);
+  if (entries.some(e => e.sources.length)) return renderDatingAuthoritiesTable(entries);
+  if (entries.length < 2 && !entries.some(e => e.qualifier || e.locus || e.note)) return '';
+  const items = entries.map(e => {
+    const bits = [`<span class="badge text-bg-light border">${escapeHtml(DATING_ROLE_LABELS[e.role] || e.role)}</span>`];
+    bits.push(`<span class="fw-semibold">${escapeHtml(formatDatingEntryRange(e))}</span>${renderDatingQualifierHtml(e)}`);
+    if (e.locus) bits.push(`<span>${escapeHtml(e.locus)}</span>`);
+    const note = e.note ? `<div class="text-secondary">${escapeHtml(e.note)}</div>` : '';
+    return `<li class="mb-1">${bits.join(' ')}${note}</li>`;
+  }).join('');
+  return `<ul class="list-unstyled small mb-0 mt-1 dating-entries">${items}</ul>`;
+}
+
+// Competing datings side by side: one row per cited reference.
+function renderDatingAuthoritiesTable(entries) {
+  const rows = [];
+  for (const e of entries) {
+    const applies = [DATING_ROLE_LABELS[e.role] || e.role, e.locus, e.note].filter(Boolean).join(', ');
+    const sources = e.sources.length ? e.sources : [{ name: '', reference: '' }];
+    for (const src of sources) {
+      rows.push(`<tr>
+        <td>${escapeHtml(src.name || '\u2014')}</td>
+        <td class="text-nowrap">${escapeHtml(formatDatingEntryRange(e))}${renderDatingQualifierHtml(e)}</td>
+        <td class="text-break">${escapeHtml(src.reference !== src.name ? src.reference : '')}</td>
+        <td class="text-secondary">${escapeHtml(applies)}</td>
+      </tr>`);
+    }
+  }
+  return `
+    <table class="table table-sm small mb-0 mt-1 dating-authorities">
+      <thead><tr><th>Authority</th><th>Dating</th><th>Reference</th><th>Applies to</th></tr></thead>
+      <tbody>${rows.join('')}</tbody>
+    </table>
+  `;
+}
+
 function renderSegmentsColumnBlock(ms, col, ctx = null) {
   const byCol = ms && ms.segmentsByColumn ? ms.segmentsByColumn : null;
   const segsRaw = byCol && Array.isArray(byCol[col]) ? byCol[col] : [];
@@ -1390,78 +2421,6 @@ function renderSegmentsColumnBlock(ms, col, ctx = null) {
 
   if (!segs.length) return '';
 
-  function expandSegmentLabelForColumn(rawLabel) {
-    const v = normalizeForCompare(rawLabel);
-    if (!v) return '';
-
-    if (col === 'Main text') {
-      const map = (typeof window !== 'undefined' && window.MAIN_TEXT_MAP)
-        ? window.MAIN_TEXT_MAP
-        : (typeof MAIN_TEXT_MAP !== 'undefined' ? MAIN_TEXT_MAP : null);
-      if (map && typeof map === 'object') {
-        return splitSemicolonList(v).map(part => formatAbbrExpansion(map, part)).join('; ');
-      }
-      return String(rawLabel);
-    }
-
-    if (col === 'Minor text') {
-      const minorMap = (typeof window !== 'undefined' && window.MINOR_TEXT_MAP)
-        ? window.MINOR_TEXT_MAP
-        : (typeof MINOR_TEXT_MAP !== 'undefined' ? MINOR_TEXT_MAP : null);
-
-      if (minorMap && typeof minorMap === 'object') {
-        // Determine main-text context from manuscript-level segments.
-        let mainCandidates = [];
-        const mainSegs = byCol && Array.isArray(byCol['Main text']) ? byCol['Main text'] : [];
-        for (const s of mainSegs) {
-          const mv = normalizeForCompare(s && s.label !== undefined ? s.label : '');
-          if (!mv) continue;
-          mainCandidates = mainCandidates.concat(
-            splitSemicolonList(mv)
-              .map(m => parseTrailingParenSuffix(m).base)
-              .filter(Boolean)
-          );
-        }
-        // De-duplicate while preserving order.
-        const seen = new Set();
-        mainCandidates = mainCandidates.filter(m => {
-          const k = String(m || '').trim();
-          if (!k || seen.has(k)) return false;
-          seen.add(k);
-          return true;
-        });
-
-        return splitSemicolonList(v).map(sectionAbbr => {
-          const { base: sectionBase, suffix: sectionSuffix } = parseTrailingParenSuffix(sectionAbbr);
-          let full = null;
-
-          if (mainCandidates.length === 1) {
-            full = minorMap[minorTextKey(mainCandidates[0], sectionBase)] || null;
-          } else if (mainCandidates.length > 1) {
-            const matches = [];
-            for (const m of mainCandidates) {
-              const hit = minorMap[minorTextKey(m, sectionBase)];
-              if (hit) matches.push(hit);
-            }
-            if (matches.length === 1) full = matches[0];
-          }
-
-          if (full) {
-            const expandedSuffix = sectionSuffix ? expandParenSuffixWithAbbreviations(sectionSuffix) : "";
-            return `${sectionBase}${EN_DASH}${full}${expandedSuffix}`;
-          }
-
-          // Fall back to abbreviations.tsv (and suffix expansion) if applicable.
-          return formatAbbrExpansion(null, sectionAbbr);
-        }).join('; ');
-      }
-
-      return String(rawLabel);
-    }
-
-    return String(rawLabel);
-  }
-
   // Some columns should keep their data but not show the locus (folio/page range).
   const OMIT_LOCUS_COLS = new Set(['Full size', 'Literature', 'Links to Database']);
   // Also omit locus when there's only one item: a single segment usually describes the whole manuscript.
@@ -1473,11 +2432,19 @@ function renderSegmentsColumnBlock(ms, col, ctx = null) {
     const locus = s && s.locus ? s.locus : null;
     const locusText = normalizeRenderedLocus((locus && locus.rendered) ? String(locus.rendered) : '');
 
-    const expandedLabel = expandSegmentLabelForColumn(s && s.label !== undefined ? s.label : '');
+    const expandedLabel = expandSegmentLabel(ms, col, s && s.label !== undefined ? s.label : '');
 
     let valueHtml = '';
     if (col === 'Links to Database') {
       valueHtml = renderLinksToDatabaseHtml(s.label);
+    } else if (col === 'Dating') {
+      valueHtml = escapeHtml(String(expandedLabel || '')) + renderDatingEntriesHtml(expandedLabel);
+    } else if (col === 'Literature') {
+      valueHtml = escapeHtml(String(expandedLabel || '')) + renderLiteratureReferencesHtml(expandedLabel);
+    } else if (col === 'Related Shelfmarks') {
+      valueHtml = renderRelatedShelfmarksHtml(expandedLabel, ctx && ctx.msKey ? ctx.msKey : '');
+    } else if (col === 'Full size' || col === 'Leaf size') {
+      valueHtml = escapeHtml(String(expandedLabel || '')) + renderDimensionsHtml(expandedLabel);
     } else {
       valueHtml = escapeHtml(String(expandedLabel || ''));
     }
@@ -1498,14 +2465,56 @@ function renderSegmentsColumnBlock(ms, col, ctx = null) {
     `;
   }).join('');
 
+  const extra = (col === 'Scribe') ? renderScribeHandsHtml(segs) : '';
+
   return `
     <div class="mb-3">
       <div class="fw-bold">${escapeHtml(getColumnTitle(col))}</div>
       ${items}
+      ${extra}
     </div>
   `;
 }
 
+// The hands named in the Scribe segments, with the folios each one wrote. A hand
+// given without folios is credited with the folios of the segment that names it.
+function renderScribeHandsHtml(segs) {
+  const summary = summarizeScribeHands((segs || []).map(s => ({
+    text: s && s.label,
+    locus: normalizeRenderedLocus(s && s.locus && s.locus.rendered ? String(s.locus.rendered) : ''),
+  })));
+  if (!summary.hands.length) return '';
+
+  const rows = summary.hands.map(h => {
+    const notes = [];
+    if (h.uncertain) notes.push('uncertain');
+    if (h.marginal) notes.push('marginal');
+    const label = escapeHtml(h.id ? h.label : 'Named scribe') + (notes.length ? ` <span class="text-secondary">(${escapeHtml(notes.join(', '))})</span>` : '');
+    return `<tr><td class="text-nowrap">${label}</td><td>${escapeHtml(h.scribe || '—')}</td><td>${escapeHtml(h.loci.length ? h.loci.join('; ') : '—')}</td></tr>`;
+  });
+  let more = '';
+  if (summary.unnamed) more = `Also ${summary.unnamed} unnamed ${summary.unnamed === 1 ? 'hand' : 'hands'}.`;
+  else if (summary.several) more = 'Also further unnamed hands.';
+
+  return `
+    <table class="table table-sm small mb-0 mt-1 scribe-hands">
+      <thead><tr><th>Hand</th><th>Scribe</th><th>Folios</th></tr></thead>
+      <tbody>${rows.join('')}</tbody>
+    </table>
+    ${more ? `<div class="small text-secondary mt-1">${escapeHtml(more)}</div>` : ''}
+  `;
+}
+
+// Full references (data/bibliography.tsv) for the works cited in a Literature value.
+function renderLiteratureReferencesHtml(label) {
+  const items = getLiteratureCitations(label)
+    .map(c => ({ c, reference: getCitationReference(c.key) }))
+    .filter(it => it.reference);
+  if (!items.length) return '';
+  return `<ul class="literature-references list-unstyled small mt-1 mb-0">${items.map(({ c, reference }) =>
+    `<li><span class="fw-semibold">${escapeHtml(c.label)}</span>: ${escapeHtml(reference)}</li>`).join('')}</ul>`;
+}
+
 function renderManuscriptSegmentsColumns(ms, cols, ctx = null) {
   const out = [];
   for (const c of cols) {
@@ -1582,6 +2591,7 @@ function buildManuscriptModalHtml(ms, sourceId, msKey = null) {
   sections.push(renderManuscriptSection('Physical Description', renderManuscriptSegmentsColumns(ms, physicalCols, ctx)));
   sections.push(renderManuscriptSection('History', renderManuscriptSegmentsColumns(ms, historyCols, ctx)));
   sections.push(renderManuscriptSection('Bibliography', renderManuscriptSegmentsColumns(ms, bibliographyCols, ctx)));
+  sections.push(renderAnnotationSectionHtml(msKey));
 
   return sections.join('');
 }
@@ -1594,6 +2604,8 @@ async function openManuscriptDetailsModalByKey({ sourceId, msKey }) {
 
   await ensureSegmentsLoaded();
   try { await loadDepositoryMap(); } catch (e) {}
+  try { await loadBibliographyMap(); } catch (e) {}
+  await ensureAnnotationsLoaded();
   if (SEGMENTS_FAILED) {
     contentDiv.innerHTML = '<div class="text-danger">Segments data could not be loaded.</div>';
     return false;
@@ -1612,14 +2624,26 @@ async function openManuscriptDetailsModalByKey({ sourceId, msKey }) {
 
   contentDiv.innerHTML = buildManuscriptModalHtml(ms, sourceId, msKey);
 
+  const safe = (s) => String(s || '')
+    .replace(/[\\/:*?\"<>|]+/g, '-')
+    .replace(/\s+/g, ' ')
+    .trim();
   const pdfBtn = document.getElementById('download-ms-pdf-btn');
   if (pdfBtn) {
-    const safe = (s) => String(s || '')
-      .replace(/[\\/:*?\"<>|]+/g, '-')
-      .replace(/\s+/g, ' ')
-      .trim();
     pdfBtn.dataset.filename = `${safe(dep)}_${safe(shelfmark)}.pdf`;
   }
+  const teiBtn = document.getElementById('download-ms-tei-btn');
+  if (teiBtn) {
+    teiBtn.dataset.filename = `${safe(dep)}_${safe(shelfmark)}.xml`;
+    teiBtn.dataset.sourceId = sourceId || '';
+    teiBtn.dataset.msKey = msKey || '';
+  }
+  const basketBtn = document.getElementById('ms-basket-btn');
+  if (basketBtn) {
+    basketBtn.dataset.sourceId = sourceId || '';
+    basketBtn.dataset.msKey = msKey || '';
+    basketBtn.textContent = isInBasket(msKey) ? 'Remove from basket' : 'Add to basket';
+  }
 
   const bs = window.bootstrap || (typeof bootstrap !== 'undefined' ? bootstrap : null);
   if (bs && bs.Modal) {
@@ -1630,12 +2654,102 @@ async function openManuscriptDetailsModalByKey({ sourceId, msKey }) {
   return false;
 }
 
+// TEI <msDesc> export (tei-export.js) of the data behind the manuscript modal.
+const TEI_SPLIT_LIST_COLUMNS = new Set(['Main text', 'Minor text', 'Literature']);
+
+// "Den Arnamagnæanske Samling, Copenhagen" => { repository, settlement }
+function splitDepositoryName(label) {
+  const s = String(label || '').trim();
+  const i = s.lastIndexOf(',');
+  if (i === -1) return { repository: s, settlement: '' };
+  return { repository: s.slice(0, i).trim(), settlement: s.slice(i + 1).trim() };
+}
+
+function buildTeiManuscriptRecord(ms, sourceId, msKey = null) {
+  const src = RAW_EXCEL_SOURCES.find(x => x.id === sourceId) || null;
+  const shelfmark = ms && ms.Shelfmark ? String(ms.Shelfmark) : '';
+  const { repository, settlement } = splitDepositoryName(expandDepositoryLabel(ms && ms.Depository ? String(ms.Depository) : ''));
+  const languageName = (src && (LANGUAGE_MAP[src.lang] || src.name)) || pickFirstNonEmptySegmentLabel(ms, 'Language');
+
+  const columns = {};
+  const byCol = ms && ms.segmentsByColumn ? ms.segmentsByColumn : {};
+  for (const col of Object.keys(byCol)) {
+    if (col === 'Links to Database') continue;
+    const segs = Array.isArray(byCol[col]) ? byCol[col] : [];
+    columns[col] = segs.filter(seg => normalizeForCompare(seg && seg.label)).map(seg => {
+      const label = normalizeForCompare(seg.label);
+      const locus = seg.locus && seg.locus.rendered && seg.locus.kind !== 'mixed'
+        ? { from: seg.locus.from || '', to: seg.locus.to || '', text: normalizeRenderedLocus(seg.locus.rendered) }
+        : null;
+      const parts = TEI_SPLIT_LIST_COLUMNS.has(col)
+        ? splitSemicolonList(label).map(part => ({ key: part, text: expandSegmentLabel(ms, col, part) }))
+        : [];
+      const out = { label, parts, locus, startRow: seg.startRow, endRow: seg.endRow };
+      if (col === 'Dating') out.range = parseDatingRange(label);
+      return out;
+    });
+  }
+
+  // Same source as the modal: the manuscript-level merged raw value when available.
+  const rawBlock = msKey ? RAW_BY_MANUSCRIPT_KEY.get(msKey) : null;
+  const linksValue = (rawBlock && Array.isArray(rawBlock.rows) && rawBlock.rows.length)
+    ? aggregateFieldValues(rawBlock.rows, 'Links to Database', '; ')
+    : (Array.isArray(byCol['Links to Database']) ? byCol['Links to Database'].map(seg => seg && seg.label).filter(Boolean).join('; ') : '');
+  const links = splitLinksToDatabase(linksValue).map(part => {
+    const m = String(part).match(_MD_LINK_RE);
+    if (m) return { label: formatLinksToDatabaseLabel(m[1]), url: m[2].trim() };
+    if (/^https?:\/\//i.test(part)) return { label: part, url: part };
+    return { label: formatLinksToDatabaseLabel(part), url: '' };
+  });
+
+  const extent = computeManuscriptExtent(ms);
+  return {
+    id: toTeiId(msKey || `${ms && ms.Depository || ''}-${shelfmark}`),
+    settlement,
+    repository,
+    idno: shelfmark,
+    msName: pickFirstNonEmptySegmentLabel(ms, 'Name'),
+    object: pickFirstNonEmptySegmentLabel(ms, 'Object'),
+    language: { code: src ? src.lang : '', name: languageName },
+    extent: extent && extent.rendered ? normalizeRenderedLocus(extent.rendered) : '',
+    columns,
+    links,
+  };
+}
+
+// manuscripts: [{ sourceId, msKey }] => TEI document text (manuscripts without segments are skipped).
+async function buildTeiExport(manuscripts, title) {
+  await ensureSegmentsLoaded();
+  try { await loadDepositoryMap(); } catch (e) {}
+
+  const records = [];
+  for (const { sourceId, msKey } of manuscripts) {
+    const idx = sourceId ? SEGMENTS_INDEX_BY_SOURCE.get(sourceId) : null;
+    const ms = (idx && msKey) ? idx.get(msKey) : null;
+    if (ms) records.push(buildTeiManuscriptRecord(ms, sourceId, msKey));
+  }
+  return buildTeiDocument(records, title);
+}
+
+// The manuscripts of the current result set, in on-screen order.
+async function getExportManuscriptRefs() {
+  await ensureRawExcelLoaded();
+  const manuscripts = isManuscriptListView(currentView)
+    ? (Array.isArray(MERGED_FILTERED_MANUSCRIPTS) ? MERGED_FILTERED_MANUSCRIPTS : [])
+    : groupByPreserveOrder((table && typeof table.getData === 'function') ? table.getData() : [], getManuscriptKey);
+
+  return manuscripts
+    .filter(ms => ms.key && ms.key !== '||')
+    .map(ms => ({ sourceId: getSourceIdForManuscript(ms.key, ms.rows), msKey: ms.key }));
+}
+
 async function ensureRawExcelLoaded() {
   if (RAW_EXCEL_LOADED || RAW_EXCEL_FAILED) return Promise.resolve();
   if (RAW_EXCEL_LOADING) return RAW_EXCEL_LOADING;
 
   RAW_EXCEL_LOADING = (async () => {
     try {
+      await loadDataManifest();
       const depositoryMap = await loadDepositoryMap();
       const results = await Promise.all(RAW_EXCEL_SOURCES.map(async (src) => {
         try {
@@ -1645,6 +2759,7 @@ async function ensureRawExcelLoaded() {
 
           // Merges are optional; if missing, the merged view still benefits from the raw blank cells
           try {
+            if (!src.merges) throw new Error(`No merges JSON configured for ${src.id}`);
             const mergesResp = await fetch(src.merges);
             if (mergesResp.ok) {
               const mergesJson = await mergesResp.json();
@@ -1659,7 +2774,7 @@ async function ensureRawExcelLoaded() {
           // Parse TSV (keep empty lines to preserve Excel spacing; they will still be associated to a manuscript via hidden key fill)
           const lines = tsvText.split(/\r?\n/);
           if (!lines.length) return false;
-          const rawHeaders = (lines[0] || "").split("\t");
+          const rawHeaders = mapSourceHeaders(src, (lines[0] || "").split("\t"));
 
           // Insert Language after Shelf mark (to match the combined dataset layout)
           const shelfIdx = rawHeaders.indexOf("Shelf mark");
@@ -1714,12 +2829,13 @@ async function ensureRawExcelLoaded() {
               obj["Main text group"] = "";
             }
             {
-              const dr = parseDatingRange(obj["Dating"]);
+              const dr = parseRowDatingRange(obj);
               obj["DatingMinYear"] = dr ? dr.min : null;
               obj["DatingMaxYear"] = dr ? dr.max : null;
               obj["DatingYear"] = dr ? dr.min : null;
             }
             normalizeRowLanguage(obj);
+            applyDimensionFields(obj);
 
             // Store into manuscript map (skip rows before we have a key)
             const msKey = obj["__msKey"];
@@ -1945,7 +3061,7 @@ function dropCompletelyEmptyRows(rows, headers) {
 }
 
 function deduplicateRows(rows, headers) {
-  const ignore = new Set(["Century", "DatingYear", "DatingMinYear", "DatingMaxYear", "Main text group", "Depository_abbr"]);
+  const ignore = new Set(["Century", "DatingYear", "DatingMinYear", "DatingMaxYear", "Main text group", "Depository_abbr", "Origin place", "Depository place"]);
   const seen = new Set();
   const out = [];
   for (const r of rows) {
@@ -1963,6 +3079,7 @@ function deduplicateRows(rows, headers) {
 async function loadDataFromRawExcelSources() {
   try {
     await loadAbbreviationsMap();
+    await loadGazetteer();
     await ensureRawExcelLoaded();
     if (!RAW_EXCEL_LOADED) throw new Error('Raw Excel sources not loaded');
 
@@ -2009,12 +3126,13 @@ async function loadDataFromRawExcelSources() {
         }
         r["Century"] = parseCentury(r["Dating"]);
         {
-          const dr = parseDatingRange(r["Dating"]);
+          const dr = parseRowDatingRange(r);
           r["DatingMinYear"] = dr ? dr.min : null;
           r["DatingMaxYear"] = dr ? dr.max : null;
           r["DatingYear"] = dr ? dr.min : null;
         }
         normalizeRowLanguage(r);
+        applyPlaceFields(r);
 
         // Ensure all expected headers exist as keys.
         for (const h of headers) {
@@ -2066,7 +3184,12 @@ function buildLocalMergeLookup(rawRows, sourceId, columnsFull, columnsVisible) {
   const topLeft = new Map(); // "r,c" -> {rowSpan, colSpan}
   const covered = new Set(); // "r,c"
 
-  for (const m of source.merges) {
+  // A merged Leaf size cell spans its derived Proportion too.
+  const merges = source.merges.concat(source.merges
+    .filter(m => m && m.minCol === 'Leaf size' && m.maxCol === 'Leaf size')
+    .map(m => Object.assign({}, m, { minCol: PROPORTION_COLUMN, maxCol: PROPORTION_COLUMN })));
+
+  for (const m of merges) {
     const minSrcRow = m.minRow;
     const maxSrcRow = m.maxRow;
     if (!rowIndexToLocal.has(minSrcRow) || !rowIndexToLocal.has(maxSrcRow)) continue;
@@ -2265,6 +3388,30 @@ function minorTextKey(mainAbbr, sectionAbbr) {
   return `${String(mainAbbr || "").trim()}${MINOR_TEXT_KEY_SEP}${String(sectionAbbr || "").trim()}`;
 }
 
+// Expand one Minor text section code in the context of the row's Main text code(s).
+function formatMinorTextExpansion(minorMap, mainCandidates, sectionAbbr) {
+  const { base: sectionBase, suffix: sectionSuffix } = parseTrailingParenSuffix(sectionAbbr);
+  let full = null;
+
+  if (mainCandidates.length === 1) {
+    full = minorMap[minorTextKey(mainCandidates[0], sectionBase)] || null;
+  } else if (mainCandidates.length > 1) {
+    const matches = [];
+    for (const m of mainCandidates) {
+      const hit = minorMap[minorTextKey(m, sectionBase)];
+      if (hit) matches.push(hit);
+    }
+    if (matches.length === 1) full = matches[0];
+  }
+
+  if (full) {
+    const expandedSuffix = sectionSuffix ? expandParenSuffixWithAbbreviations(sectionSuffix) : "";
+    return `${sectionBase}${EN_DASH}${full}${expandedSuffix}`;
+  }
+  // Fall back to abbreviations.tsv (and suffix expansion) if applicable.
+  return formatAbbrExpansion(null, sectionAbbr);
+}
+
 function renderMergedCell(field, value, ctx = null) {
   const v = normalizeForCompare(value);
   if (!v) return "&nbsp;";
@@ -2273,7 +3420,7 @@ function renderMergedCell(field, value, ctx = null) {
     const sourceId = ctx && ctx.sourceId ? String(ctx.sourceId) : "";
     const label = escapeHtml(String(value));
     if (msKey && sourceId) {
-      return `<a href="#" class="ms-open-details" data-ms-key="${escapeHtml(msKey)}" data-source-id="${escapeHtml(sourceId)}">${label}</a>`;
+      return `${renderCompareToggleHtml(msKey, sourceId)}${renderBasketToggleHtml(msKey, sourceId)}<a href="#" class="ms-open-details" data-ms-key="${escapeHtml(msKey)}" data-source-id="${escapeHtml(sourceId)}">${label}</a>`;
     }
     return label;
   }
@@ -2281,6 +3428,7 @@ function renderMergedCell(field, value, ctx = null) {
     const html = renderLinksToDatabaseHtml(v);
     return html ? html : "&nbsp;";
   }
+  if (field === "Related Shelfmarks") return renderRelatedShelfmarksHtml(v, ctx && ctx.msKey ? String(ctx.msKey) : "");
   if (field === "Leaves/Pages") return escapeHtml(normalizeLeavesPages(v));
   if (field === "Main text") {
     const map = (typeof window !== 'undefined' && window.MAIN_TEXT_MAP)
@@ -2314,29 +3462,7 @@ function renderMergedCell(field, value, ctx = null) {
           .filter(Boolean);
       }
 
-      const expanded = parts.map(sectionAbbr => {
-        const { base: sectionBase, suffix: sectionSuffix } = parseTrailingParenSuffix(sectionAbbr);
-        let full = null;
-
-        if (mainCandidates.length === 1) {
-          full = minorMap[minorTextKey(mainCandidates[0], sectionBase)] || null;
-        } else if (mainCandidates.length > 1) {
-          const matches = [];
-          for (const m of mainCandidates) {
-            const hit = minorMap[minorTextKey(m, sectionBase)];
-            if (hit) matches.push(hit);
-          }
-          if (matches.length === 1) full = matches[0];
-        }
-
-        if (full) {
-          const expandedSuffix = sectionSuffix ? expandParenSuffixWithAbbreviations(sectionSuffix) : "";
-          return `${sectionBase}${EN_DASH}${full}${expandedSuffix}`;
-        }
-        // Fall back to abbreviations.tsv (and suffix expansion) if applicable.
-        return formatAbbrExpansion(null, sectionAbbr);
-      }).join('; ');
-
+      const expanded = parts.map(sectionAbbr => formatMinorTextExpansion(minorMap, mainCandidates, sectionAbbr)).join('; ');
       return escapeHtml(expanded);
     }
   }
@@ -2344,6 +3470,146 @@ function renderMergedCell(field, value, ctx = null) {
   return escapeHtml(v);
 }
 
+// Rows of one manuscript block in Manuscript View, as an HTML string of <tr>s.
+// Merged cells never cross manuscripts, so blocks can be rendered independently.
+function buildMergedManuscriptRowsHtml(ms, msIndex, columnsFull, columns) {
+  let html = '';
+  const msClass = (msIndex % 2 === 0) ? 'ms-a' : 'ms-b';
+  // Prefer raw Excel-like rows (blank cells preserved) if available
+  const rawBlock = RAW_BY_MANUSCRIPT_KEY.get(ms.key);
+  const msRows = (rawBlock && rawBlock.rows && rawBlock.rows.length > 0) ? rawBlock.rows : ms.rows;
+  const msRowCount = msRows.length;
+  const msKeyAttr = escapeHtml(ms.key || '');
+  const sourceIdAttr = escapeHtml((rawBlock && rawBlock.sourceId) ? rawBlock.sourceId : (ms.sourceId || ''));
+
+  // Manuscript-level merged fields
+  const mergedLinksToDatabase = aggregateFieldValues(msRows, "Links to Database", "; ");
+  const literatureAllEmpty = allFieldValuesEmpty(msRows, "Literature");
+
+  const mergeLookup = (rawBlock && RAW_MERGES_BY_SOURCE.has(rawBlock.sourceId))
+    ? buildLocalMergeLookup(msRows, rawBlock.sourceId, columnsFull, columns)
+    : null;
+  const msConst = mergeLookup ? null : getConstantFields(msRows, columns, ["Production Unit"]);
+
+  // Build contiguous Production Unit runs so we can merge/stripe without re-ordering rows.
+  const runs = [];
+  const rowToRunIndex = new Array(msRowCount);
+  let lastPU = "";
+  let runStart = 0;
+  let runIndex = 0;
+  for (let i = 0; i < msRowCount; i++) {
+    const v = normalizeForCompare(msRows[i]["Production Unit"]);
+    const pu = v || lastPU;
+    if (i === 0) {
+      lastPU = pu;
+      runStart = 0;
+      runIndex = 0;
+    } else if (pu !== lastPU) {
+      runs.push({ start: runStart, end: i - 1, index: runIndex, pu: lastPU });
+      runIndex++;
+      runStart = i;
+      lastPU = pu;
+    }
+    rowToRunIndex[i] = runIndex;
+  }
+  runs.push({ start: runStart, end: msRowCount - 1, index: runIndex, pu: lastPU });
+
+  // In heuristic mode we can still merge constant fields within each run.
+  const runConstByStart = new Map();
+  if (!mergeLookup) {
+    for (const r of runs) {
+      const slice = msRows.slice(r.start, r.end + 1);
+      runConstByStart.set(r.start, getConstantFields(slice, columns, []));
+    }
+  }
+
+  for (let rIndex = 0; rIndex < msRowCount; rIndex++) {
+    const row = msRows[rIndex];
+    const isFirstMsRow = (rIndex === 0);
+    const trClasses = [msClass];
+    if (isFirstMsRow) trClasses.push('ms-sep');
+    html += `<tr class="${trClasses.join(' ')}" data-ms-key="${msKeyAttr}" data-source-id="${sourceIdAttr}">`;
+
+    const currentRunIdx = rowToRunIndex[rIndex] || 0;
+    const puClass = (currentRunIdx % 2 === 0) ? 'pu-a' : 'pu-b';
+
+    // Find the start/end for this run (used for rowspan)
+    let runStartIdx = rIndex;
+    let runEndIdx = rIndex;
+    // Cheap lookup: scan runs array (runs count per manuscript is small)
+    for (const rr of runs) {
+      if (rr.start <= rIndex && rIndex <= rr.end) {
+        runStartIdx = rr.start;
+        runEndIdx = rr.end;
+        break;
+      }
+    }
+    const isRunStart = (rIndex === runStartIdx);
+    const runRowSpan = (runEndIdx - runStartIdx) + 1;
+    const runConst = (!mergeLookup && isRunStart) ? runConstByStart.get(runStartIdx) : null;
+
+    for (let c = 0; c < columns.length; c++) {
+      const col = columns[c];
+
+      // Always merge Links to Database at the manuscript level (combine URLs across rows).
+      if (col === "Links to Database") {
+        if (!isFirstMsRow) continue;
+        html += `<td class="${msClass}" data-field="${escapeHtml(col)}" rowspan="${msRowCount}">${renderMergedCell(col, mergedLinksToDatabase, { msKey: ms.key, sourceId: (rawBlock && rawBlock.sourceId) ? rawBlock.sourceId : (ms.sourceId || null), row, msRows, rowIndex: rIndex })}</td>`;
+        continue;
+      }
+
+      // If Literature is empty for all rows in the manuscript, merge it into a single blank cell.
+      if (col === "Literature" && literatureAllEmpty) {
+        if (!isFirstMsRow) continue;
+        html += `<td class="${msClass}" data-field="${escapeHtml(col)}" rowspan="${msRowCount}">${renderMergedCell(col, "", { msKey: ms.key, sourceId: (rawBlock && rawBlock.sourceId) ? rawBlock.sourceId : (ms.sourceId || null), row, msRows, rowIndex: rIndex })}</td>`;
+        continue;
+      }
+
+      if (mergeLookup) {
+        // The raw Excel files don't have a Language column; we inject it.
+        // Merge it per manuscript so duplicates don't repeat visually.
+        if (col === "Language") {
+          if (!isFirstMsRow) continue;
+          html += `<td class="${msClass}" data-field="${escapeHtml(col)}" rowspan="${msRowCount}">${renderMergedCell(col, row[col], { msKey: ms.key, sourceId: (rawBlock && rawBlock.sourceId) ? rawBlock.sourceId : (ms.sourceId || null), row, msRows, rowIndex: rIndex })}</td>`;
+          continue;
+        }
+
+        const key = `${rIndex},${c}`;
+        if (mergeLookup.covered.has(key)) continue;
+        const span = mergeLookup.topLeft.get(key);
+        const attrs = span ? ` rowspan="${span.rowSpan}" colspan="${span.colSpan}"` : "";
+        html += `<td class="${(col === "Production Unit") ? puClass : msClass}" data-field="${escapeHtml(col)}"${attrs}>${renderMergedCell(col, row[col], { msKey: ms.key, sourceId: (rawBlock && rawBlock.sourceId) ? rawBlock.sourceId : (ms.sourceId || null), row, msRows, rowIndex: rIndex })}</td>`;
+        continue;
+      }
+
+      if (msConst && msConst.has(col)) {
+        if (!isFirstMsRow) continue;
+        html += `<td class="${msClass}" data-field="${escapeHtml(col)}" rowspan="${msRowCount}">${renderMergedCell(col, row[col], { msKey: ms.key, sourceId: (rawBlock && rawBlock.sourceId) ? rawBlock.sourceId : (ms.sourceId || null), row, msRows, rowIndex: rIndex })}</td>`;
+        continue;
+      }
+
+      if (col === "Production Unit") {
+        if (!isRunStart) continue;
+        html += `<td class="${puClass}" data-field="${escapeHtml(col)}" rowspan="${runRowSpan}">${renderMergedCell(col, row[col], { msKey: ms.key, sourceId: (rawBlock && rawBlock.sourceId) ? rawBlock.sourceId : (ms.sourceId || null), row, msRows, rowIndex: rIndex })}</td>`;
+        continue;
+      }
+
+      if (runConst && runConst.has(col)) {
+        html += `<td class="${puClass}" data-field="${escapeHtml(col)}" rowspan="${runRowSpan}">${renderMergedCell(col, row[col], { msKey: ms.key, sourceId: (rawBlock && rawBlock.sourceId) ? rawBlock.sourceId : (ms.sourceId || null), row, msRows, rowIndex: rIndex })}</td>`;
+        continue;
+      }
+
+      html += `<td data-field="${escapeHtml(col)}">${renderMergedCell(col, row[col], { msKey: ms.key, sourceId: (rawBlock && rawBlock.sourceId) ? rawBlock.sourceId : (ms.sourceId || null), row, msRows, rowIndex: rIndex })}</td>`;
+    }
+
+    html += '</tr>';
+  }
+  return html;
+}
+
+// Active windowed renderer of Manuscript View ("All" results), if any.
+let MERGED_VIRTUAL_WINDOW = null;
+
 function renderMergedView(manuscripts, metaInfo = null) {
   const mergedRoot = document.getElementById("merged-table");
   const meta = document.getElementById("merged-view-meta");
@@ -2380,152 +3646,47 @@ function renderMergedView(manuscripts, metaInfo = null) {
   }
   html += '</tr></thead><tbody>';
 
-  manuscripts.forEach((ms, msIndex) => {
-    const msClass = (msIndex % 2 === 0) ? 'ms-a' : 'ms-b';
-    // Prefer raw Excel-like rows (blank cells preserved) if available
-    const rawBlock = RAW_BY_MANUSCRIPT_KEY.get(ms.key);
-    const msRows = (rawBlock && rawBlock.rows && rawBlock.rows.length > 0) ? rawBlock.rows : ms.rows;
-    const msRowCount = msRows.length;
-    const msKeyAttr = escapeHtml(ms.key || '');
-    const sourceIdAttr = escapeHtml((rawBlock && rawBlock.sourceId) ? rawBlock.sourceId : (ms.sourceId || ''));
-
-    // Manuscript-level merged fields
-    const mergedLinksToDatabase = aggregateFieldValues(msRows, "Links to Database", "; ");
-    const literatureAllEmpty = allFieldValuesEmpty(msRows, "Literature");
-
-    const mergeLookup = (rawBlock && RAW_MERGES_BY_SOURCE.has(rawBlock.sourceId))
-      ? buildLocalMergeLookup(msRows, rawBlock.sourceId, columnsFull, columns)
-      : null;
-    const msConst = mergeLookup ? null : getConstantFields(msRows, columns, ["Production Unit"]);
-
-    // Build contiguous Production Unit runs so we can merge/stripe without re-ordering rows.
-    const runs = [];
-    const rowToRunIndex = new Array(msRowCount);
-    let lastPU = "";
-    let runStart = 0;
-    let runIndex = 0;
-    for (let i = 0; i < msRowCount; i++) {
-      const v = normalizeForCompare(msRows[i]["Production Unit"]);
-      const pu = v || lastPU;
-      if (i === 0) {
-        lastPU = pu;
-        runStart = 0;
-        runIndex = 0;
-      } else if (pu !== lastPU) {
-        runs.push({ start: runStart, end: i - 1, index: runIndex, pu: lastPU });
-        runIndex++;
-        runStart = i;
-        lastPU = pu;
-      }
-      rowToRunIndex[i] = runIndex;
-    }
-    runs.push({ start: runStart, end: msRowCount - 1, index: runIndex, pu: lastPU });
+  if (MERGED_VIRTUAL_WINDOW) {
+    MERGED_VIRTUAL_WINDOW.destroy();
+    MERGED_VIRTUAL_WINDOW = null;
+  }
 
-    // In heuristic mode we can still merge constant fields within each run.
-    const runConstByStart = new Map();
-    if (!mergeLookup) {
-      for (const r of runs) {
-        const slice = msRows.slice(r.start, r.end + 1);
-        runConstByStart.set(r.start, getConstantFields(slice, columns, []));
-      }
-    }
+  // "All" with many rows: render manuscripts (whole rowspan groups) around the viewport only.
+  const virtualize = !Number.isFinite(getMergedPageSize()) && pageRows > VIRTUAL_RENDER_MIN_ROWS;
+  if (!virtualize) {
+    manuscripts.forEach((ms, msIndex) => {
+      html += buildMergedManuscriptRowsHtml(ms, msIndex, columnsFull, columns);
+    });
+  }
 
-    for (let rIndex = 0; rIndex < msRowCount; rIndex++) {
-      const row = msRows[rIndex];
-      const isFirstMsRow = (rIndex === 0);
-      const trClasses = [msClass];
-      if (isFirstMsRow) trClasses.push('ms-sep');
-      html += `<tr class="${trClasses.join(' ')}" data-ms-key="${msKeyAttr}" data-source-id="${sourceIdAttr}">`;
-
-      const currentRunIdx = rowToRunIndex[rIndex] || 0;
-      const puClass = (currentRunIdx % 2 === 0) ? 'pu-a' : 'pu-b';
-
-      // Find the start/end for this run (used for rowspan)
-      let runStartIdx = rIndex;
-      let runEndIdx = rIndex;
-      // Cheap lookup: scan runs array (runs count per manuscript is small)
-      for (const rr of runs) {
-        if (rr.start <= rIndex && rIndex <= rr.end) {
-          runStartIdx = rr.start;
-          runEndIdx = rr.end;
-          break;
-        }
-      }
-      const isRunStart = (rIndex === runStartIdx);
-      const runRowSpan = (runEndIdx - runStartIdx) + 1;
-      const runConst = (!mergeLookup && isRunStart) ? runConstByStart.get(runStartIdx) : null;
+  html += '</tbody></table>';
+  mergedRoot.innerHTML = html;
 
-      for (let c = 0; c < columns.length; c++) {
-        const col = columns[c];
+  if (virtualize) {
+    const tableEl = mergedRoot.querySelector('table');
+    MERGED_VIRTUAL_WINDOW = new VirtualRowWindow(mergedRoot.closest('.merged-view-scroll'), tableEl.tBodies[0], {
+      count: manuscripts.length,
+      colSpan: columns.length,
+      blockRowCount: (i) => {
+        const rawBlock = RAW_BY_MANUSCRIPT_KEY.get(manuscripts[i].key);
+        return (rawBlock && rawBlock.rows && rawBlock.rows.length > 0) ? rawBlock.rows.length : manuscripts[i].rows.length;
+      },
+      renderBlock: (i, tbody) => tbody.insertAdjacentHTML('beforeend', buildMergedManuscriptRowsHtml(manuscripts[i], i, columnsFull, columns)),
+      onRender: () => applyFrozenColumnsToTable(tableEl),
+    });
+  }
 
-        // Always merge Links to Database at the manuscript level (combine URLs across rows).
-        if (col === "Links to Database") {
-          if (!isFirstMsRow) continue;
-          html += `<td class="${msClass}" data-field="${escapeHtml(col)}" rowspan="${msRowCount}">${renderMergedCell(col, mergedLinksToDatabase, { msKey: ms.key, sourceId: (rawBlock && rawBlock.sourceId) ? rawBlock.sourceId : (ms.sourceId || null), row, msRows, rowIndex: rIndex })}</td>`;
-          continue;
-        }
+  // Re-apply frozen columns after every merged-view render.
+  try { applyFrozenColumns(); } catch (e) {}
 
-        // If Literature is empty for all rows in the manuscript, merge it into a single blank cell.
-        if (col === "Literature" && literatureAllEmpty) {
-          if (!isFirstMsRow) continue;
-          html += `<td class="${msClass}" data-field="${escapeHtml(col)}" rowspan="${msRowCount}">${renderMergedCell(col, "", { msKey: ms.key, sourceId: (rawBlock && rawBlock.sourceId) ? rawBlock.sourceId : (ms.sourceId || null), row, msRows, rowIndex: rIndex })}</td>`;
-          continue;
-        }
-
-        if (mergeLookup) {
-          // The raw Excel files don't have a Language column; we inject it.
-          // Merge it per manuscript so duplicates don't repeat visually.
-          if (col === "Language") {
-            if (!isFirstMsRow) continue;
-            html += `<td class="${msClass}" data-field="${escapeHtml(col)}" rowspan="${msRowCount}">${renderMergedCell(col, row[col], { msKey: ms.key, sourceId: (rawBlock && rawBlock.sourceId) ? rawBlock.sourceId : (ms.sourceId || null), row, msRows, rowIndex: rIndex })}</td>`;
-            continue;
-          }
-
-          const key = `${rIndex},${c}`;
-          if (mergeLookup.covered.has(key)) continue;
-          const span = mergeLookup.topLeft.get(key);
-          const attrs = span ? ` rowspan="${span.rowSpan}" colspan="${span.colSpan}"` : "";
-          html += `<td class="${(col === "Production Unit") ? puClass : msClass}" data-field="${escapeHtml(col)}"${attrs}>${renderMergedCell(col, row[col], { msKey: ms.key, sourceId: (rawBlock && rawBlock.sourceId) ? rawBlock.sourceId : (ms.sourceId || null), row, msRows, rowIndex: rIndex })}</td>`;
-          continue;
-        }
-
-        if (msConst && msConst.has(col)) {
-          if (!isFirstMsRow) continue;
-          html += `<td class="${msClass}" data-field="${escapeHtml(col)}" rowspan="${msRowCount}">${renderMergedCell(col, row[col], { msKey: ms.key, sourceId: (rawBlock && rawBlock.sourceId) ? rawBlock.sourceId : (ms.sourceId || null), row, msRows, rowIndex: rIndex })}</td>`;
-          continue;
-        }
-
-        if (col === "Production Unit") {
-          if (!isRunStart) continue;
-          html += `<td class="${puClass}" data-field="${escapeHtml(col)}" rowspan="${runRowSpan}">${renderMergedCell(col, row[col], { msKey: ms.key, sourceId: (rawBlock && rawBlock.sourceId) ? rawBlock.sourceId : (ms.sourceId || null), row, msRows, rowIndex: rIndex })}</td>`;
-          continue;
-        }
-
-        if (runConst && runConst.has(col)) {
-          html += `<td class="${puClass}" data-field="${escapeHtml(col)}" rowspan="${runRowSpan}">${renderMergedCell(col, row[col], { msKey: ms.key, sourceId: (rawBlock && rawBlock.sourceId) ? rawBlock.sourceId : (ms.sourceId || null), row, msRows, rowIndex: rIndex })}</td>`;
-          continue;
-        }
-
-        html += `<td data-field="${escapeHtml(col)}">${renderMergedCell(col, row[col], { msKey: ms.key, sourceId: (rawBlock && rawBlock.sourceId) ? rawBlock.sourceId : (ms.sourceId || null), row, msRows, rowIndex: rIndex })}</td>`;
-      }
-
-      html += '</tr>';
-    }
-  });
-
-  html += '</tbody></table>';
-  mergedRoot.innerHTML = html;
-
-  // Re-apply frozen columns after every merged-view render.
-  try { applyFrozenColumns(); } catch (e) {}
-
-  // Click-to-open manuscript modal (event delegation).
-  try {
-    if (!renderMergedView._msClickBound) {
-      renderMergedView._msClickBound = true;
-      mergedRoot.addEventListener('click', function (ev) {
-        const target = ev && ev.target ? ev.target : null;
-        if (!target || !target.closest) return;
+  // Click-to-open manuscript modal (event delegation).
+  try {
+    if (!renderMergedView._msClickBound) {
+      renderMergedView._msClickBound = true;
+      mergedRoot.addEventListener('click', function (ev) {
+        const target = ev && ev.target ? ev.target : null;
+        if (!target || !target.closest) return;
+        if (target.closest('.ms-compare-toggle, .ms-basket-toggle')) return;
 
         // Prefer explicit link clicks.
         const link = target.closest('a.ms-open-details');
@@ -2556,6 +3717,11 @@ function applyViewUI() {
   try {
     document.body.classList.toggle('view-merged', currentView === 'merged');
     document.body.classList.toggle('view-table', currentView === 'table');
+    document.body.classList.toggle('view-timeline', currentView === 'timeline');
+    document.body.classList.toggle('view-map', currentView === 'map');
+    document.body.classList.toggle('view-bibliography', currentView === 'bibliography');
+    document.body.classList.toggle('view-relations', currentView === 'relations');
+    document.body.classList.toggle('view-sizes', currentView === 'sizes');
   } catch (e) {
     // ignore
   }
@@ -2564,6 +3730,17 @@ function applyViewUI() {
   const mergedView = document.getElementById("merged-view");
   if (tableView) tableView.style.display = (currentView === "table") ? "block" : "none";
   if (mergedView) mergedView.style.display = (currentView === "merged") ? "block" : "none";
+  const timelineView = document.getElementById("timeline-view");
+  if (timelineView) timelineView.style.display = (currentView === "timeline") ? "flex" : "none";
+  const mapView = document.getElementById("map-view");
+  if (mapView) mapView.style.display = (currentView === "map") ? "flex" : "none";
+  const bibliographyView = document.getElementById("bibliography-view");
+  if (bibliographyView) bibliographyView.style.display = (currentView === "bibliography") ? "flex" : "none";
+  const relationsView = document.getElementById("relations-view");
+  if (relationsView) relationsView.style.display = (currentView === "relations") ? "flex" : "none";
+  const sizesView = document.getElementById("sizes-view");
+  if (sizesView) sizesView.style.display = (currentView === "sizes") ? "flex" : "none";
+  const pagedView = (currentView === "merged" || currentView === "table");
 
   // Column selector lives in the top control bar; only show it for Manuscript View.
   const mergedColsControl = document.getElementById("merged-columns-control");
@@ -2575,8 +3752,8 @@ function applyViewUI() {
 
   // Sort selector lives in the top control bar; only show it for Manuscript View.
   const mergedSortControl = document.getElementById("merged-sort-control");
-  // Also useful for Text View sorting (shelfmark/dating)
-  if (mergedSortControl) mergedSortControl.style.display = "";
+  // Also useful for Text View sorting (shelfmark/dating); the other views have their own order.
+  if (mergedSortControl) mergedSortControl.style.display = pagedView ? "" : "none";
 
   if (currentView === "table" && table && typeof table.redraw === 'function') {
     try { table.redraw(true); } catch (e) {}
@@ -2588,11 +3765,11 @@ function applyViewUI() {
   const paginationLabel = document.getElementById('pagination-size-label');
   if (paginationLabel) paginationLabel.textContent = 'Results per page:';
 
-  // Show the page-size selector for both views.
+  // Show the page-size selector for both paged views.
   const paginationLabelControl = document.getElementById("pagination-label-control");
   const paginationSelectControl = document.getElementById("pagination-select-control");
-  if (paginationLabelControl) paginationLabelControl.style.display = "";
-  if (paginationSelectControl) paginationSelectControl.style.display = "";
+  if (paginationLabelControl) paginationLabelControl.style.display = pagedView ? "" : "none";
+  if (paginationSelectControl) paginationSelectControl.style.display = pagedView ? "" : "none";
 
   // Keep merged column menu in sync
   if (currentView === "merged") {
@@ -2627,35 +3804,593 @@ function applyViewUI() {
 }
 
 function setView(view) {
-  currentView = (view === "merged") ? "merged" : "table";
+  currentView = VIEW_NAMES.includes(view) ? view : "table";
   const viewSelect = document.getElementById("view-select");
   if (viewSelect) viewSelect.value = currentView;
 
   try { localStorage.setItem(VIEW_STORAGE_KEY, currentView); } catch (e) {}
   applyViewUI();
 
-  if (currentView === "merged") {
+  if (isManuscriptListView(currentView)) {
     // Kick off raw Excel + merge JSON loading (if available) and re-render when ready.
     const meta = document.getElementById("merged-view-meta");
-    if (meta && !RAW_EXCEL_LOADED && !RAW_EXCEL_FAILED) {
+    if (meta && currentView === "merged" && !RAW_EXCEL_LOADED && !RAW_EXCEL_FAILED) {
       meta.textContent = "Loading raw Excel layout (if available)…";
     }
     ensureRawExcelLoaded().then(() => {
-      if (currentView === "merged") applyFacetFilters();
+      if (isManuscriptListView(currentView)) applyFacetFilters();
     });
   }
 
   applyFacetFilters();
 }
 
-// Map 'language' column to 'Language' for facets, expanding ISO codes
-const LANGUAGE_MAP = {
-  'da': 'Danish',
-  'is': 'Icelandic',
-  'no': 'Norwegian',
-  'sv': 'Swedish',
-  // Add more as needed
+// Dating facet: histogram of parsed datings per decade or century, a brush that
+// sets From/To, and the rule deciding when a dating matches the range.
+const DATING_BUCKETS_STORAGE_KEY = "nordiclaw.datingBuckets";
+const DATING_BUCKET_SIZES = { decade: 10, century: 100 };
+const DATING_MATCH_MODES = {
+  overlap: { label: "Overlaps range", hint: "A text matches when any year of its dating falls within From–To." },
+  within: { label: "Fully within range", hint: "A text matches when its whole dating lies within From–To." },
+  start: { label: "Starts in range", hint: "A text matches when the earliest year of its dating falls within From–To." },
+};
+const DATING_HISTOGRAM_WIDTH = 240;
+const DATING_HISTOGRAM_HEIGHT = 60;
+let DATING_BUCKET = "decade";
+let DATING_EXTENT = null; // { min, max } over all parsed datings
+let DATING_HISTOGRAM_COUNTS = null; // facet counts for 'Dating' (excluding the Dating filter itself)
+
+// "Date by": the catalogue's dating (''), the union or intersection of all datings
+// that apply to a text, or the datings proposed by one authority ("author:Storm").
+const DATING_BASES = {
+  '': "Catalogue dating",
+  union: "All datings (union)",
+  intersection: "All datings (intersection)",
+};
+const DATING_AUTHOR_BASIS_PREFIX = "author:";
+
+function isDatingBasis(basis) {
+  const b = String(basis || '');
+  if (Object.prototype.hasOwnProperty.call(DATING_BASES, b)) return true;
+  return b.startsWith(DATING_AUTHOR_BASIS_PREFIX) && b.length > DATING_AUTHOR_BASIS_PREFIX.length;
+}
+
+// Facet documents keep one range per basis under these fields.
+function getDatingRangeField(basis) {
+  return basis ? `Dating@${basis}` : 'Dating';
+}
+
+// { '': catalogue range, union, intersection, 'author:Storm': ... } for the bases that date the row.
+function getRowDatingBasisRanges(row) {
+  const out = {};
+  const catalogue = getRowDatingRange(row);
+  if (catalogue) out[''] = catalogue;
+  const { entries } = getRowDatingEntries(row);
+  for (const how of ['union', 'intersection']) {
+    const r = combineDatingRanges(entries, how);
+    if (r) out[how] = r;
+  }
+  const byAuthority = new Map();
+  for (const e of entries) {
+    for (const src of e.sources) {
+      if (!byAuthority.has(src.name)) byAuthority.set(src.name, []);
+      byAuthority.get(src.name).push(e);
+    }
+  }
+  for (const [name, list] of byAuthority) out[DATING_AUTHOR_BASIS_PREFIX + name] = combineDatingRanges(list);
+  return out;
+}
+
+// Count keys ("decade:1320", "union|century:1300") for every bucket each basis's range overlaps.
+function getDatingHistogramKeys(rangesByBasis) {
+  const keys = [];
+  for (const basis of Object.keys(rangesByBasis)) {
+    const r = rangesByBasis[basis];
+    const prefix = basis ? `${basis}|` : '';
+    for (const unit of Object.keys(DATING_BUCKET_SIZES)) {
+      const size = DATING_BUCKET_SIZES[unit];
+      for (let y = Math.floor(r.min / size) * size; y <= r.max; y += size) keys.push(`${prefix}${unit}:${y}`);
+    }
+  }
+  return keys;
+}
+
+function getDatingBasis(facetDiv) {
+  const sel = facetDiv ? facetDiv.querySelector('select[data-dating-basis]') : null;
+  const basis = sel ? sel.value : '';
+  return isDatingBasis(basis) ? basis : '';
+}
+
+function setDatingBasis(facetDiv, basis) {
+  const sel = facetDiv ? facetDiv.querySelector('select[data-dating-basis]') : null;
+  if (!sel) return;
+  const b = isDatingBasis(basis) ? basis : '';
+  // An authority missing from the loaded data falls back to the catalogue dating.
+  sel.value = Array.from(sel.options).some(o => o.value === b) ? b : '';
+}
+
+function getDatingMatchMode(facetDiv) {
+  const sel = facetDiv ? facetDiv.querySelector('select[data-dating-mode]') : null;
+  const mode = sel ? sel.value : 'overlap';
+  return DATING_MATCH_MODES[mode] ? mode : 'overlap';
+}
+
+function setDatingMatchMode(facetDiv, mode) {
+  if (!facetDiv) return;
+  const m = DATING_MATCH_MODES[mode] ? mode : 'overlap';
+  const sel = facetDiv.querySelector('select[data-dating-mode]');
+  if (sel) sel.value = m;
+  const hint = facetDiv.querySelector('[data-dating-mode-hint]');
+  if (hint) hint.textContent = DATING_MATCH_MODES[m].hint;
+}
+
+function getDatingHistogramDomain() {
+  if (!DATING_EXTENT) return null;
+  const size = DATING_BUCKET_SIZES[DATING_BUCKET] || 10;
+  const start = Math.floor(DATING_EXTENT.min / size) * size;
+  const end = Math.floor(DATING_EXTENT.max / size) * size + size;
+  return { start, end, size, buckets: Math.max(1, (end - start) / size) };
+}
+
+function renderDatingHistogram() {
+  const facetDiv = document.getElementById('facet-Dating');
+  const host = facetDiv ? facetDiv.querySelector('[data-dating-histogram]') : null;
+  if (!host) return;
+  const domain = getDatingHistogramDomain();
+  if (!domain) {
+    host.innerHTML = '<div class="small text-secondary">No parsed datings.</div>';
+    return;
+  }
+
+  const counts = (DATING_HISTOGRAM_COUNTS && DATING_HISTOGRAM_COUNTS.counts) ? DATING_HISTOGRAM_COUNTS.counts : new Map();
+  const basis = getDatingBasis(facetDiv);
+  const prefix = basis ? `${basis}|` : '';
+  const values = [];
+  for (let i = 0; i < domain.buckets; i++) {
+    const year = domain.start + i * domain.size;
+    values.push({ year, n: counts.get(`${prefix}${DATING_BUCKET}:${year}`) || 0 });
+  }
+  const maxN = Math.max(1, ...values.map(v => v.n));
+  const unitNoun = isManuscriptListView(currentView) ? 'manuscripts' : 'texts';
+  const readYear = (which) => {
+    const el = facetDiv.querySelector(`input[data-dating-range="${which}"]`);
+    const v = el ? String(el.value || '').trim() : '';
+    return v === '' ? null : Number(v);
+  };
+  const { min, max } = normalizeFacetRange({ min: readYear('min'), max: readYear('max') });
+  const hasRange = min !== null || max !== null;
+  const lo = (min === null) ? domain.start : min;
+  const hi = (max === null) ? domain.end : max + 1;
+
+  const W = DATING_HISTOGRAM_WIDTH;
+  const H = DATING_HISTOGRAM_HEIGHT;
+  const bw = W / domain.buckets;
+  const xOf = (year) => Math.max(0, Math.min(W, ((year - domain.start) / (domain.end - domain.start)) * W));
+
+  let svg = `<svg viewBox="0 0 ${W} ${H}" preserveAspectRatio="none" role="img" aria-label="Dating histogram">`;
+  if (hasRange) {
+    svg += `<rect class="dating-histogram-selection" x="${xOf(lo).toFixed(2)}" y="0" width="${Math.max(1, xOf(hi) - xOf(lo)).toFixed(2)}" height="${H}"></rect>`;
+  }
+  values.forEach((v, i) => {
+    const h = v.n ? Math.max(1, (v.n / maxN) * (H - 2)) : 0;
+    const inRange = hasRange && v.year + domain.size > lo && v.year < hi;
+    const label = `${v.year}–${v.year + domain.size - 1}: ${v.n} ${unitNoun}`;
+    svg += `<rect class="dating-histogram-bar${inRange ? ' in-range' : ''}" x="${(i * bw).toFixed(2)}" y="${(H - h).toFixed(2)}" width="${Math.max(0.5, bw - 0.5).toFixed(2)}" height="${h.toFixed(2)}" data-year="${v.year}"><title>${escapeHtml(label)}</title></rect>`;
+  });
+  svg += `<rect class="dating-histogram-brush" x="0" y="0" width="0" height="${H}" style="display:none"></rect>`;
+  svg += '</svg>';
+
+  host.innerHTML = svg + `<div class="d-flex justify-content-between small text-secondary"><span>${domain.start}</span><span>${domain.end}</span></div>`;
+}
+
+function getDatingHistogramYearAt(svg, clientX) {
+  const domain = getDatingHistogramDomain();
+  if (!svg || !domain) return null;
+  const rect = svg.getBoundingClientRect();
+  if (!rect.width) return null;
+  const frac = Math.max(0, Math.min(1, (clientX - rect.left) / rect.width));
+  return domain.start + frac * (domain.end - domain.start);
+}
+
+// Dragging selects whole buckets; a click selects the bucket under the pointer.
+function setupDatingHistogramBrush(facetDiv) {
+  let drag = null; // { startX, startYear }
+  facetDiv.addEventListener('pointerdown', function (ev) {
+    const svg = ev.target && ev.target.closest ? ev.target.closest('[data-dating-histogram] svg') : null;
+    if (!svg || ev.button !== 0) return;
+    const startYear = getDatingHistogramYearAt(svg, ev.clientX);
+    if (startYear === null) return;
+    drag = { startX: ev.clientX, startYear, svg };
+    try { svg.setPointerCapture(ev.pointerId); } catch (e) {}
+  });
+
+  facetDiv.addEventListener('pointermove', function (ev) {
+    if (!drag) return;
+    const brush = drag.svg.querySelector('.dating-histogram-brush');
+    const rect = drag.svg.getBoundingClientRect();
+    if (!brush || !rect.width) return;
+    const scale = DATING_HISTOGRAM_WIDTH / rect.width;
+    const a = (Math.min(drag.startX, ev.clientX) - rect.left) * scale;
+    const b = (Math.max(drag.startX, ev.clientX) - rect.left) * scale;
+    brush.setAttribute('x', String(Math.max(0, a)));
+    brush.setAttribute('width', String(Math.max(0, b - a)));
+    brush.style.display = '';
+  });
+
+  facetDiv.addEventListener('pointerup', function (ev) {
+    if (!drag) return;
+    const start = drag;
+    drag = null;
+    const endYear = getDatingHistogramYearAt(start.svg, ev.clientX);
+    const domain = getDatingHistogramDomain();
+    if (endYear === null || !domain) return;
+    const bucketOf = (year) => Math.min(domain.end - domain.size, Math.floor(year / domain.size) * domain.size);
+    const from = bucketOf(Math.min(start.startYear, endYear));
+    const to = bucketOf(Math.max(start.startYear, endYear)) + domain.size - 1;
+    setFacetRangeInputs(facetDiv, 'data-dating-range', { min: from, max: to });
+    applyFacetFilters();
+  });
+
+  facetDiv.addEventListener('pointercancel', function () {
+    if (!drag) return;
+    const brush = drag.svg.querySelector('.dating-histogram-brush');
+    if (brush) brush.style.display = 'none';
+    drag = null;
+  });
+}
+
+// Leaf size in millimetres (dimensions.js), used by the Leaf height / Leaf width /
+// Proportion range facets, the Proportion column and the Size plot view.
+const PROPORTION_COLUMN = 'Proportion';
+const DIMENSION_FACET_FIELDS = {
+  'Leaf height': { param: 'height', step: '1', hint: 'Leaf height in millimetres.' },
+  'Leaf width': { param: 'width', step: '1', hint: 'Leaf width in millimetres.' },
+  'Proportion': { param: 'proportion', step: '0.01', hint: 'Height ÷ width ratio (1.00 square, 1.50 tall).' },
 };
+
+function getDimensionRangeKey(field) {
+  return `${field}Range`;
+}
+
+function getRowDimensionRange(row, field) {
+  const dims = parseDimensions(row && row['Leaf size']);
+  if (!dims) return null;
+  if (field === 'Leaf height') return dims.height;
+  if (field === 'Leaf width') return dims.width;
+  const p = getDimensionsProportion(dims);
+  return (p === null) ? null : { min: p, max: p };
+}
+
+function applyDimensionFields(row) {
+  if (!row || typeof row !== 'object') return;
+  const p = getDimensionsProportion(parseDimensions(row['Leaf size']));
+  row[PROPORTION_COLUMN] = (p === null) ? '' : p.toFixed(2);
+}
+
+// "Height 210 mm · width 155 mm · thickness 26 mm · proportion 1.35" under a
+// Full size / Leaf size value.
+function renderDimensionsHtml(label) {
+  const dims = parseDimensions(label);
+  if (!dims) return '';
+  const parts = [`Height ${formatDimensionRange(dims.height)} mm`, `width ${formatDimensionRange(dims.width)} mm`];
+  if (dims.thickness) parts.push(`thickness ${formatDimensionRange(dims.thickness)} mm`);
+  const p = getDimensionsProportion(dims);
+  if (p !== null) parts.push(`proportion ${p.toFixed(2)}`);
+  const approx = dims.approx ? ' (approx.)' : '';
+  return `<div class="small text-secondary">${escapeHtml(parts.join(' · ') + approx)}</div>`;
+}
+
+function renderDimensionFacetHtml(field, rows) {
+  const conf = DIMENSION_FACET_FIELDS[field];
+  const ranges = (rows || []).map(r => getRowDimensionRange(r, field)).filter(Boolean);
+  const min = ranges.length ? Math.min(...ranges.map(r => r.min)) : '';
+  const max = ranges.length ? Math.max(...ranges.map(r => r.max)) : '';
+  const f = escapeHtml(field);
+  return `<div class="small text-secondary mb-2">${escapeHtml(conf.hint)}</div>
+    <div class="d-flex gap-2 align-items-end mb-2">
+      <div class="flex-fill">
+        <label class="form-label mb-1" style="font-size:0.75rem; text-transform:uppercase;">From</label>
+        <input class="form-control form-control-sm" type="number" inputmode="decimal" step="${conf.step}" data-dimension-range="min" placeholder="${escapeHtml(min)}">
+      </div>
+      <div class="flex-fill">
+        <label class="form-label mb-1" style="font-size:0.75rem; text-transform:uppercase;">To</label>
+        <input class="form-control form-control-sm" type="number" inputmode="decimal" step="${conf.step}" data-dimension-range="max" placeholder="${escapeHtml(max)}">
+      </div>
+      <button class="btn btn-sm btn-outline-secondary" type="button" data-dimension-range-clear>Clear</button>
+    </div>`;
+}
+
+// Shareable browsing state: search text, facet selections, view, sort, page size,
+// page and visible columns are mirrored into the query string so a link reproduces
+// the same filtered set. localStorage still provides defaults when a key is absent.
+const URL_FACET_PARAM_PREFIX = "f.";
+const URL_HEADER_FILTER_PARAM_PREFIX = "tf."; // Text View column filters
+const URL_ALL_COLUMNS_TOKEN = "*";
+
+// Parsed once at startup, before anything rewrites the address bar.
+const INITIAL_URL_STATE = readUrlState();
+
+// Don't write the URL until the incoming state has been applied (the first
+// renders run before data and facets exist and would otherwise wipe the link).
+let URL_STATE_READY = false;
+
+function parseRangeParam(raw) {
+  const s = String(raw || '').trim();
+  if (!s) return null;
+  const m = s.match(/^(-?\d*(?:\.\d+)?)\.\.(-?\d*(?:\.\d+)?)$/);
+  if (!m) return null;
+  const min = m[1] === '' ? null : Number(m[1]);
+  const max = m[2] === '' ? null : Number(m[2]);
+  if (min === null && max === null) return null;
+  return {
+    min: (min === null || Number.isNaN(min)) ? null : min,
+    max: (max === null || Number.isNaN(max)) ? null : max,
+  };
+}
+
+function formatRangeParam(range) {
+  if (!range) return '';
+  const min = (typeof range.min === 'number' && !Number.isNaN(range.min)) ? String(range.min) : '';
+  const max = (typeof range.max === 'number' && !Number.isNaN(range.max)) ? String(range.max) : '';
+  if (!min && !max) return '';
+  return `${min}..${max}`;
+}
+
+function readUrlState() {
+  const state = {
+    q: null,
+    view: null,
+    sort: null,
+    textSort: null, // [{ field, dir }] from "tsort=Field" / "tsort=-Field"
+    size: null,
+    page: null,
+    columns: null, // null => not specified, 'all' => all columns, string[] => explicit set
+    facets: {},    // field -> string[]
+    datingRange: null,
+    datingMode: null,
+    datingBasis: null,
+    linesRange: null,
+    headerFilters: {}, // Text View column filter text per field
+    dimensionRanges: {}, // "Leaf height" / "Leaf width" / "Proportion" -> {min, max}
+    basket: false, // "show only basket"
+  };
+
+  let params;
+  try {
+    params = new URLSearchParams(window.location.search || '');
+  } catch (e) {
+    return state;
+  }
+
+  if (params.has('q')) state.q = params.get('q') || '';
+  const view = params.get('view');
+  if (VIEW_NAMES.includes(view)) state.view = view;
+  const sort = params.get('sort');
+  if (sort === 'shelfmark' || sort === 'dating') state.sort = sort;
+  if (params.has('tsort')) {
+    state.textSort = normalizeTableSort(params.getAll('tsort').map(v => {
+      const s = String(v || '');
+      return s.startsWith('-') ? { field: s.slice(1), dir: 'desc' } : { field: s, dir: 'asc' };
+    }));
+  }
+  const size = String(params.get('size') || '').toLowerCase();
+  if (size === 'all' || /^\d+$/.test(size)) state.size = size;
+  const page = parseInt(params.get('page') || '', 10);
+  if (Number.isFinite(page) && page >= 1) state.page = page;
+
+  const cols = params.getAll('col').map(String).filter(Boolean);
+  if (cols.length === 1 && cols[0] === URL_ALL_COLUMNS_TOKEN) state.columns = 'all';
+  else if (cols.length > 0) state.columns = cols;
+
+  state.datingRange = parseRangeParam(params.get('dating'));
+  const datingMode = params.get('dmode');
+  if (datingMode && Object.prototype.hasOwnProperty.call(DATING_MATCH_MODES, datingMode)) state.datingMode = datingMode;
+  const datingBasis = params.get('dby');
+  if (datingBasis && isDatingBasis(datingBasis)) state.datingBasis = datingBasis;
+  state.linesRange = parseRangeParam(params.get('lines'));
+  for (const field of Object.keys(DIMENSION_FACET_FIELDS)) {
+    const range = parseRangeParam(params.get(DIMENSION_FACET_FIELDS[field].param));
+    if (range) state.dimensionRanges[field] = range;
+  }
+  state.basket = params.get('basket') === '1';
+
+  for (const [k, v] of params.entries()) {
+    if (k.startsWith(URL_HEADER_FILTER_PARAM_PREFIX)) {
+      const field = k.slice(URL_HEADER_FILTER_PARAM_PREFIX.length);
+      if (field && v) state.headerFilters[field] = String(v);
+      continue;
+    }
+    if (!k.startsWith(URL_FACET_PARAM_PREFIX)) continue;
+    const field = k.slice(URL_FACET_PARAM_PREFIX.length);
+    if (!field || v === null || v === undefined || v === '') continue;
+    if (!state.facets[field]) state.facets[field] = [];
+    state.facets[field].push(String(v));
+  }
+
+  return state;
+}
+
+function buildUrlStateParams() {
+  const params = new URLSearchParams();
+
+  const searchInput = document.getElementById('search');
+  const q = searchInput ? String(searchInput.value || '') : '';
+  if (q.trim()) params.set('q', q);
+
+  params.set('view', currentView);
+  params.set('sort', getMergedSortMode());
+  if (currentView === 'table') {
+    for (const s of TEXT_SORT) params.append('tsort', (s.dir === 'desc' ? '-' : '') + s.field);
+    if (table && typeof table.getHeaderFilters === 'function') {
+      for (const f of table.getHeaderFilters()) params.set(URL_HEADER_FILTER_PARAM_PREFIX + f.field, f.value);
+    }
+  }
+
+  const sizeSel = document.getElementById('pagination-size');
+  const size = sizeSel ? String(sizeSel.value || '').toLowerCase() : '';
+  if (size) params.set('size', size);
+
+  const page = (currentView === 'merged')
+    ? MERGED_PAGE
+    : ((currentView === 'table' && table && typeof table.getPage === 'function') ? table.getPage() : 1);
+  if (typeof page === 'number' && page > 1) params.set('page', String(page));
+
+  const visible = isManuscriptListView(currentView) ? getMergedVisibleColumnsSet() : getTableVisibleColumnsSet();
+  if (!visible) {
+    params.append('col', URL_ALL_COLUMNS_TOKEN);
+  } else {
+    // Keep the canonical column order so links are stable.
+    const ordered = (Array.isArray(DISPLAY_COLUMNS) ? DISPLAY_COLUMNS : []).filter(c => visible.has(c));
+    for (const c of ordered) params.append('col', c);
+  }
+
+  const selections = getFacetSelections();
+  for (const key of Object.keys(selections)) {
+    const val = selections[key];
+    if (key === 'DatingRange') {
+      const r = formatRangeParam(val);
+      if (r) params.set('dating', r);
+      if (r && val.mode && val.mode !== 'overlap') params.set('dmode', val.mode);
+      if (val.basis) params.set('dby', val.basis);
+      continue;
+    }
+    if (key === 'LinesRange') {
+      const r = formatRangeParam(val);
+      if (r) params.set('lines', r);
+      continue;
+    }
+    const dimensionField = Object.keys(DIMENSION_FACET_FIELDS).find(f => getDimensionRangeKey(f) === key);
+    if (dimensionField) {
+      const r = formatRangeParam(val);
+      if (r) params.set(DIMENSION_FACET_FIELDS[dimensionField].param, r);
+      continue;
+    }
+    if (!Array.isArray(val)) continue;
+    for (const v of val) params.append(URL_FACET_PARAM_PREFIX + key, v);
+  }
+  if (BASKET_ONLY) params.set('basket', '1');
+
+  return params;
+}
+
+function syncUrlState() {
+  if (!URL_STATE_READY) return;
+  try {
+    const qs = buildUrlStateParams().toString();
+    const next = `${window.location.pathname}${qs ? '?' + qs : ''}${window.location.hash || ''}`;
+    const current = `${window.location.pathname}${window.location.search}${window.location.hash || ''}`;
+    if (next !== current) window.history.replaceState(null, '', next);
+  } catch (e) {
+    // ignore (e.g. sandboxed file:// pages)
+  }
+}
+
+// Controls that exist before data is loaded: search box, view, sort and page size.
+function applyUrlStateToControls(state) {
+  if (!state) return;
+  if (state.q !== null) {
+    const searchInput = document.getElementById('search');
+    if (searchInput) searchInput.value = state.q;
+  }
+  if (state.view) {
+    const viewSelect = document.getElementById('view-select');
+    if (viewSelect) viewSelect.value = state.view;
+    currentView = state.view;
+  }
+  if (state.sort) {
+    MERGED_SORT_MODE = state.sort;
+    const sortSelect = document.getElementById('merged-sort');
+    if (sortSelect) sortSelect.value = state.sort;
+  }
+  if (state.textSort) TEXT_SORT = state.textSort;
+  if (state.basket) BASKET_ONLY = true;
+  if (state.size) {
+    const sizeSel = document.getElementById('pagination-size');
+    if (sizeSel && Array.from(sizeSel.options).some(o => o.value === state.size)) {
+      sizeSel.value = state.size;
+    }
+  }
+}
+
+// Column visibility is only known once DISPLAY_COLUMNS exists; applies to the linked view.
+function applyUrlStateToColumns(state) {
+  if (!state || !state.columns) return;
+  const view = state.view || currentView;
+  const next = (state.columns === 'all') ? null : new Set(state.columns);
+  if (isManuscriptListView(view)) {
+    MERGED_VISIBLE_COLUMNS = next;
+    sanitizeMergedColumnVisibility();
+  } else {
+    TABLE_VISIBLE_COLUMNS = next;
+    sanitizeTableColumnVisibility();
+  }
+}
+
+function setFacetRangeInputs(facetDiv, attr, range) {
+  if (!facetDiv || !range) return;
+  const minEl = facetDiv.querySelector(`input[${attr}="min"]`);
+  const maxEl = facetDiv.querySelector(`input[${attr}="max"]`);
+  if (minEl) minEl.value = (range.min === null || range.min === undefined) ? '' : String(range.min);
+  if (maxEl) maxEl.value = (range.max === null || range.max === undefined) ? '' : String(range.max);
+}
+
+// Facet checkboxes/inputs only exist after renderFacetSidebar().
+function applyUrlStateToFacets(state) {
+  if (!state) return;
+
+  setFacetRangeInputs(document.getElementById('facet-Dating'), 'data-dating-range', state.datingRange);
+  if (state.datingMode) setDatingMatchMode(document.getElementById('facet-Dating'), state.datingMode);
+  if (state.datingBasis) setDatingBasis(document.getElementById('facet-Dating'), state.datingBasis);
+  setFacetRangeInputs(document.getElementById('facet-Lines'), 'data-lines-range', state.linesRange);
+  for (const field of Object.keys(state.dimensionRanges || {})) {
+    setFacetRangeInputs(document.getElementById(`facet-${field}`), 'data-dimension-range', state.dimensionRanges[field]);
+  }
+
+  for (const key of Object.keys(state.facets || {})) {
+    const wanted = new Set(state.facets[key]);
+    // Main text group variants live inside the "Main text group" facet container.
+    const containerField = (key === 'Main text group-variant') ? 'Main text group' : key;
+    const facetDiv = document.getElementById(`facet-${containerField}`);
+    if (!facetDiv) continue;
+    facetDiv.querySelectorAll('input[type=checkbox][data-facet]').forEach(cb => {
+      if (cb.dataset.facet !== key || cb.value === '__ALL__') return;
+      if (wanted.has(cb.value)) cb.checked = true;
+    });
+  }
+
+  // Searchable lists (Minor text, Cited in) keep checked items visible even when a list search is active.
+  document.querySelectorAll('input[type=search][data-facet-search]').forEach(input => {
+    input.dispatchEvent(new Event('input', { bubbles: true }));
+  });
+}
+
+async function copyShareableLink(btn) {
+  syncUrlState();
+  const url = window.location.href;
+  let ok = false;
+  try {
+    if (navigator.clipboard && typeof navigator.clipboard.writeText === 'function') {
+      await navigator.clipboard.writeText(url);
+      ok = true;
+    }
+  } catch (e) {
+    ok = false;
+  }
+  if (!ok) {
+    // Clipboard API can be unavailable (non-secure origins); let the user copy manually.
+    window.prompt('Copy this link:', url);
+    return;
+  }
+  if (btn) {
+    const label = btn.textContent;
+    btn.textContent = 'Link copied';
+    setTimeout(() => { btn.textContent = label; }, 1500);
+  }
+}
+
+// Map 'language' column to 'Language' for facets, expanding ISO codes.
+// Filled from the "language"/"name" pairs in data/manifest.json (loadDataManifest).
+const LANGUAGE_MAP = {};
 function normalizeRowLanguage(row) {
   if (row["Language"]) {
     const code = row["Language"].toLowerCase();
@@ -2699,6 +4434,37 @@ async function loadAbbreviationsMap() {
   }
 }
 
+// Full references for cited works, from the optional data/bibliography.tsv:
+// "<work key>\t<full reference>", e.g. "Storm 1885\tStorm, Gustav (ed.). 1885. Norges gamle Love ...".
+// Work keys are the author and year as parsed by parseLiterature() (bibliography.js).
+let BIBLIOGRAPHY_MAP = null;
+async function loadBibliographyMap() {
+  if (BIBLIOGRAPHY_MAP) return BIBLIOGRAPHY_MAP;
+  try {
+    const resp = await fetch('data/bibliography.tsv');
+    if (!resp.ok) throw new Error(`HTTP ${resp.status}`);
+    const text = await resp.text();
+    const map = {};
+    text.split(/\r?\n/).forEach(line => {
+      const cols = String(line || '').replace(/^\uFEFF/, '').split('\t');
+      const key = (cols[0] || '').trim();
+      const full = (cols[1] || '').trim();
+      if (key && full) map[key.toLowerCase()] = full;
+    });
+    BIBLIOGRAPHY_MAP = map;
+  } catch (e) {
+    // Optional file: cited works are listed without full references.
+    console.warn('No bibliography.tsv loaded:', e);
+    BIBLIOGRAPHY_MAP = {};
+  }
+  return BIBLIOGRAPHY_MAP;
+}
+
+function getCitationReference(key) {
+  if (!BIBLIOGRAPHY_MAP || !key) return '';
+  return BIBLIOGRAPHY_MAP[String(key).toLowerCase()] || '';
+}
+
 // Main text abbreviation mapping, loaded from texts.tsv at runtime
 let MAIN_TEXT_MAP = null;
 let MINOR_TEXT_MAP = null;
@@ -2777,20 +4543,29 @@ function parseCentury(dating) {
 const FACET_FIELDS = [
   "Language",
   "Depository",
+  "Depository place",
+  "Origin place",
   "Object",
   "Material",
   "Size",
+  "Leaf height",
+  "Leaf width",
+  "Proportion",
   "Production units",
   "Main text group",
   "Minor text",
   "Dating",
   "Script",
+  "Number of hands",
+  "Has marginal hands",
   "Pricking",
   "Ruling",
   "Columns",
   "Lines",
   "Rubric",
   "Style",
+  "Cited in",
+  "Tags",
 ];
 
 const FACET_EMPTY_LABEL_FIELDS = new Set([
@@ -2996,11 +4771,35 @@ function getProductionUnitsFacetValueForManuscript(ms) {
   return productionUnitsFacetValueFromCount(getProductionUnitsCountForManuscript(ms));
 }
 
+// Hands parsed from the Scribe column (scribes.js), summarized per manuscript.
+let SCRIBE_HANDS_BY_MS_KEY = null;
+
+function rebuildScribeHandsIndex(rows) {
+  const manuscripts = groupByPreserveOrder(rows || [], getManuscriptKey);
+  const map = new Map();
+  for (const ms of manuscripts) {
+    map.set(ms.key, summarizeScribeHands(ms.rows.map(r => ({ text: r && r['Scribe'] }))));
+  }
+  SCRIBE_HANDS_BY_MS_KEY = map;
+  return map;
+}
+
+function getScribeHandsFacetValueForRow(row, field) {
+  const map = SCRIBE_HANDS_BY_MS_KEY;
+  const key = getManuscriptKey(row);
+  const summary = (map && map.has(key)) ? map.get(key) : null;
+  if (field === 'Has marginal hands') return (summary && summary.marginal) ? 'Yes' : 'No';
+  return getScribeHandCountLabel(summary);
+}
+
 function getFacetValue(row, field) {
   if (!row) return '';
   if (field === 'Production units') {
     return getProductionUnitsFacetValueForRow(row);
   }
+  if (field === 'Number of hands' || field === 'Has marginal hands') {
+    return getScribeHandsFacetValueForRow(row, field);
+  }
   // Minor text is multi-valued; filtering/counting uses parseMinorTextTokens() rather than exact cell equality.
   if (FACET_EMPTY_LABEL_FIELDS.has(field)) {
     const raw = row[field];
@@ -3033,8 +4832,41 @@ function getUniqueValues(rows, field) {
   return Array.from(set).sort((a, b) => a.localeCompare(b, undefined, {numeric:true, sensitivity:"base"}));
 }
 
+// Checkbox list with a search box above it; `options` are { value, label, search }.
+function renderSearchableFacetHtml(field, options, hint, placeholder) {
+  const f = escapeHtml(field);
+  let html = ``;
+  html += `<div class="small text-secondary mb-2">${escapeHtml(hint)}</div>`;
+  html += `<div class="d-flex gap-2 align-items-end mb-2">
+    <div class="flex-fill">
+      <label class="form-label mb-1" style="font-size:0.75rem; text-transform:uppercase;">Search</label>
+      <input class="form-control form-control-sm" type="search" data-facet-search="${f}" placeholder="${escapeHtml(placeholder)}">
+    </div>
+    <button class="btn btn-sm btn-outline-secondary" type="button" data-facet-search-clear="${f}">Clear</button>
+  </div>`;
+
+  html += `<div class="small text-secondary mb-1"><span data-facet-search-shown="${f}">${options.length}</span> of <span data-facet-search-total="${f}">${options.length}</span> shown</div>`;
+
+  // All toggle
+  html += `<div class="form-check mb-1"><input class="form-check-input" type="checkbox" value="__ALL__" checked data-facet="${f}" id="facet-${f}-all"><label class="form-check-label" for="facet-${f}-all">All</label></div>`;
+
+  html += `<div data-facet-options="${f}" style="max-height: 320px; overflow: auto;">`;
+  options.forEach((opt, i) => {
+    const id = `facet-${f}-${i}`;
+    const searchKey = escapeHtml(normalizeFacetSearchText(opt.search));
+    html += `<div class="form-check mb-1" data-facet-option="${f}" data-search="${searchKey}">`;
+    html += `<input class="form-check-input" type="checkbox" value="${escapeHtml(opt.value)}" data-facet="${f}" id="${id}">`;
+    html += `<label class="form-check-label" for="${id}">${escapeHtml(opt.label)}</label>`;
+    html += `</div>`;
+  });
+  html += `</div>`;
+  return html;
+}
+
 async function renderFacetSidebar(rows) {
   await loadAbbreviationsMap();
+  await loadBibliographyMap();
+  await ensureAnnotationsLoaded();
   const mainTextMap = await loadMainTextMap();
   FACET_FIELDS.forEach(field => {
     const facetDiv = document.getElementById(`facet-${field}`);
@@ -3066,8 +4898,40 @@ async function renderFacetSidebar(rows) {
         .filter(y => typeof y === 'number' && !Number.isNaN(y));
       const minYear = mins.length ? Math.min(...mins) : '';
       const maxYear = maxs.length ? Math.max(...maxs) : '';
-
-      let html = `<div class="small text-secondary mb-2">Filter by year range (uses parsed year from Dating)</div>`;
+      // The histogram also spans alternative datings, which "Date by" can switch to.
+      const authorities = new Set();
+      for (const r of rows) {
+        const byBasis = getRowDatingBasisRanges(r);
+        if (byBasis.union) {
+          mins.push(byBasis.union.min);
+          maxs.push(byBasis.union.max);
+        }
+        for (const basis of Object.keys(byBasis)) {
+          if (basis.startsWith(DATING_AUTHOR_BASIS_PREFIX)) authorities.add(basis.slice(DATING_AUTHOR_BASIS_PREFIX.length));
+        }
+      }
+      DATING_EXTENT = (mins.length && maxs.length) ? { min: Math.min(...mins), max: Math.max(...maxs) } : null;
+      const authorityOptions = Array.from(authorities)
+        .sort((a, b) => a.localeCompare(b, undefined, { sensitivity: 'base' }))
+        .map(name => `<option value="${escapeHtml(DATING_AUTHOR_BASIS_PREFIX + name)}">${escapeHtml(name)}</option>`)
+        .join('');
+
+      let html = `<div class="small text-secondary mb-2">Filter by year range. The catalogue dating is the main dating; datings of single folios apply to the texts on them. "Date by" uses the datings cited in parentheses instead.</div>`;
+      html += `<div class="d-flex gap-2 align-items-center mb-2">
+        <label class="small text-secondary text-nowrap" for="facet-Dating-basis">Date by</label>
+        <select class="form-select form-select-sm" id="facet-Dating-basis" data-dating-basis>
+          ${Object.keys(DATING_BASES).map(b => `<option value="${escapeHtml(b)}">${escapeHtml(DATING_BASES[b])}</option>`).join('')}
+          ${authorityOptions ? `<optgroup label="Authority">${authorityOptions}</optgroup>` : ''}
+        </select>
+      </div>`;
+      html += `<div class="d-flex justify-content-between align-items-center mb-1">
+        <span class="small text-secondary">Drag across the bars to select years</span>
+        <select class="form-select form-select-sm w-auto" data-dating-buckets aria-label="Histogram buckets">
+          <option value="decade">Decades</option>
+          <option value="century">Centuries</option>
+        </select>
+      </div>
+      <div class="dating-histogram mb-2" data-dating-histogram></div>`;
       html += `<div class="d-flex gap-2 align-items-end mb-2">
         <div class="flex-fill">
           <label class="form-label mb-1" style="font-size:0.75rem; text-transform:uppercase;">From</label>
@@ -3079,7 +4943,14 @@ async function renderFacetSidebar(rows) {
         </div>
         <button class="btn btn-sm btn-outline-secondary" type="button" data-dating-range-clear>Clear</button>
       </div>`;
+      html += `<select class="form-select form-select-sm" data-dating-mode aria-label="Dating match rule">
+        ${Object.keys(DATING_MATCH_MODES).map(m => `<option value="${m}">${escapeHtml(DATING_MATCH_MODES[m].label)}</option>`).join('')}
+      </select>
+      <div class="small text-secondary mt-1" data-dating-mode-hint>${escapeHtml(DATING_MATCH_MODES.overlap.hint)}</div>`;
       facetDiv.innerHTML = html;
+      const bucketSelect = facetDiv.querySelector('select[data-dating-buckets]');
+      if (bucketSelect) bucketSelect.value = DATING_BUCKET;
+      renderDatingHistogram();
       return;
     }
 
@@ -3109,7 +4980,7 @@ async function renderFacetSidebar(rows) {
         }
       });
 
-      let html = `<div class="small text-secondary mb-2">Filter by line count range (parses numbers/ranges; ignores parentheses and ca.)</div>`;
+      let html = `<div class="small text-secondary mb-2">Filter by line count range (parses numbers/ranges; ignores parentheses and ca.). A text matches when its whole line range lies within From–To.</div>`;
       html += `<div class="d-flex gap-2 align-items-end mb-2">
         <div class="flex-fill">
           <label class="form-label mb-1" style="font-size:0.75rem; text-transform:uppercase;">From</label>
@@ -3188,38 +5059,44 @@ async function renderFacetSidebar(rows) {
       }
 
       const values = Array.from(byNorm.values()).sort((a, b) => a.localeCompare(b, undefined, { numeric: true, sensitivity: 'base' }));
+      const options = values.map(val => ({ value: val, label: val, search: val }));
+      facetDiv.innerHTML = renderSearchableFacetHtml(field, options, 'Filter the list to find a minor text', 'Search minor texts...');
+      return;
+    }
 
-      let html = ``;
-      html += `<div class="small text-secondary mb-2">Filter the list to find a minor text</div>`;
-      html += `<div class="d-flex gap-2 align-items-end mb-2">
-        <div class="flex-fill">
-          <label class="form-label mb-1" style="font-size:0.75rem; text-transform:uppercase;">Search</label>
-          <input class="form-control form-control-sm" type="search" data-facet-search="Minor text" placeholder="Search minor texts...">
-        </div>
-        <button class="btn btn-sm btn-outline-secondary" type="button" data-facet-search-clear="Minor text">Clear</button>
-      </div>`;
-
-      html += `<div class="small text-secondary mb-1"><span data-facet-search-shown="Minor text">${values.length}</span> of <span data-facet-search-total="Minor text">${values.length}</span> shown</div>`;
+    if (field === 'Cited in') {
+      const byKey = new Map();
+      for (const r of (rows || [])) {
+        for (const c of getLiteratureCitations(r && r['Literature'])) {
+          if (!byKey.has(c.key)) byKey.set(c.key, c);
+        }
+      }
 
-      // All toggle
-      html += `<div class="form-check mb-1"><input class="form-check-input" type="checkbox" value="__ALL__" checked data-facet="Minor text" id="facet-Minor text-all"><label class="form-check-label" for="facet-Minor text-all">All</label></div>`;
+      const options = Array.from(byKey.values()).sort(compareCitedWorks).map(c => ({
+        value: c.key,
+        label: c.label,
+        search: `${c.label} ${getCitationReference(c.key)}`,
+      }));
+      facetDiv.innerHTML = renderSearchableFacetHtml(field, options, 'Works cited in the Literature column; filter the list by author or year', 'Search cited works...');
+      return;
+    }
 
-      html += `<div data-facet-options="Minor text" style="max-height: 320px; overflow: auto;">`;
-      values.forEach((val, i) => {
-        const id = `facet-Minor text-${i}`;
-        const searchKey = escapeHtml(normalizeFacetSearchText(val));
-        html += `<div class="form-check mb-1" data-facet-option="Minor text" data-search="${searchKey}">`;
-        html += `<input class="form-check-input" type="checkbox" value="${escapeHtml(val)}" data-facet="Minor text" id="${id}">`;
-        html += `<label class="form-check-label" for="${id}">${escapeHtml(val)}</label>`;
-        html += `</div>`;
-      });
-      html += `</div>`;
+    if (field === 'Tags') {
+      renderTagsFacet();
+      return;
+    }
 
-      facetDiv.innerHTML = html;
+    if (DIMENSION_FACET_FIELDS[field]) {
+      facetDiv.innerHTML = renderDimensionFacetHtml(field, rows);
       return;
     }
     // Default facet rendering
-    const values = getUniqueValues(rows, field);
+    let values = getUniqueValues(rows, field);
+    if (field === "Language") {
+      // Manifest order for the languages the rows have; any value not declared there goes last.
+      const declared = getManifestLanguageNames().filter(v => values.includes(v));
+      values = declared.concat(values.filter(v => !declared.includes(v)));
+    }
     let html = ``;
     html += `<div class="form-check mb-1"><input class="form-check-input" type="checkbox" value="__ALL__" checked data-facet="${field}" id="facet-${field}-all"><label class="form-check-label" for="facet-${field}-all">All</label></div>`;
     values.forEach((val, i) => {
@@ -3246,10 +5123,13 @@ function getFacetSelections() {
         const maxEl = facetDiv.querySelector('input[data-dating-range="max"]');
         const minVal = minEl ? minEl.value.trim() : '';
         const maxVal = maxEl ? maxEl.value.trim() : '';
-        if (minVal !== '' || maxVal !== '') {
+        const basis = getDatingBasis(facetDiv);
+        if (minVal !== '' || maxVal !== '' || basis) {
           selections["DatingRange"] = {
             min: minVal === '' ? null : Number(minVal),
             max: maxVal === '' ? null : Number(maxVal),
+            mode: getDatingMatchMode(facetDiv),
+            basis,
           };
         }
         return;
@@ -3272,6 +5152,19 @@ function getFacetSelections() {
         if (checked.length > 0) selections["Lines"] = checked;
         return;
       }
+      if (DIMENSION_FACET_FIELDS[field]) {
+        const minEl = facetDiv.querySelector('input[data-dimension-range="min"]');
+        const maxEl = facetDiv.querySelector('input[data-dimension-range="max"]');
+        const minVal = minEl ? minEl.value.trim() : '';
+        const maxVal = maxEl ? maxEl.value.trim() : '';
+        if (minVal !== '' || maxVal !== '') {
+          selections[getDimensionRangeKey(field)] = {
+            min: minVal === '' ? null : Number(minVal),
+            max: maxVal === '' ? null : Number(maxVal),
+          };
+        }
+        return;
+      }
       if (field === "Main text group") {
         const groupBoxes = facetDiv.querySelectorAll('input[type=checkbox][data-facet="Main text group"]');
         const checkedGroups = Array.from(groupBoxes).filter(cb => cb.checked && cb.value !== "__ALL__").map(cb => cb.value);
@@ -3321,6 +5214,19 @@ function setupFacetEvents() {
         if (maxEl) maxEl.value = '';
         applyFacetFilters();
       });
+      facetDiv.addEventListener('change', (e) => {
+        if (e.target && e.target.matches('select[data-dating-mode]')) {
+          setDatingMatchMode(facetDiv, e.target.value);
+          applyFacetFilters();
+        } else if (e.target && e.target.matches('select[data-dating-basis]')) {
+          applyFacetFilters();
+        } else if (e.target && e.target.matches('select[data-dating-buckets]')) {
+          DATING_BUCKET = DATING_BUCKET_SIZES[e.target.value] ? e.target.value : 'decade';
+          try { localStorage.setItem(DATING_BUCKETS_STORAGE_KEY, DATING_BUCKET); } catch (err) {}
+          renderDatingHistogram();
+        }
+      });
+      setupDatingHistogramBrush(facetDiv);
       return;
     }
 
@@ -3355,18 +5261,33 @@ function setupFacetEvents() {
       return;
     }
 
-    if (field === 'Minor text') {
+    if (DIMENSION_FACET_FIELDS[field]) {
+      facetDiv.addEventListener('input', (e) => {
+        if (e.target && e.target.matches('input[data-dimension-range]')) {
+          applyFacetFilters();
+        }
+      });
+      facetDiv.addEventListener('click', (e) => {
+        const btn = e.target && e.target.closest && e.target.closest('button[data-dimension-range-clear]');
+        if (!btn) return;
+        facetDiv.querySelectorAll('input[data-dimension-range]').forEach(el => { el.value = ''; });
+        applyFacetFilters();
+      });
+      return;
+    }
+
+    if (field === 'Minor text' || field === 'Cited in') {
       // Search field to filter the checkbox list.
-      function applyMinorTextSearch() {
-        const input = facetDiv.querySelector('input[type=search][data-facet-search="Minor text"]');
+      function applyFacetListSearch() {
+        const input = facetDiv.querySelector(`input[type=search][data-facet-search="${field}"]`);
         const q = normalizeFacetSearchText(input ? input.value : '').trim();
-        const optionDivs = facetDiv.querySelectorAll('[data-facet-option="Minor text"]');
+        const optionDivs = facetDiv.querySelectorAll(`[data-facet-option="${field}"]`);
 
         let shown = 0;
         const total = optionDivs.length;
         optionDivs.forEach(div => {
           const searchKey = (div && div.dataset) ? (div.dataset.search || '') : '';
-          const cb = div.querySelector('input[type=checkbox][data-facet="Minor text"]');
+          const cb = div.querySelector(`input[type=checkbox][data-facet="${field}"]`);
           const isChecked = !!(cb && cb.checked);
           const matches = (!q) ? true : String(searchKey || '').includes(q);
 
@@ -3376,42 +5297,42 @@ function setupFacetEvents() {
           if (visible) shown += 1;
         });
 
-        const shownEl = facetDiv.querySelector('[data-facet-search-shown="Minor text"]');
-        const totalEl = facetDiv.querySelector('[data-facet-search-total="Minor text"]');
+        const shownEl = facetDiv.querySelector(`[data-facet-search-shown="${field}"]`);
+        const totalEl = facetDiv.querySelector(`[data-facet-search-total="${field}"]`);
         if (shownEl) shownEl.textContent = String(shown);
         if (totalEl) totalEl.textContent = String(total);
       }
 
       facetDiv.addEventListener('input', (e) => {
-        if (e.target && e.target.matches && e.target.matches('input[type=search][data-facet-search="Minor text"]')) {
-          applyMinorTextSearch();
+        if (e.target && e.target.matches && e.target.matches(`input[type=search][data-facet-search="${field}"]`)) {
+          applyFacetListSearch();
         }
       });
       facetDiv.addEventListener('click', (e) => {
-        const btn = e.target && e.target.closest && e.target.closest('button[data-facet-search-clear="Minor text"]');
+        const btn = e.target && e.target.closest && e.target.closest(`button[data-facet-search-clear="${field}"]`);
         if (!btn) return;
-        const input = facetDiv.querySelector('input[type=search][data-facet-search="Minor text"]');
+        const input = facetDiv.querySelector(`input[type=search][data-facet-search="${field}"]`);
         if (input) input.value = '';
-        applyMinorTextSearch();
+        applyFacetListSearch();
       });
 
       // Normal checkbox behavior.
       facetDiv.addEventListener('change', (e) => {
-        if (!e.target.matches('input[type=checkbox][data-facet="Minor text"]')) return;
+        if (!e.target.matches(`input[type=checkbox][data-facet="${field}"]`)) return;
         if (e.target.value === "__ALL__") {
           const allChecked = e.target.checked;
-          facetDiv.querySelectorAll('input[type=checkbox][data-facet="Minor text"]:not([value="__ALL__"])').forEach(cb => {
+          facetDiv.querySelectorAll(`input[type=checkbox][data-facet="${field}"]:not([value="__ALL__"])`).forEach(cb => {
             cb.checked = allChecked;
           });
         } else {
-          updateFacetAllCheckbox('Minor text');
+          updateFacetAllCheckbox(field);
         }
-        applyMinorTextSearch();
+        applyFacetListSearch();
         applyFacetFilters();
       });
 
       // Initial apply so the count reflects the rendered list.
-      try { applyMinorTextSearch(); } catch (e) {}
+      try { applyFacetListSearch(); } catch (e) {}
       return;
     }
 
@@ -3467,382 +5388,397 @@ function getLinesTextFacetCandidates(row) {
   return cleaned ? [cleaned] : [];
 }
 
-function computeFacetCountsTable(rows, selections, query) {
-  const facetKeys = [...FACET_FIELDS, 'Main text group-variant'];
-  const out = {};
+// Global search box: fielded boolean queries (see search-query.js).
+// Field names resolve case-insensitively and ignore spaces/punctuation, so
+// `shelfmark:`, `"shelf mark":` and `Shelf_Mark:` are all the same field.
+const SEARCH_FIELD_ALIASES = {
+  shelf: 'Shelf mark',
+  dep: 'Depository',
+  lang: 'Language',
+  main: 'Main text',
+  group: 'Main text group',
+  minor: 'Minor text',
+  year: 'Dating',
+  date: 'Dating',
+  leaves: 'Leaves/Pages',
+  pages: 'Leaves/Pages',
+  unit: 'Production Unit',
+  links: 'Links to Database',
+  height: 'Leaf height',
+  width: 'Leaf width',
+};
 
-  function rowMatches(row, excludeKey) {
-    for (const field of FACET_FIELDS) {
-      const excludeGroup = (excludeKey === 'Main text group' || excludeKey === 'Main text group-variant');
-      const excludeLines = (excludeKey === 'Lines');
-      const excludeDating = (excludeKey === 'Dating');
-
-      if (field === 'Dating') {
-        if (excludeDating) continue;
-        const range = selections['DatingRange'];
-        if (range && (range.min !== null || range.max !== null)) {
-          let min = range.min;
-          let max = range.max;
-          if (typeof min === 'number' && Number.isNaN(min)) min = null;
-          if (typeof max === 'number' && Number.isNaN(max)) max = null;
-          if (min !== null && max !== null && min > max) { const tmp = min; min = max; max = tmp; }
-          const yMin = row['DatingMinYear'];
-          const yMax = row['DatingMaxYear'];
-          if (typeof yMin !== 'number' || Number.isNaN(yMin)) return false;
-          if (typeof yMax !== 'number' || Number.isNaN(yMax)) return false;
-          if (min !== null && yMax < min) return false;
-          if (max !== null && yMin > max) return false;
-        }
-        continue;
-      }
+// Fields that support `<`, `>`, `=` and `field:min-max` comparisons.
+const SEARCH_RANGE_FIELDS = ['Dating', 'Lines', 'Columns', 'Leaf height', 'Leaf width'];
 
-      if (field === 'Lines') {
-        if (excludeLines) continue;
-        const range = selections['LinesRange'];
-        const selectedText = selections['Lines'] || [];
-
-        let min = range ? range.min : null;
-        let max = range ? range.max : null;
-        if (typeof min === 'number' && Number.isNaN(min)) min = null;
-        if (typeof max === 'number' && Number.isNaN(max)) max = null;
-        if (min !== null && max !== null && min > max) { const tmp = min; min = max; max = tmp; }
-
-        const rangeActive = (min !== null || max !== null);
-        const textActive = Array.isArray(selectedText) && selectedText.length > 0;
-        if (rangeActive || textActive) {
-          let ok = false;
-
-          if (textActive) {
-            const v = normalizeLinesFacetValue(getFacetValue(row, 'Lines'));
-            if (selectedText.includes(v)) ok = true;
-            if (!ok) {
-              const cleaned = stripCaPrefix(stripParenComments(getFacetValue(row, 'Lines')));
-              if (cleaned && selectedText.includes(cleaned)) ok = true;
-            }
-          }
+let ACTIVE_SEARCH_QUERY_TEXT = null;
+let ACTIVE_SEARCH_QUERY = { ast: null, error: null };
 
-          if (!ok && rangeActive) {
-            const parsed = parseLinesRange(row['Lines']);
-            if (parsed) {
-              if (!(min !== null && parsed.min < min) && !(max !== null && parsed.max > max)) ok = true;
-            }
-          }
+function getSearchFieldNames() {
+  const cols = Array.isArray(DISPLAY_COLUMNS) && DISPLAY_COLUMNS.length ? DISPLAY_COLUMNS : COLUMN_ORDER;
+  return [...cols, 'Main text group', 'Century', 'Leaf height', 'Leaf width', 'Notes', 'Tags'];
+}
 
-          if (!ok) return false;
-        }
+// Folded (lowercased, diacritic-free) values searched for `field` (null = any field).
+function getFoldedSearchValues(row, field) {
+  if (field === null) return Object.values(row).concat(getAnnotationSearchValues(row, null)).map(foldSearchText);
+  if (field === 'Notes' || field === 'Tags') return getAnnotationSearchValues(row, field).map(foldSearchText);
+  if (field === 'Depository') {
+    // Match both the expanded name and the abbreviation (e.g. depository:AMS).
+    return [row['Depository'], row['Depository_abbr']].map(foldSearchText);
+  }
+  if (field === 'Leaf height' || field === 'Leaf width') {
+    return [foldSearchText(formatDimensionRange(getRowDimensionRange(row, field)))];
+  }
+  return [foldSearchText(row[field])];
+}
 
-        continue;
-      }
+function getSearchRange(row, field) {
+  if (field === 'Dating') {
+    const min = row.DatingMinYear;
+    const max = row.DatingMaxYear;
+    if (typeof min === 'number' && typeof max === 'number') return { min, max };
+    return parseRowDatingRange(row);
+  }
+  if (field === 'Leaf height' || field === 'Leaf width') return getRowDimensionRange(row, field);
+  return parseLinesRange(row[field]);
+}
 
-      if (field === 'Main text group') {
-        if (excludeGroup) continue;
+function renderSearchQueryError(error) {
+  const input = document.getElementById('search');
+  const feedback = document.getElementById('search-error');
+  if (input) input.classList.toggle('is-invalid', !!error);
+  if (!feedback) return;
+  if (!error) {
+    feedback.textContent = '';
+    return;
+  }
+  const at = (typeof error.position === 'number') ? ` (at character ${error.position + 1})` : '';
+  feedback.textContent = `${error.message}${at}`;
+}
 
-        if (selections['Main text group-variant'] && selections['Main text group-variant'].length > 0) {
-          let matched = false;
-          const group = row['Main text group'] || '';
-          let variant = '';
-          if (row['Main text']) {
-            const m = String(row['Main text']).match(/^([^\(]+)\s*\(([^\)]+)\)/);
-            if (m) variant = m[2].trim();
-          }
-          const key = group + '|' + variant;
-          if (selections['Main text group-variant'].includes(key)) matched = true;
-          if (!matched) return false;
-        } else if (selections[field] && selections[field].length > 0) {
-          if (!selections[field].includes(row[field])) return false;
-        }
+// Compile the current search box contents. On a syntax error the query is
+// ignored (everything matches) and the error is shown next to the box.
+function getActiveSearchQuery() {
+  const searchInput = document.getElementById('search');
+  const text = searchInput ? String(searchInput.value || '') : '';
+  if (text !== ACTIVE_SEARCH_QUERY_TEXT) {
+    ACTIVE_SEARCH_QUERY_TEXT = text;
+    ACTIVE_SEARCH_QUERY = compileSearchQuery(text, {
+      fields: getSearchFieldNames(),
+      aliases: SEARCH_FIELD_ALIASES,
+      rangeFields: SEARCH_RANGE_FIELDS,
+    });
+  }
+  renderSearchQueryError(ACTIVE_SEARCH_QUERY.error);
+  return ACTIVE_SEARCH_QUERY.ast;
+}
 
-        continue;
-      }
+function getMainTextVariant(row) {
+  if (!row || !row['Main text']) return '';
+  const m = String(row['Main text']).match(/^([^\(]+)\s*\(([^\)]+)\)/);
+  return m ? m[2].trim() : '';
+}
 
-      // Normal checkbox facets
-      if (excludeKey === field) continue;
-      if (selections[field] && selections[field].length > 0) {
-        if (!selections[field].includes(getFacetValue(row, field))) return false;
-      }
+function normalizeFacetRange(range) {
+  let min = range ? range.min : null;
+  let max = range ? range.max : null;
+  if (typeof min !== 'number' || Number.isNaN(min)) min = null;
+  if (typeof max !== 'number' || Number.isNaN(max)) max = null;
+  if (min !== null && max !== null && min > max) { const tmp = min; min = max; max = tmp; }
+  return { min, max };
+}
+
+function nonEmptyFacetValues(values) {
+  const out = [];
+  for (const v of values) {
+    if (v === null || v === undefined) continue;
+    const s = String(v).trim();
+    if (s && !out.includes(s)) out.push(s);
+  }
+  return out;
+}
+
+// One facet document per row for facet-engine.js: match/count values per facet,
+// numeric ranges and folded search text. Parsing happens here once per data load.
+function buildFacetDoc(row, ms, searchFields) {
+  const match = {};
+  const count = {};
+
+  for (const field of FACET_FIELDS) {
+    if (field === 'Dating') {
+      // Histogram buckets; matching uses `ranges` below.
+      count[field] = getDatingHistogramKeys(getRowDatingBasisRanges(row));
+      continue;
     }
 
-    if (query) {
-      const matchesSearch = Object.values(row).some(val => String(val).toLowerCase().includes(query));
-      if (!matchesSearch) return false;
+    if (field === 'Lines') {
+      const raw = getFacetValue(row, 'Lines');
+      match[field] = nonEmptyFacetValues([normalizeLinesFacetValue(raw), stripCaPrefix(stripParenComments(raw))]);
+      count[field] = getLinesTextFacetCandidates(row);
+      continue;
     }
-    return true;
+
+    if (field === 'Minor text') {
+      const tokens = parseMinorTextTokens(row['Minor text']);
+      match[field] = nonEmptyFacetValues(tokens.map(normalizeForCompare));
+      count[field] = tokens;
+      continue;
+    }
+
+    if (field === 'Cited in') {
+      const keys = getLiteratureCitations(row['Literature']).map(c => c.key);
+      match[field] = keys;
+      count[field] = keys;
+      continue;
+    }
+
+    if (field === 'Tags') {
+      const tags = getAnnotationSearchValues(row, 'Tags').map(getAnnotationTagLabel);
+      match[field] = tags;
+      count[field] = tags;
+      continue;
+    }
+
+    if (DIMENSION_FACET_FIELDS[field]) {
+      // Range-only facets; matching uses `ranges` below.
+      count[field] = [];
+      continue;
+    }
+
+    if (field === 'Main text group') {
+      const group = row['Main text group'] || '';
+      const variant = getMainTextVariant(row);
+      match[field] = (row[field] === null || row[field] === undefined) ? [] : [String(row[field])];
+      match['Main text group-variant'] = [group + '|' + variant];
+      count[field] = group ? [group] : [];
+      count['Main text group-variant'] = (group && variant) ? [group + '|' + variant] : [];
+      continue;
+    }
+
+    const v = getFacetValue(row, field);
+    match[field] = (v === null || v === undefined) ? [] : [String(v)];
+    count[field] = nonEmptyFacetValues([v]);
   }
 
-  for (const key of facetKeys) {
-    const excludeKey = (key === 'Main text group-variant') ? 'Main text group' : key;
-    const base = rows.filter(r => rowMatches(r, excludeKey));
-    const baseTotal = (key === 'Production units')
-      ? new Set(base.map(getManuscriptKey)).size
-      : base.length;
+  const ranges = {};
+  for (const field of SEARCH_RANGE_FIELDS) ranges[field] = getSearchRange(row, field);
+  ranges['Proportion'] = getRowDimensionRange(row, 'Proportion');
+  const datingRanges = getRowDatingBasisRanges(row);
+  for (const basis of Object.keys(datingRanges)) {
+    if (basis) ranges[getDatingRangeField(basis)] = datingRanges[basis];
+  }
 
-    const counts = new Map();
-    if (key === 'Lines') {
-      for (const r of base) {
-        for (const cand of getLinesTextFacetCandidates(r)) {
-          counts.set(cand, (counts.get(cand) || 0) + 1);
-        }
-      }
-    } else if (key === 'Production units') {
-      const byMsKey = new Map();
-      for (const r of base) {
-        const k = getManuscriptKey(r);
-        if (!byMsKey.has(k)) byMsKey.set(k, r);
-      }
-      for (const r of byMsKey.values()) {
-        const s = String(getFacetValue(r, 'Production units') || '').trim();
-        if (!s) continue;
-        counts.set(s, (counts.get(s) || 0) + 1);
+  // Matched by the "show only basket" filter.
+  match[BASKET_FILTER_KEY] = [getManuscriptKey(row)];
+
+  const search = { '': getFoldedSearchValues(row, null) };
+  for (const field of searchFields) search[field] = getFoldedSearchValues(row, field);
+
+  return { ms, match, count, ranges, search };
+}
+
+function buildFacetDocs(rows) {
+  const manuscripts = groupByPreserveOrder(rows || [], getManuscriptKey);
+  const msByKey = new Map(manuscripts.map((m, i) => [m.key, i]));
+  const searchFields = getSearchFieldNames();
+  const docs = (rows || []).map(r => buildFacetDoc(r, msByKey.get(getManuscriptKey(r)), searchFields));
+  return { docs, manuscripts };
+}
+
+// Translate sidebar selections into facet-engine.js filters.
+function buildFacetFilters(selections) {
+  const sel = selections || {};
+  const filters = [];
+
+  for (const field of FACET_FIELDS) {
+    if (field === 'Dating') {
+      let { min, max } = normalizeFacetRange(sel['DatingRange']);
+      const basis = (sel['DatingRange'] && isDatingBasis(sel['DatingRange'].basis)) ? sel['DatingRange'].basis : '';
+      if (min === null && max === null && basis.startsWith(DATING_AUTHOR_BASIS_PREFIX)) {
+        // An authority without years keeps everything it dates.
+        min = DATING_MIN_YEAR;
+        max = DATING_MAX_YEAR;
       }
-    } else if (key === 'Minor text') {
-      for (const r of base) {
-        const tokens = parseMinorTextTokens(r && r['Minor text']);
-        for (const t of tokens) {
-          counts.set(t, (counts.get(t) || 0) + 1);
-        }
+      if (min !== null || max !== null) {
+        const mode = (sel['DatingRange'] && DATING_MATCH_MODES[sel['DatingRange'].mode]) ? sel['DatingRange'].mode : 'overlap';
+        filters.push({ type: 'range', facet: field, field: getDatingRangeField(basis), min, max, mode });
       }
-    } else if (key === 'Main text group') {
-      for (const r of base) {
-        const g = r['Main text group'] || '';
-        if (!g) continue;
-        counts.set(g, (counts.get(g) || 0) + 1);
+      continue;
+    }
+
+    if (field === 'Lines') {
+      // Checked text values OR a range that contains the row's lines.
+      const { min, max } = normalizeFacetRange(sel['LinesRange']);
+      const values = Array.isArray(sel['Lines']) ? sel['Lines'] : [];
+      if (min !== null || max !== null || values.length > 0) {
+        filters.push({ type: 'lines', facet: field, key: field, values, field: 'Lines', min, max });
       }
-    } else if (key === 'Main text group-variant') {
-      for (const r of base) {
-        const g = r['Main text group'] || '';
-        if (!g) continue;
-        let variant = '';
-        if (r['Main text']) {
-          const m = String(r['Main text']).match(/^([^\(]+)\s*\(([^\)]+)\)/);
-          if (m) variant = m[2].trim();
-        }
-        const k = g + '|' + variant;
-        if (variant) counts.set(k, (counts.get(k) || 0) + 1);
+      continue;
+    }
+
+    if (DIMENSION_FACET_FIELDS[field]) {
+      const { min, max } = normalizeFacetRange(sel[getDimensionRangeKey(field)]);
+      if (min !== null || max !== null) {
+        filters.push({ type: 'range', facet: field, field, min, max, mode: 'within' });
       }
-    } else if (key !== 'Dating') {
-      for (const r of base) {
-        const v = getFacetValue(r, key);
-        if (v === null || v === undefined) continue;
-        const s = String(v).trim();
-        if (!s) continue;
-        counts.set(s, (counts.get(s) || 0) + 1);
+      continue;
+    }
+
+    if (field === 'Main text group') {
+      const variants = sel['Main text group-variant'];
+      if (Array.isArray(variants) && variants.length > 0) {
+        filters.push({ type: 'values', facet: field, key: 'Main text group-variant', values: variants });
+        continue;
       }
     }
 
-    out[key] = { baseTotal, counts };
+    const selected = sel[field];
+    if (!Array.isArray(selected) || selected.length === 0) continue;
+    const values = (field === 'Minor text') ? selected.map(s => normalizeForCompare(s)) : selected.map(String);
+    filters.push({ type: 'values', facet: field, key: field, values });
   }
 
-  return out;
+  return filters;
 }
 
-function computeFacetCountsMerged(manuscripts, selections, query) {
-  const facetKeys = [...FACET_FIELDS, 'Main text group-variant'];
-  const out = {};
+// Facet filtering and counting run in facet-worker.js over an index built once per
+// data load. Where workers are unavailable (e.g. pages opened from file://) the same
+// engine runs inline on the main thread.
+let FACET_ENGINE_ROWS = null;
+let FACET_ENGINE_DOCS = null;
+let FACET_ENGINE_MANUSCRIPTS = [];
+let FACET_ENGINE_GENERATION = 0;
+let FACET_INLINE_INDEX = null;
+let FACET_WORKER = null; // Worker, null (not started) or false (unavailable)
+let FACET_WORKER_MESSAGE_ID = 0;
+const FACET_WORKER_PENDING = new Map();
+let FACET_REQUEST_SEQ = 0;
+
+function runFacetQueryInline(request) {
+  if (!FACET_INLINE_INDEX) FACET_INLINE_INDEX = createFacetIndex(FACET_ENGINE_DOCS || []);
+  return runFacetQuery(FACET_INLINE_INDEX, request);
+}
 
-  function manuscriptMatches(ms, excludeKey) {
-    for (const field of FACET_FIELDS) {
-      const excludeGroup = (excludeKey === 'Main text group' || excludeKey === 'Main text group-variant');
-      const excludeLines = (excludeKey === 'Lines');
-      const excludeDating = (excludeKey === 'Dating');
-
-      if (field === 'Production units') {
-        if (excludeKey === field) continue;
-        const selected = selections[field];
-        if (selected && selected.length > 0) {
-          const v = getProductionUnitsFacetValueForManuscript(ms);
-          if (!selected.includes(v)) return false;
-        }
-        continue;
-      }
+function disableFacetWorker(reason) {
+  if (FACET_WORKER) {
+    console.warn('Facet worker unavailable, filtering on the main thread:', reason);
+    try { FACET_WORKER.terminate(); } catch (e) {}
+  }
+  FACET_WORKER = false;
 
-      if (field === 'Minor text') {
-        if (excludeKey === field) continue;
-        const selected = selections[field];
-        if (selected && selected.length > 0) {
-          const selectedNorm = new Set(selected.map(s => normalizeForCompare(s)));
-          const anyMatch = ms.rows.some(r => {
-            for (const t of parseMinorTextTokens(r && r['Minor text'])) {
-              if (selectedNorm.has(normalizeForCompare(t))) return true;
-            }
-            return false;
-          });
-          if (!anyMatch) return false;
-        }
-        continue;
-      }
+  // Answer anything still waiting on the worker.
+  const pending = Array.from(FACET_WORKER_PENDING.values());
+  FACET_WORKER_PENDING.clear();
+  for (const p of pending) {
+    try { p.resolve(runFacetQueryInline(p.request)); } catch (e) { p.reject(e); }
+  }
+}
 
-      if (field === 'Dating') {
-        if (excludeDating) continue;
-        const range = selections['DatingRange'];
-        let min = range ? range.min : null;
-        let max = range ? range.max : null;
-        if (typeof min === 'number' && Number.isNaN(min)) min = null;
-        if (typeof max === 'number' && Number.isNaN(max)) max = null;
-        if (min !== null && max !== null && min > max) { const tmp = min; min = max; max = tmp; }
-        if (min !== null || max !== null) {
-          const anyInRange = ms.rows.some(r => {
-            const yMin = r['DatingMinYear'];
-            const yMax = r['DatingMaxYear'];
-            if (typeof yMin !== 'number' || Number.isNaN(yMin)) return false;
-            if (typeof yMax !== 'number' || Number.isNaN(yMax)) return false;
-            if (min !== null && yMax < min) return false;
-            if (max !== null && yMin > max) return false;
-            return true;
-          });
-          if (!anyInRange) return false;
-        }
-        continue;
-      }
+function handleFacetWorkerMessage(e) {
+  const msg = e.data || {};
+  if (msg.type === 'ready') return;
 
-      if (field === 'Lines') {
-        if (excludeLines) continue;
-        const range = selections['LinesRange'];
-        const selectedText = selections['Lines'] || [];
-
-        let min = range ? range.min : null;
-        let max = range ? range.max : null;
-        if (typeof min === 'number' && Number.isNaN(min)) min = null;
-        if (typeof max === 'number' && Number.isNaN(max)) max = null;
-        if (min !== null && max !== null && min > max) { const tmp = min; min = max; max = tmp; }
-
-        const rangeActive = (min !== null || max !== null);
-        const textActive = Array.isArray(selectedText) && selectedText.length > 0;
-        if (!rangeActive && !textActive) continue;
-
-        const anyMatch = ms.rows.some(r => {
-          if (textActive) {
-            const v = normalizeLinesFacetValue(getFacetValue(r, 'Lines'));
-            if (selectedText.includes(v)) return true;
-            const cleaned = stripCaPrefix(stripParenComments(getFacetValue(r, 'Lines')));
-            if (cleaned && selectedText.includes(cleaned)) return true;
-          }
-          if (!rangeActive) return false;
-          const parsed = parseLinesRange(r['Lines']);
-          if (!parsed) return false;
-          if (min !== null && parsed.min < min) return false;
-          if (max !== null && parsed.max > max) return false;
-          return true;
-        });
+  if (msg.type === 'error' && (msg.id === null || msg.id === undefined)) {
+    disableFacetWorker(msg.message);
+    return;
+  }
 
-        if (!anyMatch) return false;
-        continue;
-      }
+  const pending = FACET_WORKER_PENDING.get(msg.id);
+  if (!pending) return;
+  FACET_WORKER_PENDING.delete(msg.id);
 
-      if (field === 'Main text group') {
-        if (excludeGroup) continue;
-
-        const variantSelections = selections['Main text group-variant'];
-        if (variantSelections && variantSelections.length > 0) {
-          const anyVariant = ms.rows.some(r => {
-            const group = r['Main text group'] || '';
-            let variant = '';
-            if (r['Main text']) {
-              const m = String(r['Main text']).match(/^([^\(]+)\s*\(([^\)]+)\)/);
-              if (m) variant = m[2].trim();
-            }
-            const key = group + '|' + variant;
-            return variantSelections.includes(key);
-          });
-          if (!anyVariant) return false;
-          continue;
-        }
+  if (msg.type === 'result') {
+    pending.resolve(msg.result);
+    return;
+  }
+  // Stale generation or a failed query: answer from the inline index instead.
+  try { pending.resolve(runFacetQueryInline(pending.request)); } catch (err) { pending.reject(err); }
+}
 
-        const groups = selections[field];
-        if (groups && groups.length > 0) {
-          const anyGroup = ms.rows.some(r => groups.includes(getFacetValue(r, field)));
-          if (!anyGroup) return false;
-        }
-        continue;
-      }
+function getFacetWorker() {
+  if (FACET_WORKER !== null) return FACET_WORKER || null;
+  if (typeof Worker === 'undefined') {
+    FACET_WORKER = false;
+    return null;
+  }
+  try {
+    const worker = new Worker('facet-worker.js');
+    worker.onmessage = handleFacetWorkerMessage;
+    worker.onerror = function (e) {
+      if (e && typeof e.preventDefault === 'function') e.preventDefault();
+      disableFacetWorker(e && e.message ? e.message : 'worker error');
+    };
+    FACET_WORKER = worker;
+  } catch (e) {
+    FACET_WORKER = false;
+  }
+  return FACET_WORKER || null;
+}
 
-      if (excludeKey === field) continue;
-      const selected = selections[field];
-      if (selected && selected.length > 0) {
-        const anyMatch = ms.rows.some(r => selected.includes(getFacetValue(r, field)));
-        if (!anyMatch) return false;
-      }
-    }
+// (Re)build the facet documents whenever allRows is replaced.
+function ensureFacetEngine() {
+  const rows = Array.isArray(allRows) ? allRows : [];
+  if (FACET_ENGINE_ROWS === rows) return;
+
+  const { docs, manuscripts } = buildFacetDocs(rows);
+  FACET_ENGINE_ROWS = rows;
+  FACET_ENGINE_DOCS = docs;
+  FACET_ENGINE_MANUSCRIPTS = manuscripts;
+  FACET_ENGINE_GENERATION++;
+  FACET_INLINE_INDEX = null;
+
+  // An empty dataset (before the first load) is cheap enough to answer inline.
+  const worker = rows.length ? getFacetWorker() : null;
+  if (worker) worker.postMessage({ type: 'init', generation: FACET_ENGINE_GENERATION, docs });
+}
 
-    if (query) {
-      const anySearch = ms.rows.some(r => Object.values(r).some(val => String(val).toLowerCase().includes(query)));
-      if (!anySearch) return false;
-    }
-    return true;
-  }
+// Rebuild the facet documents of some manuscripts in place (after an annotation edit)
+// instead of the whole index.
+function updateFacetEngineManuscripts(msKeys) {
+  const rows = Array.isArray(allRows) ? allRows : [];
+  // Not built yet: the next query builds it in full anyway.
+  if (FACET_ENGINE_ROWS !== rows) return;
+
+  const searchFields = getSearchFieldNames();
+  const updates = [];
+  rows.forEach((r, id) => {
+    if (msKeys.has(getManuscriptKey(r))) updates.push({ id, doc: buildFacetDoc(r, FACET_ENGINE_DOCS[id].ms, searchFields) });
+  });
+  if (!updates.length) return;
 
-  for (const key of facetKeys) {
-    const excludeKey = (key === 'Main text group-variant') ? 'Main text group' : key;
-    const base = manuscripts.filter(ms => manuscriptMatches(ms, excludeKey));
-    const baseTotal = base.length;
+  // The inline index shares FACET_ENGINE_DOCS, so updating it updates both.
+  if (FACET_INLINE_INDEX) updateFacetIndexDocs(FACET_INLINE_INDEX, updates);
+  else for (const u of updates) FACET_ENGINE_DOCS[u.id] = u.doc;
+  if (FACET_WORKER) FACET_WORKER.postMessage({ type: 'update', generation: FACET_ENGINE_GENERATION, updates });
+}
 
-    const counts = new Map();
-    if (key === 'Lines') {
-      for (const ms of base) {
-        const seen = new Set();
-        for (const r of ms.rows) {
-          for (const cand of getLinesTextFacetCandidates(r)) seen.add(cand);
-        }
-        for (const v of seen) counts.set(v, (counts.get(v) || 0) + 1);
-      }
-    } else if (key === 'Production units') {
-      for (const ms of base) {
-        const v = getProductionUnitsFacetValueForManuscript(ms);
-        counts.set(v, (counts.get(v) || 0) + 1);
-      }
-    } else if (key === 'Minor text') {
-      for (const ms of base) {
-        const byNorm = new Map();
-        for (const r of ms.rows) {
-          for (const t of parseMinorTextTokens(r && r['Minor text'])) {
-            const nk = normalizeForCompare(t);
-            if (nk && !byNorm.has(nk)) byNorm.set(nk, t);
-          }
-        }
-        for (const t of byNorm.values()) {
-          counts.set(t, (counts.get(t) || 0) + 1);
-        }
-      }
-    } else if (key === 'Main text group') {
-      for (const ms of base) {
-        const seen = new Set();
-        for (const r of ms.rows) {
-          const g = r['Main text group'] || '';
-          if (g) seen.add(g);
-        }
-        for (const v of seen) counts.set(v, (counts.get(v) || 0) + 1);
-      }
-    } else if (key === 'Main text group-variant') {
-      for (const ms of base) {
-        const seen = new Set();
-        for (const r of ms.rows) {
-          const g = r['Main text group'] || '';
-          if (!g) continue;
-          let variant = '';
-          if (r['Main text']) {
-            const m = String(r['Main text']).match(/^([^\(]+)\s*\(([^\)]+)\)/);
-            if (m) variant = m[2].trim();
-          }
-          if (variant) seen.add(g + '|' + variant);
-        }
-        for (const v of seen) counts.set(v, (counts.get(v) || 0) + 1);
-      }
-    } else if (key !== 'Dating') {
-      for (const ms of base) {
-        const seen = new Set();
-        for (const r of ms.rows) {
-          const v = getFacetValue(r, key);
-          if (v === null || v === undefined) continue;
-          const s = String(v).trim();
-          if (s) seen.add(s);
-        }
-        for (const v of seen) counts.set(v, (counts.get(v) || 0) + 1);
-      }
+function queryFacetEngine(request) {
+  ensureFacetEngine();
+  const worker = FACET_ENGINE_ROWS.length ? getFacetWorker() : null;
+  if (!worker) {
+    try {
+      return Promise.resolve(runFacetQueryInline(request));
+    } catch (e) {
+      return Promise.reject(e);
     }
-
-    out[key] = { baseTotal, counts };
   }
 
-  return out;
+  const id = ++FACET_WORKER_MESSAGE_ID;
+  return new Promise((resolve, reject) => {
+    FACET_WORKER_PENDING.set(id, { request, resolve, reject });
+    worker.postMessage({ type: 'query', generation: FACET_ENGINE_GENERATION, id, request });
+  });
+}
+
+function buildFacetQueryRequest(mode, selections, search) {
+  return {
+    mode,
+    filters: buildFacetFilters(selections).concat(getBasketFilters()),
+    search: search || null,
+    countKeys: [...FACET_FIELDS, 'Main text group-variant'],
+    manuscriptLevelKeys: ['Production units', 'Number of hands', 'Has marginal hands'],
+  };
 }
 
 function updateFacetCountsUI(countsByKey) {
@@ -3880,309 +5816,897 @@ function updateFacetCountsUI(countsByKey) {
       : (entry.counts && entry.counts.get(value) ? entry.counts.get(value) : 0);
     setFacetLabelCount(labelEl, n);
   });
+
+  DATING_HISTOGRAM_COUNTS = countsByKey['Dating'] || null;
+  renderDatingHistogram();
 }
 
-function applyFacetFilters() {
-  facetSelections = getFacetSelections();
-  const searchInput = document.getElementById('search');
-  const query = searchInput ? searchInput.value.toLowerCase() : "";
+// Timeline view: one bar per manuscript (or production unit) from DatingMinYear to DatingMaxYear.
+const TIMELINE_UNIT_STORAGE_KEY = "nordiclaw.timelineUnit";
+const TIMELINE_COLOR_STORAGE_KEY = "nordiclaw.timelineColor";
+const TIMELINE_COLORS = ["#4e79a7", "#f28e2b", "#e15759", "#76b7b2", "#59a14f", "#edc948", "#b07aa1", "#ff9da7", "#9c755f", "#17becf"];
+const TIMELINE_OTHER_COLOR = "#bab0ac";
+const TIMELINE_BAR_HEIGHT = 8;
+const TIMELINE_LANE_GAP = 3;
+const TIMELINE_AXIS_HEIGHT = 22;
+const TIMELINE_MARGIN_X = 16;
+let TIMELINE_UNIT = "manuscript"; // "manuscript" | "unit"
+let TIMELINE_COLOR_BY = "Language"; // "Language" | "Main text group"
+let TIMELINE_SCALE = null; // { minYear, pxPerYear } of the last render, used by brushing
+
+function getSourceIdForManuscript(msKey, rows) {
+  const rawBlock = RAW_BY_MANUSCRIPT_KEY.get(msKey);
+  if (rawBlock && rawBlock.sourceId) return rawBlock.sourceId;
+  const first = (rows || []).find(r => normalizeForCompare(r && r["Language"]));
+  return first ? getSourceIdForLanguage(first["Language"]) : null;
+}
 
-  if (currentView === "merged") {
-    const sortMode = getMergedSortMode();
-    const manuscripts = groupByPreserveOrder(allRows || [], getManuscriptKey)
-      .map(g => ({ key: g.key, rows: g.rows }))
-      .sort((a, b) => compareManuscripts(a, b, sortMode));
+function getRowsYearRange(rows) {
+  let min = null;
+  let max = null;
+  for (const r of rows) {
+    const a = r && r["DatingMinYear"];
+    const b = r && r["DatingMaxYear"];
+    if (typeof a === 'number' && Number.isFinite(a) && (min === null || a < min)) min = a;
+    if (typeof b === 'number' && Number.isFinite(b) && (max === null || b > max)) max = b;
+  }
+  if (min === null || max === null) return null;
+  return { min, max };
+}
 
-    // Update facet counters (option B) before rendering.
-    try {
-      updateFacetCountsUI(computeFacetCountsMerged(manuscripts, facetSelections, query));
-    } catch (e) {
-      console.error('Facet counters failed to update (merged):', e);
+// Bars for the current unit; rows without a parsable dating are counted as undated.
+function buildTimelineItems(manuscripts) {
+  const items = [];
+  let undated = 0;
+  for (const ms of manuscripts) {
+    const rows = Array.isArray(ms.rows) ? ms.rows : [];
+    const shelfmark = normalizeForCompare(rows[0] && rows[0]["Shelf mark"]) || ms.key;
+    const sourceId = getSourceIdForManuscript(ms.key, rows);
+
+    let groups = [{ label: shelfmark, rows }];
+    if (TIMELINE_UNIT === "unit") {
+      const byUnit = new Map();
+      rows.forEach((r, i) => {
+        const unit = getEffectiveValue(rows, i, "Production Unit");
+        if (!byUnit.has(unit)) byUnit.set(unit, []);
+        byUnit.get(unit).push(r);
+      });
+      groups = Array.from(byUnit.entries()).map(([unit, unitRows]) => ({
+        label: unit ? `${shelfmark} (${unit})` : shelfmark,
+        rows: unitRows,
+      }));
     }
 
-    const range = facetSelections["DatingRange"];
-    let min = range ? range.min : null;
-    let max = range ? range.max : null;
-    if (typeof min === 'number' && Number.isNaN(min)) min = null;
-    if (typeof max === 'number' && Number.isNaN(max)) max = null;
-    if (min !== null && max !== null && min > max) {
-      const tmp = min; min = max; max = tmp;
+    for (const g of groups) {
+      const range = getRowsYearRange(g.rows);
+      if (!range) {
+        undated += 1;
+        continue;
+      }
+      const categories = Array.from(new Set(splitSemicolonList(aggregateFieldValues(g.rows, TIMELINE_COLOR_BY, "; "))));
+      items.push({
+        key: ms.key,
+        sourceId,
+        label: g.label,
+        min: range.min,
+        max: range.max,
+        category: categories[0] || "(none)",
+        categories,
+        dating: Array.from(new Set(g.rows.map(r => normalizeForCompare(r["Dating"])).filter(Boolean))).join("; "),
+      });
     }
+  }
+  items.sort((a, b) => (a.min - b.min) || (a.max - b.max) || compareText(a.label, b.label));
+  return { items, undated };
+}
 
-    function manuscriptMatches(ms) {
-      for (const field of FACET_FIELDS) {
-        if (field === 'Production units') {
-          const selected = facetSelections[field];
-          if (selected && selected.length > 0) {
-            const v = getProductionUnitsFacetValueForManuscript(ms);
-            if (!selected.includes(v)) return false;
-          }
-          continue;
-        }
-
-        if (field === 'Minor text') {
-          const selected = facetSelections[field];
-          if (selected && selected.length > 0) {
-            const selectedNorm = new Set(selected.map(s => normalizeForCompare(s)));
-            const anyMatch = ms.rows.some(r => {
-              for (const t of parseMinorTextTokens(r && r['Minor text'])) {
-                if (selectedNorm.has(normalizeForCompare(t))) return true;
-              }
-              return false;
-            });
-            if (!anyMatch) return false;
-          }
-          continue;
-        }
-        if (field === "Dating") {
-          if (min === null && max === null) continue;
-          const anyInRange = ms.rows.some(r => {
-            const yMin = r['DatingMinYear'];
-            const yMax = r['DatingMaxYear'];
-            if (typeof yMin !== 'number' || Number.isNaN(yMin)) return false;
-            if (typeof yMax !== 'number' || Number.isNaN(yMax)) return false;
-            if (min !== null && yMax < min) return false;
-            if (max !== null && yMin > max) return false;
-            return true;
-          });
-          if (!anyInRange) return false;
-          continue;
-        }
-
-        if (field === "Lines") {
-          const range = facetSelections["LinesRange"];
-          const selectedText = facetSelections["Lines"] || [];
-
-          let min = range ? range.min : null;
-          let max = range ? range.max : null;
-          if (typeof min === 'number' && Number.isNaN(min)) min = null;
-          if (typeof max === 'number' && Number.isNaN(max)) max = null;
-          if (min !== null && max !== null && min > max) { const tmp = min; min = max; max = tmp; }
-
-          const rangeActive = (min !== null || max !== null);
-          const textActive = Array.isArray(selectedText) && selectedText.length > 0;
-          if (!rangeActive && !textActive) continue;
-
-          const anyMatch = ms.rows.some(r => {
-            // Text-only match (OR with range)
-            if (textActive) {
-              const v = normalizeLinesFacetValue(getFacetValue(r, "Lines"));
-              if (selectedText.includes(v)) return true;
-              // Also try cleaned raw text for safety
-              const raw = getFacetValue(r, "Lines");
-              const cleaned = stripCaPrefix(stripParenComments(raw));
-              if (cleaned && selectedText.includes(cleaned)) return true;
-            }
-
-            if (!rangeActive) return false;
-            const parsed = parseLinesRange(r["Lines"]);
-            if (!parsed) return false;
-            if (min !== null && parsed.min < min) return false;
-            if (max !== null && parsed.max > max) return false;
-            return true;
-          });
+// Most frequent categories get their own colour; the rest share TIMELINE_OTHER_COLOR.
+function buildTimelineColorMap(items) {
+  const counts = new Map();
+  for (const it of items) counts.set(it.category, (counts.get(it.category) || 0) + 1);
+  const ordered = Array.from(counts.entries()).sort((a, b) => (b[1] - a[1]) || compareText(a[0], b[0]));
+  const colors = new Map();
+  ordered.forEach(([cat], i) => colors.set(cat, i < TIMELINE_COLORS.length ? TIMELINE_COLORS[i] : TIMELINE_OTHER_COLOR));
+  return { colors, ordered };
+}
 
-          if (!anyMatch) return false;
-          continue;
-        }
+function getTimelineTickStep(span) {
+  if (span > 600) return 100;
+  if (span > 250) return 50;
+  if (span > 100) return 25;
+  return 10;
+}
 
-        if (field === "Main text group") {
-          const variantSelections = facetSelections["Main text group-variant"];
-          if (variantSelections && variantSelections.length > 0) {
-            const anyVariant = ms.rows.some(r => {
-              const group = r["Main text group"] || "";
-              let variant = "";
-              if (r["Main text"]) {
-                const m = String(r["Main text"]).match(/^([^\(]+)\s*\(([^\)]+)\)/);
-                if (m) variant = m[2].trim();
-              }
-              const key = group + "|" + variant;
-              return variantSelections.includes(key);
-            });
-            if (!anyVariant) return false;
-            continue;
-          }
-          const groups = facetSelections[field];
-          if (groups && groups.length > 0) {
-            const anyGroup = ms.rows.some(r => groups.includes(getFacetValue(r, field)));
-            if (!anyGroup) return false;
-          }
-          continue;
-        }
+function renderTimelineView(manuscripts) {
+  const chart = document.getElementById("timeline-chart");
+  const legend = document.getElementById("timeline-legend");
+  const meta = document.getElementById("timeline-view-meta");
+  if (!chart) return;
 
-        const selected = facetSelections[field];
-        if (selected && selected.length > 0) {
-          const anyMatch = ms.rows.some(r => selected.includes(getFacetValue(r, field)));
-          if (!anyMatch) return false;
-        }
-      }
+  const { items, undated } = buildTimelineItems(manuscripts || []);
+  const unitLabel = (TIMELINE_UNIT === "unit") ? "production units" : "manuscripts";
+  if (meta) {
+    meta.textContent = `${items.length} ${unitLabel} dated` + (undated ? ` — ${undated} without a parsable dating not shown` : "");
+  }
 
-      if (query) {
-        const anySearch = ms.rows.some(r => Object.values(r).some(val => String(val).toLowerCase().includes(query)));
-        if (!anySearch) return false;
-      }
+  if (!items.length) {
+    TIMELINE_SCALE = null;
+    chart.innerHTML = '<div class="text-secondary p-2">No dated manuscripts match the current filters.</div>';
+    if (legend) legend.innerHTML = "";
+    return;
+  }
 
-      return true;
+  const { colors, ordered } = buildTimelineColorMap(items);
+  if (legend) {
+    const shown = ordered.slice(0, TIMELINE_COLORS.length);
+    let html = shown.map(([cat, n]) => `<span class="d-inline-flex align-items-center gap-1"><span class="timeline-swatch" style="background:${colors.get(cat)};"></span>${escapeHtml(cat)} <span class="text-secondary">(${n})</span></span>`).join("");
+    if (ordered.length > shown.length) {
+      const rest = ordered.slice(shown.length).reduce((n, [, c]) => n + c, 0);
+      html += `<span class="d-inline-flex align-items-center gap-1"><span class="timeline-swatch" style="background:${TIMELINE_OTHER_COLOR};"></span>Other <span class="text-secondary">(${rest})</span></span>`;
     }
+    legend.innerHTML = html;
+  }
+
+  // Pad the domain to whole decades so bars never touch the edges.
+  const minYear = Math.floor(Math.min(...items.map(it => it.min)) / 10) * 10;
+  const maxYear = Math.ceil((Math.max(...items.map(it => it.max)) + 1) / 10) * 10;
+  const width = Math.max(400, chart.clientWidth || 900);
+  const pxPerYear = (width - 2 * TIMELINE_MARGIN_X) / Math.max(1, maxYear - minYear);
+  const xOf = (year) => TIMELINE_MARGIN_X + (year - minYear) * pxPerYear;
+  TIMELINE_SCALE = { minYear, maxYear, pxPerYear };
+
+  // Greedy lane packing: each bar goes into the first lane that is free at its start year.
+  const laneEnds = [];
+  const minGapYears = 3 / pxPerYear;
+  const bars = items.map(it => {
+    let lane = laneEnds.findIndex(end => end + minGapYears < it.min);
+    if (lane === -1) {
+      lane = laneEnds.length;
+      laneEnds.push(it.max + 1);
+    } else {
+      laneEnds[lane] = it.max + 1;
+    }
+    return { it, lane };
+  });
 
-    const filtered = manuscripts.filter(manuscriptMatches);
+  const height = TIMELINE_AXIS_HEIGHT + laneEnds.length * (TIMELINE_BAR_HEIGHT + TIMELINE_LANE_GAP) + TIMELINE_LANE_GAP;
+  const step = getTimelineTickStep(maxYear - minYear);
+  let ticks = "";
+  for (let y = Math.ceil(minYear / step) * step; y <= maxYear; y += step) {
+    const x = xOf(y).toFixed(1);
+    ticks += `<line x1="${x}" x2="${x}" y1="${TIMELINE_AXIS_HEIGHT - 4}" y2="${height}" stroke="#e5e5e5"/>`;
+    ticks += `<text x="${x}" y="${TIMELINE_AXIS_HEIGHT - 8}" text-anchor="middle" font-size="11" fill="#6c757d">${y}</text>`;
+  }
 
-    let totalRows = 0;
-    filtered.forEach(m => { totalRows += m.rows.length; });
+  const barsSvg = bars.map(({ it, lane }) => {
+    const x = xOf(it.min);
+    const w = Math.max(3, (it.max + 1 - it.min) * pxPerYear);
+    const y = TIMELINE_AXIS_HEIGHT + TIMELINE_LANE_GAP + lane * (TIMELINE_BAR_HEIGHT + TIMELINE_LANE_GAP);
+    const title = `${it.label}\n${it.dating || `${it.min}–${it.max}`}\n${TIMELINE_COLOR_BY}: ${it.categories.join("; ") || "—"}`;
+    return `<rect class="timeline-bar" data-ms-key="${escapeHtml(it.key)}" data-source-id="${escapeHtml(it.sourceId || "")}" x="${x.toFixed(1)}" y="${y}" width="${w.toFixed(1)}" height="${TIMELINE_BAR_HEIGHT}" rx="2" fill="${colors.get(it.category)}"><title>${escapeHtml(title)}</title></rect>`;
+  }).join("");
 
-    const pageSize = getMergedPageSize();
-    const totalPages = (!Number.isFinite(pageSize)) ? 1 : Math.max(1, Math.ceil(filtered.length / pageSize));
+  chart.innerHTML = `<svg class="timeline-svg" width="${width}" height="${height}" xmlns="http://www.w3.org/2000/svg">${ticks}${barsSvg}<rect class="timeline-brush" x="0" y="0" width="0" height="${height}" style="display:none;"/></svg>`;
+}
 
-    if (MERGED_PAGE < 1) MERGED_PAGE = 1;
-    if (MERGED_PAGE > totalPages) MERGED_PAGE = totalPages;
+function getTimelineYearAt(chart, clientX) {
+  const svg = chart.querySelector("svg");
+  if (!svg || !TIMELINE_SCALE) return null;
+  const x = clientX - svg.getBoundingClientRect().left;
+  const year = TIMELINE_SCALE.minYear + (x - TIMELINE_MARGIN_X) / TIMELINE_SCALE.pxPerYear;
+  return Math.min(TIMELINE_SCALE.maxYear, Math.max(TIMELINE_SCALE.minYear, year));
+}
 
-    let pageItems = filtered;
-    if (Number.isFinite(pageSize)) {
-      const start = (MERGED_PAGE - 1) * pageSize;
-      const end = start + pageSize;
-      pageItems = filtered.slice(start, end);
-    }
+// Dragging across the chart sets the Dating facet's From/To; a plain click on a bar opens the manuscript.
+function setupTimelineView() {
+  const chart = document.getElementById("timeline-chart");
+  const unitSelect = document.getElementById("timeline-unit");
+  const colorSelect = document.getElementById("timeline-color");
+  if (!chart) return;
 
-    renderMergedView(pageItems, {
-      totalManuscripts: filtered.length,
-      totalRows,
-      page: MERGED_PAGE,
-      totalPages,
+  try {
+    const unit = localStorage.getItem(TIMELINE_UNIT_STORAGE_KEY);
+    if (unit === "manuscript" || unit === "unit") TIMELINE_UNIT = unit;
+    const colorBy = localStorage.getItem(TIMELINE_COLOR_STORAGE_KEY);
+    if (colorBy === "Language" || colorBy === "Main text group") TIMELINE_COLOR_BY = colorBy;
+  } catch (e) {}
+
+  const rerender = () => { if (currentView === "timeline") renderTimelineView(MERGED_FILTERED_MANUSCRIPTS); };
+  if (unitSelect) {
+    unitSelect.value = TIMELINE_UNIT;
+    unitSelect.addEventListener("change", function () {
+      TIMELINE_UNIT = (this.value === "unit") ? "unit" : "manuscript";
+      try { localStorage.setItem(TIMELINE_UNIT_STORAGE_KEY, TIMELINE_UNIT); } catch (e) {}
+      rerender();
     });
-
-    // Keep the Text View table internally in sync (even though hidden)
-    if (table) {
-      const allowed = new Set(filtered.map(m => m.key));
-      table.clearFilter(true);
-      table.setFilter(function(row) {
-        return allowed.has(getManuscriptKey(row));
-      });
-    }
-
-    return;
   }
-
-  // Update facet counters (option B) for table view.
-  try {
-    updateFacetCountsUI(computeFacetCountsTable(allRows || [], facetSelections, query));
-  } catch (e) {
-    console.error('Facet counters failed to update (table):', e);
+  if (colorSelect) {
+    colorSelect.value = TIMELINE_COLOR_BY;
+    colorSelect.addEventListener("change", function () {
+      TIMELINE_COLOR_BY = (this.value === "Main text group") ? "Main text group" : "Language";
+      try { localStorage.setItem(TIMELINE_COLOR_STORAGE_KEY, TIMELINE_COLOR_BY); } catch (e) {}
+      rerender();
+    });
   }
 
-  if (!table) return;
-  table.clearFilter(true);
-  // Compose filter function
-  table.setFilter(function(row) {
-    // 1. Check Facets
-    for (const field of FACET_FIELDS) {
-      if (field === 'Minor text') {
-        const selected = facetSelections[field];
-        if (selected && selected.length > 0) {
-          const selectedNorm = new Set(selected.map(s => normalizeForCompare(s)));
-          let ok = false;
-          for (const t of parseMinorTextTokens(row && row['Minor text'])) {
-            if (selectedNorm.has(normalizeForCompare(t))) { ok = true; break; }
-          }
-          if (!ok) return false;
-        }
-        continue;
-      }
-      if (field === "Dating") {
-        const range = facetSelections["DatingRange"];
-        if (range && (range.min !== null || range.max !== null)) {
-          let min = range.min;
-          let max = range.max;
-          if (typeof min === 'number' && Number.isNaN(min)) min = null;
-          if (typeof max === 'number' && Number.isNaN(max)) max = null;
-          if (min !== null && max !== null && min > max) {
-            const tmp = min; min = max; max = tmp;
-          }
-          const yMin = row['DatingMinYear'];
-          const yMax = row['DatingMaxYear'];
-          if (typeof yMin !== 'number' || Number.isNaN(yMin)) return false;
-          if (typeof yMax !== 'number' || Number.isNaN(yMax)) return false;
-          if (min !== null && yMax < min) return false;
-          if (max !== null && yMin > max) return false;
-        }
-        continue;
-      }
-
-      if (field === "Lines") {
-        const range = facetSelections["LinesRange"];
-        const selectedText = facetSelections["Lines"] || [];
-
-        let min = range ? range.min : null;
-        let max = range ? range.max : null;
-        if (typeof min === 'number' && Number.isNaN(min)) min = null;
-        if (typeof max === 'number' && Number.isNaN(max)) max = null;
-        if (min !== null && max !== null && min > max) { const tmp = min; min = max; max = tmp; }
-
-        const rangeActive = (min !== null || max !== null);
-        const textActive = Array.isArray(selectedText) && selectedText.length > 0;
-        if (rangeActive || textActive) {
-          let ok = false;
-
-          if (textActive) {
-            const v = normalizeLinesFacetValue(getFacetValue(row, "Lines"));
-            if (selectedText.includes(v)) ok = true;
-            if (!ok) {
-              const cleaned = stripCaPrefix(stripParenComments(getFacetValue(row, "Lines")));
-              if (cleaned && selectedText.includes(cleaned)) ok = true;
-            }
-          }
-
-          if (!ok && rangeActive) {
-            const parsed = parseLinesRange(row["Lines"]);
-            if (parsed) {
-              if (!(min !== null && parsed.min < min) && !(max !== null && parsed.max > max)) ok = true;
-            }
-          }
+  let resizeTimer = null;
+  window.addEventListener("resize", function () {
+    if (resizeTimer) clearTimeout(resizeTimer);
+    resizeTimer = setTimeout(rerender, 120);
+  });
 
-          if (!ok) return false;
-        }
+  // The bar is taken from pointerdown: with pointer capture, pointerup targets the chart.
+  let drag = null; // { startX, startYear, bar }
+  chart.addEventListener("pointerdown", function (ev) {
+    if (ev.button !== 0) return;
+    const startYear = getTimelineYearAt(chart, ev.clientX);
+    if (startYear === null) return;
+    const bar = ev.target && ev.target.closest ? ev.target.closest(".timeline-bar") : null;
+    drag = { startX: ev.clientX, startYear, bar };
+    try { chart.setPointerCapture(ev.pointerId); } catch (e) {}
+  });
 
-        continue;
-      }
-      if (field === "Main text group") {
-        if (facetSelections["Main text group-variant"] && facetSelections["Main text group-variant"].length > 0) {
-          let matched = false;
-          let group = row["Main text group"] || "";
-          let variant = "";
-          if (row["Main text"]) {
-            let m = row["Main text"].match(/^([^\(]+)\s*\(([^\)]+)\)/);
-            if (m) variant = m[2].trim();
-          }
-          let key = group + "|" + variant;
-          if (facetSelections["Main text group-variant"].includes(key)) matched = true;
-          if (!matched) return false;
-        } else if (facetSelections[field] && facetSelections[field].length > 0) {
-          if (!facetSelections[field].includes(row[field])) return false;
-        }
-      } else {
-        if (facetSelections[field] && facetSelections[field].length > 0) {
-          if (!facetSelections[field].includes(getFacetValue(row, field))) return false;
-        }
-      }
-    }
+  chart.addEventListener("pointermove", function (ev) {
+    if (!drag) return;
+    const svg = chart.querySelector("svg");
+    const brush = chart.querySelector(".timeline-brush");
+    if (!svg || !brush) return;
+    const left = svg.getBoundingClientRect().left;
+    const a = Math.min(drag.startX, ev.clientX) - left;
+    const b = Math.max(drag.startX, ev.clientX) - left;
+    brush.setAttribute("x", String(a));
+    brush.setAttribute("width", String(b - a));
+    brush.style.display = "";
+  });
 
-    // 2. Check Global Search
-    if (query) {
-      const matchesSearch = Object.values(row).some(val =>
-        String(val).toLowerCase().includes(query)
-      );
-      if (!matchesSearch) return false;
+  chart.addEventListener("pointerup", function (ev) {
+    if (!drag) return;
+    const start = drag;
+    drag = null;
+    const brush = chart.querySelector(".timeline-brush");
+    if (brush) brush.style.display = "none";
+
+    if (Math.abs(ev.clientX - start.startX) < 4) {
+      const bar = start.bar;
+      const msKey = bar ? bar.getAttribute("data-ms-key") || "" : "";
+      const sourceId = bar ? bar.getAttribute("data-source-id") || "" : "";
+      if (msKey && msKey !== "||" && sourceId) openManuscriptDetailsModalByKey({ sourceId, msKey });
+      return;
     }
 
-    return true;
+    const endYear = getTimelineYearAt(chart, ev.clientX);
+    if (endYear === null) return;
+    setFacetRangeInputs(document.getElementById("facet-Dating"), "data-dating-range", {
+      min: Math.floor(Math.min(start.startYear, endYear)),
+      max: Math.ceil(Math.max(start.startYear, endYear)),
+    });
+    applyFacetFilters();
   });
 
-  // Sorting is disabled; order is only changed when sort mode changes.
+  chart.addEventListener("pointercancel", function () {
+    drag = null;
+    const brush = chart.querySelector(".timeline-brush");
+    if (brush) brush.style.display = "none";
+  });
 }
 
+// Map View: manuscripts per origin place or per depository city (Leaflet, gazetteer coordinates).
+const MAP_LAYER_STORAGE_KEY = "nordiclaw.mapLayer";
+const MAP_LAYERS = {
+  origin: { field: "Origin place", color: "#d62728", missing: "without an identified origin" },
+  depository: { field: "Depository place", color: "#1f77b4", missing: "without a located depository" },
+};
+const MAP_TILE_URL = 'https://tile.openstreetmap.org/{z}/{x}/{y}.png';
+let MAP_LAYER = "origin";
+let MAP_INSTANCE = null;
+let MAP_MARKERS = null;
+let MAP_FITTED_LAYER = null; // fit the bounds once per layer, then keep the user's pan/zoom
+
+// Manuscripts per place; a manuscript with units from several places counts once at each.
+function collectMapPlaceCounts(manuscripts, field) {
+  const counts = new Map();
+  let unplaced = 0;
+  for (const ms of manuscripts) {
+    const names = new Set((ms.rows || []).map(r => normalizeForCompare(r[field])).filter(Boolean));
+    if (!names.size) {
+      unplaced += 1;
+      continue;
+    }
+    for (const name of names) counts.set(name, (counts.get(name) || 0) + 1);
+  }
+  return { counts, unplaced };
+}
 
+function renderMapView(manuscripts) {
+  const canvas = document.getElementById("map-canvas");
+  const meta = document.getElementById("map-view-meta");
+  if (!canvas) return;
 
-// Depository abbreviation mapping, loaded from depositories.tsv at runtime
-let DEPOSITORY_MAP = null;
+  const layer = MAP_LAYERS[MAP_LAYER] || MAP_LAYERS.origin;
+  const list = manuscripts || [];
+  const { counts, unplaced } = collectMapPlaceCounts(list, layer.field);
+  if (meta) {
+    meta.textContent = `${list.length - unplaced} manuscripts at ${counts.size} places`
+      + (unplaced ? ` — ${unplaced} ${layer.missing}` : "");
+  }
+
+  const L = window.L;
+  if (!L) {
+    canvas.innerHTML = '<div class="text-secondary p-2">The map library could not be loaded.</div>';
+    return;
+  }
+
+  if (!MAP_INSTANCE) {
+    MAP_INSTANCE = L.map(canvas).setView([61, 8], 4);
+    // Tiles need a network connection; markers come from the bundled gazetteer and work offline.
+    L.tileLayer(MAP_TILE_URL, {
+      maxZoom: 12,
+      attribution: '&copy; <a href="https://www.openstreetmap.org/copyright">OpenStreetMap</a> contributors',
+    }).addTo(MAP_INSTANCE);
+    MAP_MARKERS = L.layerGroup().addTo(MAP_INSTANCE);
+  }
+  // The container may have been hidden while another view was active.
+  MAP_INSTANCE.invalidateSize();
+  MAP_MARKERS.clearLayers();
+
+  const selected = new Set(getFacetSelections()[layer.field] || []);
+  const points = [];
+  for (const [name, n] of counts.entries()) {
+    const place = GAZETTEER ? GAZETTEER.places.get(name) : null;
+    if (!place) continue;
+    const marker = L.circleMarker([place.lat, place.lon], {
+      radius: 5 + 3 * Math.sqrt(n),
+      color: layer.color,
+      weight: selected.has(name) ? 3 : 1,
+      fillColor: layer.color,
+      fillOpacity: 0.55,
+    });
+    marker.bindTooltip(`${escapeHtml(name)} (${n})`);
+    marker.on("click", () => selectFacetValue(layer.field, name));
+    marker.addTo(MAP_MARKERS);
+    points.push([place.lat, place.lon]);
+  }
+
+  if (points.length && MAP_FITTED_LAYER !== MAP_LAYER) {
+    MAP_INSTANCE.fitBounds(points, { padding: [30, 30], maxZoom: 7 });
+    MAP_FITTED_LAYER = MAP_LAYER;
+  }
+}
+
+// Restrict the results to one value (a place, a cited work) through its facet,
+// so the filter shows in the sidebar and the link.
+function selectFacetValue(field, value) {
+  const facetDiv = document.getElementById(`facet-${field}`);
+  if (!facetDiv) return;
+  facetDiv.querySelectorAll('input[type=checkbox][data-facet]').forEach(cb => {
+    if (cb.value !== "__ALL__") cb.checked = (cb.value === value);
+  });
+  updateFacetAllCheckbox(field);
+  applyFacetFilters();
+}
+
+function setupMapView() {
+  const layerSelect = document.getElementById("map-layer");
+  try {
+    const saved = localStorage.getItem(MAP_LAYER_STORAGE_KEY);
+    if (saved && MAP_LAYERS[saved]) MAP_LAYER = saved;
+  } catch (e) {}
+  if (!layerSelect) return;
+
+  layerSelect.value = MAP_LAYER;
+  layerSelect.addEventListener("change", function () {
+    MAP_LAYER = MAP_LAYERS[this.value] ? this.value : "origin";
+    try { localStorage.setItem(MAP_LAYER_STORAGE_KEY, MAP_LAYER); } catch (e) {}
+    if (currentView === "map") renderMapView(MERGED_FILTERED_MANUSCRIPTS);
+  });
+}
+
+// Bibliography view: the works cited in the current results (Literature column,
+// parsed by bibliography.js), each with the manuscripts that cite it.
+const BIBLIOGRAPHY_SORT_STORAGE_KEY = "nordiclaw.bibliographySort";
+let BIBLIOGRAPHY_SORT = "author"; // "author" | "cited"
+const LITERATURE_PARSE_CACHE = new Map();
+
+function getLiteratureCitations(text) {
+  const s = normalizeForCompare(text);
+  if (!s) return [];
+  if (!LITERATURE_PARSE_CACHE.has(s)) LITERATURE_PARSE_CACHE.set(s, parseLiterature(s));
+  return LITERATURE_PARSE_CACHE.get(s);
+}
+
+function compareCitedWorks(a, b) {
+  return compareText(a.author, b.author) || compareText(a.year, b.year);
+}
+
+// Works cited by the given manuscripts; pages are merged per manuscript.
+function collectBibliographyWorks(manuscripts) {
+  const byKey = new Map();
+  let uncited = 0;
+  for (const ms of manuscripts) {
+    const rows = Array.isArray(ms.rows) ? ms.rows : [];
+    const pagesByWork = new Map();
+    for (const r of rows) {
+      for (const c of getLiteratureCitations(r && r["Literature"])) {
+        if (!byKey.has(c.key)) byKey.set(c.key, { work: c, manuscripts: [] });
+        if (!pagesByWork.has(c.key)) pagesByWork.set(c.key, new Set());
+        c.pages.forEach(p => pagesByWork.get(c.key).add(p));
+      }
+    }
+    if (!pagesByWork.size) {
+      uncited += 1;
+      continue;
+    }
+    const shelfmark = normalizeForCompare(rows[0] && rows[0]["Shelf mark"]) || ms.key;
+    const sourceId = getSourceIdForManuscript(ms.key, rows);
+    for (const [key, pages] of pagesByWork.entries()) {
+      byKey.get(key).manuscripts.push({ key: ms.key, sourceId, shelfmark, pages: Array.from(pages) });
+    }
+  }
+  return { works: Array.from(byKey.values()), uncited };
+}
+
+function renderBibliographyView(manuscripts) {
+  const host = document.getElementById("bibliography-list");
+  const meta = document.getElementById("bibliography-view-meta");
+  if (!host) return;
+  if (!BIBLIOGRAPHY_MAP) {
+    loadBibliographyMap().then(() => {
+      if (currentView === "bibliography") renderBibliographyView(MERGED_FILTERED_MANUSCRIPTS);
+    });
+  }
+
+  const list = manuscripts || [];
+  const { works, uncited } = collectBibliographyWorks(list);
+  if (BIBLIOGRAPHY_SORT === "cited") {
+    works.sort((a, b) => (b.manuscripts.length - a.manuscripts.length) || compareCitedWorks(a.work, b.work));
+  } else {
+    works.sort((a, b) => compareCitedWorks(a.work, b.work));
+  }
+  if (meta) {
+    meta.textContent = `${works.length} works cited in ${list.length - uncited} manuscripts`
+      + (uncited ? ` — ${uncited} without literature` : "");
+  }
+  if (!works.length) {
+    host.innerHTML = '<div class="text-secondary">No literature is cited in the current results.</div>';
+    return;
+  }
+
+  const selected = new Set(getFacetSelections()["Cited in"] || []);
+  host.innerHTML = works.map(({ work, manuscripts: cited }) => {
+    const reference = getCitationReference(work.key);
+    const items = cited
+      .slice()
+      .sort((a, b) => compareShelfmarks(a.shelfmark, b.shelfmark))
+      .map(m => `<li><a href="#" class="ms-open-details" data-ms-key="${escapeHtml(m.key)}" data-source-id="${escapeHtml(m.sourceId || "")}">${escapeHtml(m.shelfmark)}</a>`
+        + (m.pages.length ? `<span class="text-secondary">: ${escapeHtml(m.pages.join("; "))}</span>` : "")
+        + `</li>`)
+      .join("");
+    return `
+      <div class="bibliography-work">
+        <div>
+          <a href="#" class="bibliography-select fw-bold${selected.has(work.key) ? " text-decoration-underline" : ""}" data-work-key="${escapeHtml(work.key)}">${escapeHtml(work.label)}</a>
+          <span class="text-secondary small ms-1">${cited.length} ${cited.length === 1 ? "manuscript" : "manuscripts"}</span>
+        </div>
+        ${reference ? `<div class="small">${escapeHtml(reference)}</div>` : ""}
+        <ul class="bibliography-manuscripts small">${items}</ul>
+      </div>
+    `;
+  }).join("");
+}
+
+function setupBibliographyView() {
+  const sortSelect = document.getElementById("bibliography-sort");
+  const listEl = document.getElementById("bibliography-list");
+  try {
+    const saved = localStorage.getItem(BIBLIOGRAPHY_SORT_STORAGE_KEY);
+    if (saved === "author" || saved === "cited") BIBLIOGRAPHY_SORT = saved;
+  } catch (e) {}
+
+  if (sortSelect) {
+    sortSelect.value = BIBLIOGRAPHY_SORT;
+    sortSelect.addEventListener("change", function () {
+      BIBLIOGRAPHY_SORT = (this.value === "cited") ? "cited" : "author";
+      try { localStorage.setItem(BIBLIOGRAPHY_SORT_STORAGE_KEY, BIBLIOGRAPHY_SORT); } catch (e) {}
+      if (currentView === "bibliography") renderBibliographyView(MERGED_FILTERED_MANUSCRIPTS);
+    });
+  }
+  if (!listEl) return;
+
+  listEl.addEventListener("click", function (ev) {
+    const target = ev && ev.target ? ev.target : null;
+    if (!target || !target.closest) return;
+    const work = target.closest("a.bibliography-select");
+    if (work) {
+      ev.preventDefault();
+      selectFacetValue("Cited in", work.getAttribute("data-work-key") || "");
+      return;
+    }
+    const link = target.closest("a.ms-open-details");
+    if (!link) return;
+    ev.preventDefault();
+    const msKey = link.getAttribute("data-ms-key") || "";
+    const sourceId = link.getAttribute("data-source-id") || "";
+    if (msKey && sourceId) openManuscriptDetailsModalByKey({ sourceId, msKey });
+  });
+}
+
+// Relations view: clusters of manuscripts that name each other in Related Shelfmarks,
+// e.g. leaves of one dismembered codex now kept in different depositories.
+const RELATIONS_NODE_RADIUS = 6;
+const RELATIONS_LABEL_WIDTH = 130;
+
+// Links between manuscripts (undirected) and their connected clusters, over all loaded data.
+function getRelatedShelfmarkGraph() {
+  const index = getRelatedShelfmarkIndex();
+  if (index.graph) return index.graph;
+
+  const edges = new Map();
+  const parent = new Map();
+  const find = (k) => {
+    while (parent.get(k) !== k) {
+      parent.set(k, parent.get(parent.get(k)));
+      k = parent.get(k);
+    }
+    return k;
+  };
+
+  for (const ms of index.manuscripts) {
+    const from = index.targets.get(ms.key);
+    if (!from) continue;
+    const values = new Set(ms.rows.map(r => normalizeForCompare(r["Related Shelfmarks"])).filter(Boolean));
+    for (const value of values) {
+      for (const hit of findRelatedShelfmarks(value, ms.key)) {
+        const [a, b] = [ms.key, hit.target.msKey].sort();
+        const id = `${a}\u0001${b}`;
+        if (!edges.has(id)) edges.set(id, { a, b, notes: [] });
+        const note = `${from.shelfmark}: ${value}`;
+        if (!edges.get(id).notes.includes(note)) edges.get(id).notes.push(note);
+        for (const k of [a, b]) if (!parent.has(k)) parent.set(k, k);
+        parent.set(find(a), find(b));
+      }
+    }
+  }
+
+  const byRoot = new Map();
+  for (const k of parent.keys()) {
+    const root = find(k);
+    if (!byRoot.has(root)) byRoot.set(root, []);
+    byRoot.get(root).push(k);
+  }
+  index.graph = { edges: Array.from(edges.values()), clusters: Array.from(byRoot.values()) };
+  return index.graph;
+}
+
+function renderRelationsClusterHtml(keys, edges, colors, inResults) {
+  const index = getRelatedShelfmarkIndex();
+  const nodes = keys
+    .map(k => index.targets.get(k))
+    .filter(Boolean)
+    .sort((a, b) => compareText(a.depository, b.depository) || compareShelfmarks(a.shelfmark, b.shelfmark));
+  const n = nodes.length;
+  const radius = Math.max(30, n * 9);
+  const cx = radius + RELATIONS_LABEL_WIDTH;
+  const cy = radius + 20;
+  const pos = new Map();
+  nodes.forEach((t, i) => {
+    const angle = -Math.PI / 2 + (2 * Math.PI * i) / n;
+    pos.set(t.msKey, { x: cx + radius * Math.cos(angle), y: cy + radius * Math.sin(angle), cos: Math.cos(angle), sin: Math.sin(angle) });
+  });
+
+  const lines = edges.map(e => {
+    const a = pos.get(e.a);
+    const b = pos.get(e.b);
+    return `<line x1="${a.x.toFixed(1)}" y1="${a.y.toFixed(1)}" x2="${b.x.toFixed(1)}" y2="${b.y.toFixed(1)}" stroke="#adb5bd" stroke-width="1.5"><title>${escapeHtml(e.notes.join("\n"))}</title></line>`;
+  }).join("");
+
+  const circles = nodes.map(t => {
+    const p = pos.get(t.msKey);
+    const anchor = (p.cos > 0.3) ? "start" : (p.cos < -0.3 ? "end" : "middle");
+    const lx = p.x + 10 * p.cos;
+    const ly = p.y + 14 * p.sin + 4;
+    const title = `${expandDepositoryLabel(t.depository)} — ${t.shelfmark}`;
+    const opacity = inResults.has(t.msKey) ? 1 : 0.35;
+    return `<g class="relations-node" data-ms-key="${escapeHtml(t.msKey)}" data-source-id="${escapeHtml(t.sourceId)}" opacity="${opacity}">`
+      + `<circle cx="${p.x.toFixed(1)}" cy="${p.y.toFixed(1)}" r="${RELATIONS_NODE_RADIUS}" fill="${colors.get(t.depository) || TIMELINE_OTHER_COLOR}"/>`
+      + `<text x="${lx.toFixed(1)}" y="${ly.toFixed(1)}" text-anchor="${anchor}" font-size="11">${escapeHtml(t.shelfmark)}</text>`
+      + `<title>${escapeHtml(title)}</title></g>`;
+  }).join("");
+
+  const depositories = Array.from(new Set(nodes.map(t => t.depository)));
+  return `
+    <div class="relations-cluster">
+      <div class="small text-secondary">${n} manuscripts — ${escapeHtml(depositories.join(", "))}</div>
+      <svg width="${2 * cx}" height="${2 * cy}" xmlns="http://www.w3.org/2000/svg">${lines}${circles}</svg>
+    </div>
+  `;
+}
+
+function renderRelationsView(manuscripts) {
+  const host = document.getElementById("relations-list");
+  const meta = document.getElementById("relations-view-meta");
+  const legend = document.getElementById("relations-legend");
+  if (!host) return;
+
+  const list = manuscripts || [];
+  const inResults = new Set(list.map(m => m.key));
+  const graph = getRelatedShelfmarkGraph();
+  const clusters = graph.clusters
+    .filter(keys => keys.some(k => inResults.has(k)))
+    .map(keys => ({ keys, depositories: new Set(keys.map(k => k.split("||")[0])).size }))
+    // Clusters spanning several depositories first, then larger ones.
+    .sort((a, b) => (b.depositories - a.depositories) || (b.keys.length - a.keys.length) || compareText(a.keys[0], b.keys[0]));
+
+  const linked = list.filter(m => clusters.some(c => c.keys.includes(m.key))).length;
+  if (meta) meta.textContent = `${clusters.length} clusters — ${linked} of ${list.length} manuscripts have related shelfmarks`;
+
+  const counts = new Map();
+  for (const c of clusters) for (const k of c.keys) {
+    const dep = k.split("||")[0];
+    counts.set(dep, (counts.get(dep) || 0) + 1);
+  }
+  const ordered = Array.from(counts.entries()).sort((a, b) => (b[1] - a[1]) || compareText(a[0], b[0]));
+  const colors = new Map();
+  ordered.forEach(([dep], i) => colors.set(dep, i < TIMELINE_COLORS.length ? TIMELINE_COLORS[i] : TIMELINE_OTHER_COLOR));
+  if (legend) {
+    legend.innerHTML = ordered.map(([dep]) =>
+      `<span class="d-inline-flex align-items-center gap-1"><span class="timeline-swatch" style="background:${colors.get(dep)}"></span>${escapeHtml(dep)}</span>`).join("");
+  }
+
+  if (!clusters.length) {
+    host.innerHTML = '<div class="text-secondary">No related shelfmarks among the current results.</div>';
+    return;
+  }
+  host.innerHTML = clusters.map(c => {
+    const keys = new Set(c.keys);
+    const edges = graph.edges.filter(e => keys.has(e.a));
+    return renderRelationsClusterHtml(c.keys, edges, colors, inResults);
+  }).join("");
+}
+
+function setupRelationsView() {
+  // Related shelfmarks in the manuscript modal open that manuscript in the same modal.
+  const modalContent = document.getElementById("ms-details-content");
+  if (modalContent) {
+    modalContent.addEventListener("click", function (ev) {
+      const link = ev.target && ev.target.closest ? ev.target.closest("a.ms-open-details") : null;
+      if (!link) return;
+      ev.preventDefault();
+      openManuscriptDetailsModalByKey({ sourceId: link.getAttribute("data-source-id") || "", msKey: link.getAttribute("data-ms-key") || "" });
+    });
+  }
+
+  const host = document.getElementById("relations-list");
+  if (!host) return;
+  host.addEventListener("click", function (ev) {
+    const node = ev.target && ev.target.closest ? ev.target.closest(".relations-node") : null;
+    if (!node) return;
+    const msKey = node.getAttribute("data-ms-key") || "";
+    const sourceId = node.getAttribute("data-source-id") || "";
+    if (msKey && sourceId) openManuscriptDetailsModalByKey({ sourceId, msKey });
+  });
+}
+
+// Size plot view: leaf height against leaf width (millimetres), one point per manuscript.
+const SIZES_MARGIN = { top: 12, right: 16, bottom: 40, left: 56 };
+const SIZES_CHART_HEIGHT = 480;
+const SIZES_POINT_RADIUS = 4;
+
+// One point per manuscript from its first parsable Leaf size with a plausible proportion;
+// the rest are counted as unplotted (implausible ones are listed in the data quality report).
+function buildSizesItems(manuscripts) {
+  const items = [];
+  let unplotted = 0;
+  let implausible = 0;
+  for (const ms of manuscripts) {
+    const rows = Array.isArray(ms.rows) ? ms.rows : [];
+    const sized = rows.filter(r => parseDimensions(r && r["Leaf size"]));
+    const row = sized.find(r => isPlausibleDimensionsProportion(parseDimensions(r["Leaf size"])));
+    if (!row) {
+      if (sized.length) implausible += 1;
+      else unplotted += 1;
+      continue;
+    }
+    const dims = parseDimensions(row["Leaf size"]);
+    const languages = Array.from(new Set(splitSemicolonList(aggregateFieldValues(rows, "Language", "; "))));
+    items.push({
+      key: ms.key,
+      sourceId: getSourceIdForManuscript(ms.key, rows),
+      label: normalizeForCompare(rows[0] && rows[0]["Shelf mark"]) || ms.key,
+      size: normalizeForCompare(row["Leaf size"]),
+      height: getDimensionMidpoint(dims.height),
+      width: getDimensionMidpoint(dims.width),
+      proportion: getDimensionsProportion(dims),
+      category: languages[0] || "(none)",
+    });
+  }
+  return { items, unplotted, implausible };
+}
+
+function renderSizesView(manuscripts) {
+  const chart = document.getElementById("sizes-chart");
+  const legend = document.getElementById("sizes-legend");
+  const meta = document.getElementById("sizes-view-meta");
+  if (!chart) return;
+
+  const { items, unplotted, implausible } = buildSizesItems(manuscripts || []);
+  if (meta) {
+    meta.textContent = `${items.length} manuscripts plotted`
+      + (unplotted ? ` — ${unplotted} without a parsable leaf size not shown` : "")
+      + (implausible ? ` — ${implausible} with an implausible proportion not shown (see Data quality)` : "");
+  }
+
+  if (!items.length) {
+    chart.innerHTML = '<div class="text-secondary p-2">No manuscripts with a leaf size match the current filters.</div>';
+    if (legend) legend.innerHTML = "";
+    return;
+  }
+
+  const { colors, ordered } = buildTimelineColorMap(items);
+  if (legend) {
+    const shown = ordered.slice(0, TIMELINE_COLORS.length);
+    let html = shown.map(([cat, n]) => `<span class="d-inline-flex align-items-center gap-1"><span class="timeline-swatch" style="background:${colors.get(cat)};"></span>${escapeHtml(cat)} <span class="text-secondary">(${n})</span></span>`).join("");
+    if (ordered.length > shown.length) {
+      const rest = ordered.slice(shown.length).reduce((n, [, c]) => n + c, 0);
+      html += `<span class="d-inline-flex align-items-center gap-1"><span class="timeline-swatch" style="background:${TIMELINE_OTHER_COLOR};"></span>Other <span class="text-secondary">(${rest})</span></span>`;
+    }
+    legend.innerHTML = html;
+  }
+
+  // Pad both axes to whole multiples of ten millimetres.
+  const domain = (values) => {
+    const min = Math.floor(Math.min(...values) / 10) * 10;
+    const max = Math.ceil(Math.max(...values) / 10) * 10;
+    return { min, max: Math.max(max, min + 10) };
+  };
+  const xs = domain(items.map(it => it.width));
+  const ys = domain(items.map(it => it.height));
+  const width = Math.max(400, chart.clientWidth || 900);
+  const height = SIZES_CHART_HEIGHT;
+  const plotW = width - SIZES_MARGIN.left - SIZES_MARGIN.right;
+  const plotH = height - SIZES_MARGIN.top - SIZES_MARGIN.bottom;
+  const xOf = (v) => SIZES_MARGIN.left + (v - xs.min) / (xs.max - xs.min) * plotW;
+  const yOf = (v) => SIZES_MARGIN.top + plotH - (v - ys.min) / (ys.max - ys.min) * plotH;
+
+  let axes = "";
+  const xStep = getTimelineTickStep(xs.max - xs.min);
+  for (let v = Math.ceil(xs.min / xStep) * xStep; v <= xs.max; v += xStep) {
+    const x = xOf(v).toFixed(1);
+    axes += `<line x1="${x}" x2="${x}" y1="${SIZES_MARGIN.top}" y2="${SIZES_MARGIN.top + plotH}" stroke="#e5e5e5"/>`;
+    axes += `<text x="${x}" y="${SIZES_MARGIN.top + plotH + 16}" text-anchor="middle" font-size="11" fill="#6c757d">${v}</text>`;
+  }
+  const yStep = getTimelineTickStep(ys.max - ys.min);
+  for (let v = Math.ceil(ys.min / yStep) * yStep; v <= ys.max; v += yStep) {
+    const y = yOf(v).toFixed(1);
+    axes += `<line x1="${SIZES_MARGIN.left}" x2="${SIZES_MARGIN.left + plotW}" y1="${y}" y2="${y}" stroke="#e5e5e5"/>`;
+    axes += `<text x="${SIZES_MARGIN.left - 6}" y="${(Number(y) + 4).toFixed(1)}" text-anchor="end" font-size="11" fill="#6c757d">${v}</text>`;
+  }
+  axes += `<text x="${SIZES_MARGIN.left + plotW / 2}" y="${height - 6}" text-anchor="middle" font-size="12" fill="#495057">Leaf width (mm)</text>`;
+  axes += `<text transform="translate(14 ${SIZES_MARGIN.top + plotH / 2}) rotate(-90)" text-anchor="middle" font-size="12" fill="#495057">Leaf height (mm)</text>`;
+
+  const points = items.map(it => {
+    const proportion = (it.proportion === null) ? "" : `\nProportion: ${it.proportion.toFixed(2)}`;
+    const title = `${it.label}\nLeaf size: ${it.size}${proportion}\nLanguage: ${it.category}`;
+    return `<circle class="sizes-point" data-ms-key="${escapeHtml(it.key)}" data-source-id="${escapeHtml(it.sourceId || "")}" cx="${xOf(it.width).toFixed(1)}" cy="${yOf(it.height).toFixed(1)}" r="${SIZES_POINT_RADIUS}" fill="${colors.get(it.category)}"><title>${escapeHtml(title)}</title></circle>`;
+  }).join("");
+
+  chart.innerHTML = `<svg width="${width}" height="${height}" xmlns="http://www.w3.org/2000/svg">${axes}${points}</svg>`;
+}
+
+function setupSizesView() {
+  const chart = document.getElementById("sizes-chart");
+  if (!chart) return;
+  chart.addEventListener("click", function (ev) {
+    const point = ev.target && ev.target.closest ? ev.target.closest(".sizes-point") : null;
+    if (!point) return;
+    const msKey = point.getAttribute("data-ms-key") || "";
+    const sourceId = point.getAttribute("data-source-id") || "";
+    if (msKey && sourceId) openManuscriptDetailsModalByKey({ sourceId, msKey });
+  });
+}
+
+// All manuscripts matching the current facets/search, in Manuscript View order (all pages).
+let MERGED_FILTERED_MANUSCRIPTS = [];
+
+function applyMergedFacetResult(result) {
+  const sortMode = getMergedSortMode();
+  const filtered = result.ids
+    .map(i => FACET_ENGINE_MANUSCRIPTS[i])
+    .filter(Boolean)
+    .map(g => ({ key: g.key, rows: g.rows }))
+    .sort((a, b) => compareManuscripts(a, b, sortMode));
+  MERGED_FILTERED_MANUSCRIPTS = filtered;
+
+  if (currentView === 'timeline' || currentView === 'map' || currentView === 'bibliography' || currentView === 'relations' || currentView === 'sizes') {
+    if (currentView === 'timeline') renderTimelineView(filtered);
+    else if (currentView === 'map') renderMapView(filtered);
+    else if (currentView === 'bibliography') renderBibliographyView(filtered);
+    else if (currentView === 'sizes') renderSizesView(filtered);
+    else renderRelationsView(filtered);
+    syncTableFilterToManuscripts(filtered);
+    return;
+  }
+
+  let totalRows = 0;
+  filtered.forEach(m => { totalRows += m.rows.length; });
+
+  const pageSize = getMergedPageSize();
+  const totalPages = (!Number.isFinite(pageSize)) ? 1 : Math.max(1, Math.ceil(filtered.length / pageSize));
+
+  if (MERGED_PAGE < 1) MERGED_PAGE = 1;
+  if (MERGED_PAGE > totalPages) MERGED_PAGE = totalPages;
+
+  let pageItems = filtered;
+  if (Number.isFinite(pageSize)) {
+    const start = (MERGED_PAGE - 1) * pageSize;
+    const end = start + pageSize;
+    pageItems = filtered.slice(start, end);
+  }
+
+  renderMergedView(pageItems, {
+    totalManuscripts: filtered.length,
+    totalRows,
+    page: MERGED_PAGE,
+    totalPages,
+  });
+
+  syncTableFilterToManuscripts(filtered);
+}
+
+// Keep the Text View table internally in sync (even though hidden)
+function syncTableFilterToManuscripts(manuscripts) {
+  if (!table) return;
+  const allowed = new Set(manuscripts.map(m => m.key));
+  table.clearFilter(true);
+  table.setFilter(function(row) {
+    return allowed.has(getManuscriptKey(row));
+  });
+}
+
+// Returns a Promise that settles once this request has been applied (or superseded
+// by a newer one), so callers that depend on the filtered table can await it.
+function applyFacetFilters() {
+  facetSelections = getFacetSelections();
+  const query = getActiveSearchQuery();
+  const view = currentView;
+  const seq = ++FACET_REQUEST_SEQ;
+  const request = buildFacetQueryRequest(isManuscriptListView(view) ? 'manuscripts' : 'rows', facetSelections, query);
+
+  return queryFacetEngine(request).then(result => {
+    // Typing quickly queues several requests; only the latest one is rendered.
+    if (seq !== FACET_REQUEST_SEQ) return;
+
+    // Update facet counters (option B) before rendering.
+    try {
+      updateFacetCountsUI(result.counts);
+    } catch (e) {
+      console.error(`Facet counters failed to update (${view}):`, e);
+    }
+
+    if (isManuscriptListView(view)) {
+      applyMergedFacetResult(result);
+      syncUrlState();
+      return;
+    }
+
+    if (!table) return;
+    const rows = FACET_ENGINE_ROWS || [];
+    const allowed = new Set(result.ids.map(i => rows[i]));
+    table.clearFilter(true);
+    table.setFilter(function(row) {
+      return allowed.has(row);
+    });
+
+    // The table reapplies its header sort and column filters to the new set.
+    syncUrlState();
+  }).catch(e => {
+    console.error('Facet filtering failed:', e);
+  });
+}
+
+
+
+// Depository abbreviation mapping, loaded from depositories.tsv at runtime
+let DEPOSITORY_MAP = null;
 
 async function loadDepositoryMap() {
   if (DEPOSITORY_MAP) return DEPOSITORY_MAP;
@@ -4204,9 +6728,83 @@ async function loadDepositoryMap() {
   }
 }
 
+// Offline gazetteer (data/gazetteer.json): coordinates for production places and depository cities.
+const GAZETTEER_URL = 'data/gazetteer.json';
+const GAZETTEER_TYPE_RANK = { settlement: 3, region: 2, country: 1 };
+// "Place" mostly records where decoration occurs; it is only consulted when Production names no place.
+const ORIGIN_PLACE_FIELDS = ["Production", "Place"];
+let GAZETTEER = null; // { places: Map(name -> place), matchers: [{ place, re }], depositories: { abbr -> name } }
+
+async function loadGazetteer() {
+  if (GAZETTEER) return GAZETTEER;
+  const places = new Map();
+  const matchers = [];
+  let depositories = {};
+  try {
+    const resp = await fetch(GAZETTEER_URL);
+    if (!resp.ok) throw new Error(`Failed to fetch ${GAZETTEER_URL}: ${resp.status}`);
+    const json = await resp.json();
+    for (const p of (Array.isArray(json.places) ? json.places : [])) {
+      const name = normalizeForCompare(p && p.name);
+      if (!name || !Number.isFinite(p.lat) || !Number.isFinite(p.lon)) continue;
+      const place = { name, lat: p.lat, lon: p.lon, type: p.type || 'region' };
+      places.set(name, place);
+      for (const alias of [name].concat(Array.isArray(p.aliases) ? p.aliases : [])) {
+        const a = normalizeForCompare(alias);
+        if (!a) continue;
+        const escaped = a.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+        matchers.push({ place, re: new RegExp(`(^|[^\\p{L}])${escaped}(?=$|[^\\p{L}])`, 'iu') });
+      }
+    }
+    depositories = (json.depositories && typeof json.depositories === 'object') ? json.depositories : {};
+  } catch (e) {
+    console.error('Failed to load gazetteer.json:', e);
+  }
+  GAZETTEER = { places, matchers, depositories };
+  return GAZETTEER;
+}
+
+// Most specific place named in a free-text value, e.g. "Hordaland (Bergen?)" => "Hordaland",
+// "The Cistercian monastery in Sorø, Sealand" => "Sorø". Parenthetical comments are only
+// consulted when the rest of the value names no place.
+function resolveGazetteerPlace(value) {
+  if (!GAZETTEER || !GAZETTEER.matchers.length) return '';
+  const full = normalizeForCompare(value);
+  if (!full) return '';
+
+  for (const text of [stripParenComments(full), full]) {
+    let best = null;
+    for (const { place, re } of GAZETTEER.matchers) {
+      const m = re.exec(text);
+      if (!m) continue;
+      const index = m.index + m[1].length;
+      const rank = GAZETTEER_TYPE_RANK[place.type] || 0;
+      if (!best || rank > best.rank || (rank === best.rank && index < best.index)) best = { place, rank, index };
+    }
+    if (best) return best.place.name;
+  }
+  return '';
+}
+
+// Derived row fields used by the place facets and the Map View.
+function applyPlaceFields(row) {
+  let origin = '';
+  for (const field of ORIGIN_PLACE_FIELDS) {
+    origin = resolveGazetteerPlace(row[field]);
+    if (origin) break;
+  }
+  row["Origin place"] = origin;
+
+  // Depositories are listed by abbreviation; a few rows name the institution in full instead.
+  const abbr = normalizeForCompare(row["Depository_abbr"]);
+  const dep = (GAZETTEER && abbr) ? normalizeForCompare(GAZETTEER.depositories[abbr]) : '';
+  row["Depository place"] = (dep && GAZETTEER.places.has(dep)) ? dep : resolveGazetteerPlace(row["Depository"]);
+}
+
 async function loadDataTSV(fileName) {
     try {
       await loadAbbreviationsMap();
+      await loadGazetteer();
       const depositoryMap = await loadDepositoryMap();
       const response = await fetch(fileName);
       const tsvText = await response.text();
@@ -4237,12 +6835,13 @@ async function loadDataTSV(fileName) {
 
         obj["Century"] = parseCentury(obj["Dating"]);
         {
-          const dr = parseDatingRange(obj["Dating"]);
+          const dr = parseRowDatingRange(obj);
           obj["DatingMinYear"] = dr ? dr.min : null;
           obj["DatingMaxYear"] = dr ? dr.max : null;
           obj["DatingYear"] = dr ? dr.min : null;
         }
         normalizeRowLanguage(obj);
+        applyPlaceFields(obj);
         return obj;
       });
 
@@ -4257,15 +6856,24 @@ async function loadDataFromParsedRows(headers, rows) {
     if (!Array.isArray(headers) || headers.length === 0) throw new Error('Missing headers');
     const safeRows = Array.isArray(rows) ? rows : [];
 
+    // Proportion is derived from Leaf size and shown right after it.
+    if (headers.includes('Leaf size') && !headers.includes(PROPORTION_COLUMN)) {
+      headers = headers.slice();
+      headers.splice(headers.indexOf('Leaf size') + 1, 0, PROPORTION_COLUMN);
+    }
+
     DATA_HEADERS = headers.slice();
     DISPLAY_COLUMNS = buildDisplayColumns(headers);
 
     loadMergedColumnVisibility();
     sanitizeMergedColumnVisibility();
-    renderMergedColumnsMenu();
 
     loadTableColumnVisibility();
     sanitizeTableColumnVisibility();
+
+    // A shared link overrides the locally saved column set (for this session only).
+    applyUrlStateToColumns(INITIAL_URL_STATE);
+    renderMergedColumnsMenu();
     renderTableColumnsMenu();
 
     allRows = safeRows;
@@ -4275,16 +6883,18 @@ async function loadDataFromParsedRows(headers, rows) {
     for (const r of safeRows) {
       if (!r || typeof r !== 'object') continue;
       if (typeof r.DatingMinYear === 'number' && typeof r.DatingMaxYear === 'number') continue;
-      const dr = parseDatingRange(r["Dating"]);
+      const dr = parseRowDatingRange(r);
       r.DatingMinYear = dr ? dr.min : null;
       r.DatingMaxYear = dr ? dr.max : null;
       if (typeof r.DatingYear !== 'number' || Number.isNaN(r.DatingYear)) {
         r.DatingYear = dr ? dr.min : null;
       }
     }
+    for (const r of safeRows) applyDimensionFields(r);
 
     // Manuscript-level derived facet indices.
     rebuildProductionUnitsCountIndex(safeRows);
+    rebuildScribeHandsIndex(safeRows);
 
     let colDefs = {};
     headers.forEach(h => {
@@ -4294,12 +6904,15 @@ async function loadDataFromParsedRows(headers, rows) {
         visible: true,
         hozAlign: 'left',
         width: ["Depository", "Shelf mark", "Production Unit"].includes(h) ? 200 : 100,
-        headerSort: false,
+        headerSort: true,
         headerFilter: "input",
         headerFilterPlaceholder: "Filter...",
         headerFilterLiveFilter: true
       };
 
+      if (TEXT_COLUMN_SORTERS[h]) colDef.sorter = TEXT_COLUMN_SORTERS[h];
+      if (h === "Dating") colDef.headerFilterRange = (_value, rowData) => getRowDatingRange(rowData);
+
       if (h === "Links to Database") {
         colDef.formatter = function(cell) {
           const v = cell.getValue();
@@ -4307,6 +6920,21 @@ async function loadDataFromParsedRows(headers, rows) {
         };
       }
 
+      if (h === "Shelf mark") {
+        colDef.formatter = function(cell) {
+          const data = cell.getRow().getData();
+          const msKey = getManuscriptKey(data);
+          const sourceId = getSourceIdForManuscript(msKey, [data]);
+          return renderCompareToggleHtml(msKey, sourceId) + renderBasketToggleHtml(msKey, sourceId) + escapeHtml(normalizeForCompare(cell.getValue()));
+        };
+      }
+
+      if (h === "Related Shelfmarks") {
+        colDef.formatter = function(cell) {
+          return renderRelatedShelfmarksHtml(normalizeForCompare(cell.getValue()), getManuscriptKey(cell.getRow().getData()));
+        };
+      }
+
       if (h === "Main text") {
         colDef.formatter = function(cell) {
           const v = normalizeForCompare(cell.getValue());
@@ -4404,14 +7032,11 @@ async function loadDataFromParsedRows(headers, rows) {
     await renderFacetSidebar(safeRows);
     setupFacetEvents();
 
-    // Render initial facet counters immediately after building the sidebar.
+    // Build the facet index now; counters are rendered by the first applyFacetFilters().
     try {
-      const searchInput = document.getElementById('search');
-      const query = searchInput ? searchInput.value.toLowerCase() : "";
-      const selections = getFacetSelections();
-      updateFacetCountsUI(computeFacetCountsTable(safeRows || [], selections, query));
+      ensureFacetEngine();
     } catch (e) {
-      console.error('Facet counters failed to render:', e);
+      console.error('Facet index failed to build:', e);
     }
 
     const sortedRows = sortRowsForTextView(safeRows, getMergedSortMode());
@@ -4425,12 +7050,44 @@ async function loadDataFromParsedRows(headers, rows) {
       table.setColumns(columns);
       await table.replaceData(sortedRows);
     } else {
-      table = new SimpleTable("#table-view", { data: sortedRows, columns: columns, pageSize: initialPageSize });
+      table = new SimpleTable("#table-view", { data: sortedRows, columns: columns, pageSize: initialPageSize, sort: TEXT_SORT });
 
       window.table = table;
 
+      // Related shelfmark links open that manuscript rather than the row's details.
+      const tableViewEl = document.getElementById("table-view");
+      if (tableViewEl) {
+        tableViewEl.addEventListener("click", function(ev) {
+          const link = ev.target && ev.target.closest ? ev.target.closest("a.ms-open-details") : null;
+          if (!link) return;
+          ev.preventDefault();
+          ev.stopPropagation();
+          openManuscriptDetailsModalByKey({ sourceId: link.getAttribute("data-source-id") || "", msKey: link.getAttribute("data-ms-key") || "" });
+        }, true);
+      }
+
+      table.on("pageChanged", function() {
+        syncUrlState();
+      });
+
+      table.on("headerFilterChanged", function() {
+        syncUrlState();
+      });
+
+      // Column filters from a shared link (only written while Text View is shown).
+      for (const field of Object.keys(INITIAL_URL_STATE.headerFilters || {})) {
+        table.setHeaderFilterValue(field, INITIAL_URL_STATE.headerFilters[field]);
+      }
+
+      table.on("sortChanged", function(sort) {
+        TEXT_SORT = sort;
+        try { localStorage.setItem(TEXT_SORT_STORAGE_KEY, JSON.stringify(TEXT_SORT)); } catch (e) {}
+        syncUrlState();
+      });
+
       // Attach rowClick event handler (modal)
       table.on("rowClick", function(e, row){
+        if (e && e.target && e.target.closest && e.target.closest(".ms-compare-toggle, .ms-basket-toggle")) return;
         const data = row.getData();
         const contentDiv = document.getElementById('row-details-content');
         if (!contentDiv) return;
@@ -4562,11 +7219,21 @@ async function loadDataFromParsedRows(headers, rows) {
       else table.setPageSize(parseInt(paginationRaw, 10));
     }
 
-    // Reset facet selections (All) and apply filters/render.
+    // Restore facet selections from a shared link, then sync the All boxes and render.
+    applyUrlStateToFacets(INITIAL_URL_STATE);
     FACET_FIELDS.forEach(field => updateFacetAllCheckbox(field));
-    applyFacetFilters();
+    if (INITIAL_URL_STATE.page && currentView === 'merged') MERGED_PAGE = INITIAL_URL_STATE.page;
+    await applyFacetFilters();
+
+    // Text View page can only be restored once the filter has been applied (filtering resets to page 1).
+    if (INITIAL_URL_STATE.page && currentView === 'table' && table && typeof table.setPage === 'function') {
+      table.setPage(INITIAL_URL_STATE.page);
+    }
 
     applyViewUI();
+
+    URL_STATE_READY = true;
+    syncUrlState();
   }
 
 
@@ -4580,6 +7247,8 @@ function setupControls() {
       if (searchInput) {
         searchInput.value = "";
       }
+      // Clear Text View column filters
+      if (table && typeof table.clearHeaderFilter === 'function') table.clearHeaderFilter();
       // Reset all facet checkboxes to 'All'
       FACET_FIELDS.forEach(field => {
         const facetDiv = document.getElementById(`facet-${field}`);
@@ -4590,6 +7259,7 @@ function setupControls() {
           const maxEl = facetDiv.querySelector('input[data-dating-range="max"]');
           if (minEl) minEl.value = "";
           if (maxEl) maxEl.value = "";
+          setDatingBasis(facetDiv, '');
           return;
         }
 
@@ -4607,6 +7277,11 @@ function setupControls() {
           return;
         }
 
+        if (DIMENSION_FACET_FIELDS[field]) {
+          facetDiv.querySelectorAll('input[data-dimension-range]').forEach(el => { el.value = ''; });
+          return;
+        }
+
         const allBox = facetDiv.querySelector('input[type=checkbox][value="__ALL__"]');
         if (allBox) {
           allBox.checked = true;
@@ -4616,11 +7291,21 @@ function setupControls() {
           });
         }
       });
+      BASKET_ONLY = false;
+      updateBasketControls();
       // Re-apply filters
       applyFacetFilters();
     });
   }
 
+  // Copy a link that reproduces the current search/facets/view.
+  const copyLinkBtn = document.getElementById("copy-link");
+  if (copyLinkBtn) {
+    copyLinkBtn.addEventListener("click", function() {
+      copyShareableLink(copyLinkBtn);
+    });
+  }
+
   // Search button logic
   const searchBtn = document.getElementById("search-btn");
   if (searchBtn) {
@@ -4684,6 +7369,20 @@ function setupControls() {
   } catch (e) {
     // ignore
   }
+  try {
+    TEXT_SORT = normalizeTableSort(JSON.parse(localStorage.getItem(TEXT_SORT_STORAGE_KEY) || '[]'));
+  } catch (e) {
+    TEXT_SORT = [];
+  }
+  try {
+    const buckets = localStorage.getItem(DATING_BUCKETS_STORAGE_KEY);
+    if (DATING_BUCKET_SIZES[buckets]) DATING_BUCKET = buckets;
+  } catch (e) {
+    // ignore
+  }
+
+  // A shared link takes precedence over locally saved settings.
+  applyUrlStateToControls(INITIAL_URL_STATE);
   if (mergedSortSelect) {
     const m = (MERGED_SORT_MODE === "dating") ? "dating" : "shelfmark";
     mergedSortSelect.value = m;
@@ -4704,8 +7403,8 @@ function setupControls() {
   // Restore view (if available), then initialize.
   if (viewSelect) {
     try {
-      const saved = localStorage.getItem(VIEW_STORAGE_KEY);
-      if (saved === "merged" || saved === "table") {
+      const saved = INITIAL_URL_STATE.view || localStorage.getItem(VIEW_STORAGE_KEY);
+      if (VIEW_NAMES.includes(saved)) {
         viewSelect.value = saved;
       }
     } catch (e) {
@@ -4739,6 +7438,7 @@ function setupControls() {
     } else {
       table.setPageSize(parseInt(value, 10));
     }
+    syncUrlState();
   });
 
   // PDF Download logic (Custom DOM Parsing for clickable links)
@@ -5160,9 +7860,1209 @@ function setupControls() {
   }
 }
 
+// Export of the current result set (file formats in export-formats.js and tei-export.js).
+const EXPORT_DERIVED_STORAGE_KEY = "nordiclaw.exportDerived";
+const EXPORT_DERIVED_FIELDS = ["DatingMinYear", "DatingMaxYear", "Century", "Main text group"];
+
+function getExportColumns() {
+  const full = Array.isArray(DISPLAY_COLUMNS) ? DISPLAY_COLUMNS : [];
+  return isManuscriptListView(currentView) ? getMergedVisibleColumnsArray(full) : getTableVisibleColumnsArray(full);
+}
+
+function formatExportValue(value) {
+  if (value === null || value === undefined) return "";
+  if (typeof value === 'number') return Number.isFinite(value) ? value : "";
+  return String(value);
+}
+
+// Manuscript-level value: distinct non-empty values of the manuscript's rows, in row order.
+function getManuscriptExportValue(rows, field) {
+  const nums = (field === "DatingMinYear" || field === "DatingMaxYear")
+    ? rows.map(r => r[field]).filter(y => typeof y === 'number' && Number.isFinite(y))
+    : null;
+  if (nums) {
+    if (!nums.length) return "";
+    return (field === "DatingMinYear") ? Math.min(...nums) : Math.max(...nums);
+  }
+
+  const seen = new Set();
+  const out = [];
+  for (const r of rows) {
+    const v = normalizeForCompare(r && r[field]);
+    if (!v || seen.has(v)) continue;
+    seen.add(v);
+    out.push(v);
+  }
+  return out.join("; ");
+}
+
+// Returns { headers, rows, sheetName } for what the current view shows (all pages).
+function buildExportTable(includeDerived) {
+  const columns = getExportColumns();
+  const derived = includeDerived ? EXPORT_DERIVED_FIELDS.filter(f => !columns.includes(f)) : [];
+  const fields = columns.concat(derived);
+  const headers = columns.map(getColumnTitle).concat(derived);
+
+  if (isManuscriptListView(currentView)) {
+    const manuscripts = Array.isArray(MERGED_FILTERED_MANUSCRIPTS) ? MERGED_FILTERED_MANUSCRIPTS : [];
+    const rows = manuscripts.map(ms => fields.map(f => formatExportValue(getManuscriptExportValue(ms.rows || [], f))));
+    return { headers, rows, sheetName: "Manuscripts" };
+  }
+
+  const data = (table && typeof table.getData === 'function') ? table.getData() : [];
+  const rows = data.map(r => fields.map(f => formatExportValue(r[f])));
+  return { headers, rows, sheetName: "Texts" };
+}
+
+function downloadBlob(blob, filename) {
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+async function exportResultSet(format, includeDerived) {
+  const date = new Date().toISOString().slice(0, 10);
+
+  if (format === 'tei') {
+    const xml = await buildTeiExport(await getExportManuscriptRefs(), 'NordicLaw manuscripts');
+    downloadBlob(new Blob([xml], { type: 'application/tei+xml;charset=utf-8' }), `nordiclaw-manuscripts-tei-${date}.xml`);
+    return;
+  }
+
+  const { headers, rows, sheetName } = buildExportTable(includeDerived);
+  const base = `nordiclaw-${sheetName.toLowerCase()}-${date}`;
+
+  if (format === 'xlsx') {
+    const bytes = buildXlsxWorkbook(headers, rows, sheetName);
+    downloadBlob(new Blob([bytes], { type: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet' }), `${base}.xlsx`);
+    return;
+  }
+
+  const delimiter = (format === 'tsv') ? '\t' : ',';
+  // BOM so Excel detects UTF-8 (Nordic characters) when opening the file directly.
+  const text = '\uFEFF' + buildDelimitedText(headers, rows, delimiter);
+  const type = (format === 'tsv') ? 'text/tab-separated-values' : 'text/csv';
+  downloadBlob(new Blob([text], { type: `${type};charset=utf-8` }), `${base}.${format === 'tsv' ? 'tsv' : 'csv'}`);
+}
+
+function setupExportControls() {
+  const menu = document.getElementById("export-menu");
+  const derivedBox = document.getElementById("export-derived");
+  if (!menu) return;
+
+  if (derivedBox) {
+    try { derivedBox.checked = localStorage.getItem(EXPORT_DERIVED_STORAGE_KEY) === "1"; } catch (e) {}
+    derivedBox.addEventListener("change", function() {
+      try { localStorage.setItem(EXPORT_DERIVED_STORAGE_KEY, derivedBox.checked ? "1" : "0"); } catch (e) {}
+    });
+  }
+
+  menu.addEventListener("click", function(ev) {
+    const btn = ev.target && ev.target.closest ? ev.target.closest("[data-export-format]") : null;
+    if (!btn) return;
+    exportResultSet(btn.getAttribute("data-export-format"), !!(derivedBox && derivedBox.checked)).catch(e => {
+      console.error('Export failed:', e);
+      alert('Export failed.');
+    });
+  });
+
+  const teiBtn = document.getElementById("download-ms-tei-btn");
+  if (teiBtn) {
+    teiBtn.addEventListener("click", async function() {
+      const { sourceId, msKey } = teiBtn.dataset;
+      if (!sourceId || !msKey) return;
+      try {
+        const xml = await buildTeiExport([{ sourceId, msKey }], 'NordicLaw manuscript description');
+        downloadBlob(new Blob([xml], { type: 'application/tei+xml;charset=utf-8' }), teiBtn.dataset.filename || 'manuscript.xml');
+      } catch (e) {
+        console.error('TEI export failed:', e);
+        alert('TEI export failed.');
+      }
+    });
+  }
+}
+
+// Data quality report: lists raw-row values the app cannot interpret (unknown codes,
+// unparsable ranges, broken links), each pointing to its manuscript and source row.
+const DATA_QUALITY_CHECKS = [
+  { id: "depository", column: "Depository", label: "Depository code not in depositories.tsv" },
+  { id: "main-text", column: "Main text", label: "Main text abbreviation cannot be expanded" },
+  { id: "minor-text", column: "Minor text", label: "Minor text abbreviation cannot be expanded" },
+  { id: "dating", column: "Dating", label: "Dating cannot be parsed" },
+  { id: "lines", column: "Lines", label: "Lines cannot be parsed" },
+  { id: "leaf-size", column: "Leaf size", label: "Leaf size has an implausible height/width proportion" },
+  { id: "links", column: "Links to Database", label: "Malformed Links to Database markdown" },
+];
+
+// Deliberate "no information" values; not reported as parse failures.
+const DATA_QUALITY_PLACEHOLDERS = new Set(["unknown", "none", "various"]);
+
+let DATA_QUALITY_ISSUES = null; // null => not scanned yet
+let DATA_QUALITY_FILTER = "";   // "" => all checks
+
+function isDataQualityPlaceholder(value) {
+  return DATA_QUALITY_PLACEHOLDERS.has(normalizeForCompare(value).toLowerCase());
+}
+
+// Main/Minor text cells mix codes ("RBHM 1306", "KrL (E)") with free-text descriptions
+// ("Legal formulas"); only code-like values are expected to have an expansion.
+function isAbbreviationLikeText(value) {
+  const base = parseTrailingParenSuffix(String(value || "").trim()).base || "";
+  const words = base.split(/\s+/).filter(Boolean);
+  if (!words.length) return false;
+  return words.length === 1 || /^[\p{Lu}\d]{2,}$/u.test(words[0]);
+}
+
+// Minor text codes are short section codes of a main text ("Krb", "KrbA", "þfb").
+// Ordinance sigla ("RBHM", "SVK 1247"), numbered or abbreviated words ("red.1",
+// "part.") and free text are not expected to be in the minor texts list.
+function isMinorTextCodeLike(value) {
+  const base = parseTrailingParenSuffix(String(value || "").trim()).base || "";
+  return /^\p{L}{2,5}$/u.test(base) && !/^\p{Lu}+$/u.test(base);
+}
+
+function findMalformedLinkParts(value) {
+  return splitLinksToDatabase(value).filter(p => {
+    const s = String(p).trim();
+    const m = s.match(_MD_LINK_RE);
+    if (m) return !/^https?:\/\/\S+$/i.test(m[2].trim());
+    if (/^https?:\/\/\S+$/i.test(s)) return false;
+    // Brackets or a URL that is not part of a complete [label](url) link.
+    return /[\[\]]/.test(s) || /https?:\/\//i.test(s);
+  });
+}
+
+function collectDataQualityIssues() {
+  const issues = [];
+  const depositoryMap = DEPOSITORY_MAP || {};
+  const mainMap = MAIN_TEXT_MAP || {};
+  const minorMap = MINOR_TEXT_MAP || {};
+  // Main texts the minor texts list has sections for; codes under other main texts cannot be checked.
+  const minorMainTexts = new Set(Object.keys(minorMap).map(k => k.split(MINOR_TEXT_KEY_SEP)[0]));
+
+  for (const [msKey, entry] of RAW_BY_MANUSCRIPT_KEY) {
+    const msRows = (entry && Array.isArray(entry.rows)) ? entry.rows : [];
+    const first = msRows[0] || {};
+
+    msRows.forEach((row, rowIndex) => {
+      const add = (check, value) => issues.push({
+        check,
+        msKey,
+        sourceId: entry.sourceId,
+        sourceRowIndex: row["__sourceRowIndex"],
+        depository: first["Depository_abbr"] || "",
+        shelfmark: first["Shelf mark"] || "",
+        value: String(value),
+      });
+
+      // Depository holds the expanded name when the code is known; otherwise the raw code.
+      if (normalizeForCompare(row["Depository"]) && !(row["Depository_abbr"] in depositoryMap)) {
+        add("depository", row["Depository_abbr"]);
+      }
+
+      for (const part of splitSemicolonList(row["Main text"])) {
+        if (!normalizeForCompare(part) || isDataQualityPlaceholder(part) || !isAbbreviationLikeText(part)) continue;
+        if (formatAbbrExpansion(mainMap, part) === part.trim()) add("main-text", part);
+      }
+
+      const minorParts = parseMinorTextTokens(row["Minor text"]);
+      if (minorParts.length) {
+        const mainCandidates = splitSemicolonList(getEffectiveValue(msRows, rowIndex, "Main text"))
+          .map(m => parseTrailingParenSuffix(m).base)
+          .filter(m => minorMainTexts.has(m));
+        for (const part of (mainCandidates.length ? minorParts : [])) {
+          if (isDataQualityPlaceholder(part) || !isMinorTextCodeLike(part)) continue;
+          if (formatMinorTextExpansion(minorMap, mainCandidates, part) === part.trim()) add("minor-text", part);
+        }
+      }
+
+      const dating = normalizeForCompare(row["Dating"]);
+      if (dating && !isDataQualityPlaceholder(dating) && !parseDatingRange(dating)) add("dating", dating);
+
+      const lines = normalizeForCompare(row["Lines"]);
+      if (lines && !isDataQualityPlaceholder(lines) && !parseLinesRange(lines)) add("lines", lines);
+
+      const leafSize = normalizeForCompare(row["Leaf size"]);
+      const dims = parseDimensions(leafSize);
+      if (dims && !isPlausibleDimensionsProportion(dims)) add("leaf-size", leafSize);
+
+      for (const part of findMalformedLinkParts(row["Links to Database"])) add("links", part);
+    });
+  }
+
+  const checkOrder = new Map(DATA_QUALITY_CHECKS.map((c, i) => [c.id, i]));
+  issues.sort((a, b) => (checkOrder.get(a.check) - checkOrder.get(b.check))
+    || compareText(a.sourceId, b.sourceId)
+    || (a.sourceRowIndex - b.sourceRowIndex));
+  return issues;
+}
+
+function renderDataQualityReport() {
+  const contentDiv = document.getElementById("data-quality-content");
+  if (!contentDiv) return;
+  const issues = Array.isArray(DATA_QUALITY_ISSUES) ? DATA_QUALITY_ISSUES : [];
+
+  const counts = new Map();
+  for (const it of issues) counts.set(it.check, (counts.get(it.check) || 0) + 1);
+
+  const filterBtn = (id, label, n) => {
+    const active = (DATA_QUALITY_FILTER === id);
+    return `<button type="button" class="btn btn-sm ${active ? "btn-secondary" : "btn-outline-secondary"}" data-dq-filter="${escapeHtml(id)}">`
+      + `${escapeHtml(label)} <span class="badge text-bg-light border">${n}</span></button>`;
+  };
+
+  let html = '<div class="d-flex flex-wrap gap-2 mb-3">';
+  html += filterBtn("", "All problems", issues.length);
+  for (const c of DATA_QUALITY_CHECKS) html += filterBtn(c.id, c.column, counts.get(c.id) || 0);
+  html += '</div>';
+
+  const shown = DATA_QUALITY_FILTER ? issues.filter(it => it.check === DATA_QUALITY_FILTER) : issues;
+  if (!shown.length) {
+    contentDiv.innerHTML = html + '<div class="text-secondary">No problems found.</div>';
+    return;
+  }
+
+  const checksById = new Map(DATA_QUALITY_CHECKS.map(c => [c.id, c]));
+  const srcById = new Map(RAW_EXCEL_SOURCES.map(s => [s.id, s]));
+  html += '<table class="table table-sm table-striped align-middle"><thead><tr>'
+    + '<th>Problem</th><th>Manuscript</th><th title="0-based data row index in the raw TSV (as in the merges JSON)">Source row</th><th>Value</th>'
+    + '</tr></thead><tbody>';
+  for (const it of shown) {
+    const check = checksById.get(it.check);
+    const src = srcById.get(it.sourceId);
+    const msLabel = [it.depository, it.shelfmark].filter(Boolean).join(" ");
+    html += '<tr>'
+      + `<td>${escapeHtml(check ? check.label : it.check)}</td>`
+      + `<td><a href="#" class="ms-open-details" data-ms-key="${escapeHtml(it.msKey)}" data-source-id="${escapeHtml(it.sourceId)}">${escapeHtml(msLabel)}</a></td>`
+      + `<td class="text-nowrap" title="${escapeHtml(src ? src.tsv : "")}">${escapeHtml(it.sourceId)} #${escapeHtml(it.sourceRowIndex)}</td>`
+      + `<td><code>${escapeHtml(it.value)}</code></td>`
+      + '</tr>';
+  }
+  html += '</tbody></table>';
+  contentDiv.innerHTML = html;
+}
+
+async function openDataQualityReport() {
+  const modalEl = document.getElementById("dataQualityModal");
+  const contentDiv = document.getElementById("data-quality-content");
+  if (!modalEl || !contentDiv) return;
+
+  const bs = window.bootstrap || (typeof bootstrap !== 'undefined' ? bootstrap : null);
+  if (bs && bs.Modal) bs.Modal.getOrCreateInstance(modalEl).show();
+
+  if (!Array.isArray(DATA_QUALITY_ISSUES)) {
+    contentDiv.innerHTML = '<div class="text-secondary">Scanning raw data…</div>';
+    try {
+      await Promise.all([ensureRawExcelLoaded(), loadDepositoryMap(), loadAbbreviationsMap(), loadMainTextMap()]);
+    } catch (e) {
+      // ignore; reported below
+    }
+    if (!RAW_EXCEL_LOADED) {
+      contentDiv.innerHTML = '<div class="text-danger">Raw data could not be loaded.</div>';
+      return;
+    }
+    DATA_QUALITY_ISSUES = collectDataQualityIssues();
+  }
+  renderDataQualityReport();
+}
+
+function setupDataQualityReport() {
+  const btn = document.getElementById("data-quality-btn");
+  const modalEl = document.getElementById("dataQualityModal");
+  const contentDiv = document.getElementById("data-quality-content");
+  if (!btn || !modalEl || !contentDiv) return;
+
+  btn.addEventListener("click", function() {
+    openDataQualityReport();
+  });
+
+  contentDiv.addEventListener("click", function(ev) {
+    const target = ev && ev.target ? ev.target : null;
+    if (!target || !target.closest) return;
+
+    const filter = target.closest("[data-dq-filter]");
+    if (filter) {
+      DATA_QUALITY_FILTER = filter.getAttribute("data-dq-filter") || "";
+      renderDataQualityReport();
+      return;
+    }
+
+    const link = target.closest("a.ms-open-details");
+    if (link) {
+      ev.preventDefault();
+      const msKey = link.getAttribute("data-ms-key") || "";
+      const sourceId = link.getAttribute("data-source-id") || "";
+      if (!msKey || msKey === "||" || !sourceId) return;
+      // Bootstrap modals do not stack; close the report before opening the manuscript.
+      const bs = window.bootstrap || (typeof bootstrap !== 'undefined' ? bootstrap : null);
+      if (bs && bs.Modal) bs.Modal.getOrCreateInstance(modalEl).hide();
+      openManuscriptDetailsModalByKey({ sourceId, msKey });
+    }
+  });
+}
+
+// Side-by-side comparison of 2-4 manuscripts, ticked next to their shelfmarks in the
+// Manuscript or Text View. Lines up the segments of each column and marks what differs.
+const COMPARE_MAX_MANUSCRIPTS = 4;
+const COMPARE_STORAGE_KEY = "nordiclaw.compare";
+const COMPARE_ONLY_DIFF_STORAGE_KEY = "nordiclaw.compareOnlyDiff";
+const COMPARE_COLUMNS = [
+  'Main text',
+  'Minor text',
+  'Dating',
+  'Material',
+  'Lines',
+  'Script',
+  'Scribe',
+  'Rubric',
+  'Style',
+  'Colours',
+  'Form of Initials',
+  'Size of Initials',
+  'Iconography',
+];
+// Compared item by item, so one extra text does not make the whole cell differ.
+const COMPARE_LIST_COLUMNS = new Set(['Main text', 'Minor text']);
+
+let COMPARE_SELECTION = []; // [{ sourceId, msKey }], in the order ticked
+
+function loadCompareSelection() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(COMPARE_STORAGE_KEY) || "[]");
+    if (Array.isArray(saved)) {
+      COMPARE_SELECTION = saved
+        .filter(it => it && typeof it.msKey === "string" && typeof it.sourceId === "string")
+        .slice(0, COMPARE_MAX_MANUSCRIPTS);
+    }
+  } catch (e) {}
+}
+
+function saveCompareSelection() {
+  try { localStorage.setItem(COMPARE_STORAGE_KEY, JSON.stringify(COMPARE_SELECTION)); } catch (e) {}
+}
+
+function isCompareSelected(msKey) {
+  return COMPARE_SELECTION.some(it => it.msKey === msKey);
+}
+
+function renderCompareToggleHtml(msKey, sourceId) {
+  if (!msKey || msKey === "||" || !sourceId) return "";
+  const checked = isCompareSelected(msKey);
+  const disabled = !checked && COMPARE_SELECTION.length >= COMPARE_MAX_MANUSCRIPTS;
+  return `<input type="checkbox" class="form-check-input ms-compare-toggle me-1" data-ms-key="${escapeHtml(msKey)}" data-source-id="${escapeHtml(sourceId)}" title="Select for comparison"${checked ? " checked" : ""}${disabled ? " disabled" : ""}>`;
+}
+
+function setCompareSelected(msKey, sourceId, on) {
+  COMPARE_SELECTION = COMPARE_SELECTION.filter(it => it.msKey !== msKey);
+  if (on && COMPARE_SELECTION.length < COMPARE_MAX_MANUSCRIPTS) COMPARE_SELECTION.push({ sourceId, msKey });
+  saveCompareSelection();
+  updateCompareControls();
+}
+
+// Button label and the checkboxes currently on screen (the same manuscript can appear on several Text View rows).
+function updateCompareControls() {
+  const n = COMPARE_SELECTION.length;
+  const btn = document.getElementById("compare-btn");
+  if (btn) {
+    btn.textContent = n ? `Compare (${n})` : "Compare";
+    btn.disabled = n < 2;
+  }
+  const clearBtn = document.getElementById("compare-clear");
+  if (clearBtn) clearBtn.style.display = n ? "" : "none";
+
+  const full = n >= COMPARE_MAX_MANUSCRIPTS;
+  document.querySelectorAll("input.ms-compare-toggle").forEach(input => {
+    const checked = isCompareSelected(input.getAttribute("data-ms-key") || "");
+    input.checked = checked;
+    input.disabled = full && !checked;
+  });
+}
+
+// Comparable values of one column: per segment, the lower-cased label or its list items.
+function getCompareSegments(ms, col) {
+  const byCol = ms && ms.segmentsByColumn ? ms.segmentsByColumn : null;
+  const segs = byCol && Array.isArray(byCol[col]) ? byCol[col] : [];
+  return segs
+    .filter(s => normalizeForCompare(s && s.label))
+    .map(s => {
+      const label = normalizeForCompare(s.label).replace(/\s+/g, " ");
+      const parts = COMPARE_LIST_COLUMNS.has(col) ? splitSemicolonList(label) : [label];
+      const locus = s.locus && s.locus.rendered ? normalizeRenderedLocus(String(s.locus.rendered)) : "";
+      return { locus, parts: parts.map(p => ({ text: p, key: p.toLowerCase() })) };
+    });
+}
+
+function buildCompareHtml(items) {
+  const head = items.map(({ ref, ms }) => {
+    const dep = expandDepositoryLabel(ms.Depository ? String(ms.Depository) : "");
+    const extent = computeManuscriptExtent(ms);
+    const extentText = extent && extent.rendered ? normalizeRenderedLocus(extent.rendered) : "";
+    const src = RAW_EXCEL_SOURCES.find(x => x.id === ref.sourceId) || null;
+    const language = src ? (LANGUAGE_MAP[src.lang] || src.name || "") : "";
+    return `<th class="compare-ms">
+      <a href="#" class="ms-open-details" data-ms-key="${escapeHtml(ref.msKey)}" data-source-id="${escapeHtml(ref.sourceId)}">${escapeHtml(ms.Shelfmark || ref.msKey)}</a>
+      <div class="small text-secondary fw-normal">${escapeHtml([dep, language, extentText].filter(Boolean).join(" — "))}</div>
+    </th>`;
+  }).join("");
+
+  const rows = [];
+  for (const col of COMPARE_COLUMNS) {
+    const perMs = items.map(({ ms }) => getCompareSegments(ms, col));
+    if (perMs.every(segs => !segs.length)) continue;
+
+    const keySets = perMs.map(segs => new Set(segs.flatMap(seg => seg.parts.map(p => p.key))));
+    const sameSet = (a, b) => a.size === b.size && Array.from(a).every(k => b.has(k));
+    const cellDiffers = keySets.map((set, i) => keySets.some((other, j) => j !== i && !sameSet(set, other)));
+    const rowDiffers = cellDiffers.some(Boolean);
+
+    const cells = perMs.map((segs, i) => {
+      const { ms } = items[i];
+      const others = keySets.filter((_, j) => j !== i);
+      const lines = segs.map(seg => {
+        const text = seg.parts.map(p => {
+          const html = escapeHtml(expandSegmentLabel(ms, col, p.text) || p.text);
+          // Items missing from any other manuscript are marked.
+          return others.every(set => set.has(p.key)) ? html : `<mark class="compare-diff-item">${html}</mark>`;
+        }).join("; ");
+        return `<div class="d-flex gap-2 mb-1">
+          <div class="text-secondary small text-nowrap" style="min-width: 80px;">${escapeHtml(seg.locus)}</div>
+          <div class="text-break flex-grow-1">${text}</div>
+        </div>`;
+      }).join("");
+      return `<td class="${cellDiffers[i] ? "compare-diff" : ""}">${lines || '<span class="text-secondary">—</span>'}</td>`;
+    }).join("");
+
+    rows.push(`<tr class="${rowDiffers ? "compare-differs" : "compare-same"}"><th class="text-secondary">${escapeHtml(getColumnTitle(col))}</th>${cells}</tr>`);
+  }
+
+  if (!rows.length) return '<div class="text-secondary">No data to compare.</div>';
+  return `
+    <table class="table table-sm table-bordered align-top compare-table">
+      <thead><tr><th style="width: 140px;"></th>${head}</tr></thead>
+      <tbody>${rows.join("")}</tbody>
+    </table>
+  `;
+}
+
+async function openCompareModal() {
+  const modalEl = document.getElementById("msCompareModal");
+  const contentDiv = document.getElementById("ms-compare-content");
+  if (!modalEl || !contentDiv) return;
+
+  await ensureSegmentsLoaded();
+  try { await loadDepositoryMap(); } catch (e) {}
+  if (SEGMENTS_FAILED) {
+    contentDiv.innerHTML = '<div class="text-danger">Segments data could not be loaded.</div>';
+  } else {
+    const items = [];
+    const missing = [];
+    for (const ref of COMPARE_SELECTION) {
+      const idx = SEGMENTS_INDEX_BY_SOURCE.get(ref.sourceId);
+      const ms = idx ? idx.get(ref.msKey) : null;
+      if (ms) items.push({ ref, ms });
+      else missing.push(ref.msKey.split("||").join(" "));
+    }
+    let html = "";
+    if (missing.length) html += `<div class="alert alert-warning py-1 small">No segments found for ${escapeHtml(missing.join(", "))}.</div>`;
+    html += items.length >= 2 ? buildCompareHtml(items) : '<div class="text-secondary">Select at least two manuscripts to compare.</div>';
+    contentDiv.innerHTML = html;
+  }
+
+  const bs = window.bootstrap || (typeof bootstrap !== 'undefined' ? bootstrap : null);
+  if (bs && bs.Modal) bs.Modal.getOrCreateInstance(modalEl).show();
+}
+
+function setupCompareControls() {
+  loadCompareSelection();
+  updateCompareControls();
+
+  const btn = document.getElementById("compare-btn");
+  if (btn) btn.addEventListener("click", function() { openCompareModal(); });
+
+  const clearBtn = document.getElementById("compare-clear");
+  if (clearBtn) {
+    clearBtn.addEventListener("click", function() {
+      COMPARE_SELECTION = [];
+      saveCompareSelection();
+      updateCompareControls();
+    });
+  }
+
+  document.addEventListener("change", function(ev) {
+    const input = ev && ev.target ? ev.target : null;
+    if (!input || !input.classList || !input.classList.contains("ms-compare-toggle")) return;
+    setCompareSelected(input.getAttribute("data-ms-key") || "", input.getAttribute("data-source-id") || "", input.checked);
+  });
+
+  const modalEl = document.getElementById("msCompareModal");
+  const contentDiv = document.getElementById("ms-compare-content");
+  const onlyDiff = document.getElementById("compare-only-diff");
+  if (onlyDiff && contentDiv) {
+    try { onlyDiff.checked = localStorage.getItem(COMPARE_ONLY_DIFF_STORAGE_KEY) === "1"; } catch (e) {}
+    contentDiv.classList.toggle("compare-only-diff", onlyDiff.checked);
+    onlyDiff.addEventListener("change", function() {
+      contentDiv.classList.toggle("compare-only-diff", onlyDiff.checked);
+      try { localStorage.setItem(COMPARE_ONLY_DIFF_STORAGE_KEY, onlyDiff.checked ? "1" : "0"); } catch (e) {}
+    });
+  }
+
+  if (contentDiv) {
+    contentDiv.addEventListener("click", function(ev) {
+      const link = ev.target && ev.target.closest ? ev.target.closest("a.ms-open-details") : null;
+      if (!link) return;
+      ev.preventDefault();
+      // Bootstrap modals do not stack; close the comparison before opening the manuscript.
+      const bs = window.bootstrap || (typeof bootstrap !== 'undefined' ? bootstrap : null);
+      if (bs && bs.Modal && modalEl) bs.Modal.getOrCreateInstance(modalEl).hide();
+      openManuscriptDetailsModalByKey({ sourceId: link.getAttribute("data-source-id") || "", msKey: link.getAttribute("data-ms-key") || "" });
+    });
+  }
+}
+
+// Research basket (local-store.js): manuscripts added from the Manuscript View, the
+// Text View or the manuscript modal, kept in IndexedDB across reloads. "Show only
+// basket" is one more filter on top of the facets and the search.
+const BASKET_FILTER_KEY = "Manuscript"; // facet document key holding the manuscript key
+let BASKET_ITEMS = []; // [{ msKey, sourceId, shelfmark, depository }], in basket order
+let BASKET_ONLY = false;
+let BASKET_STORAGE_FAILED = false;
+let BASKET_LOADING = null; // resolves once the stored basket has been read (or failed to)
+let BASKET_LOADED = false;
+let BASKET_KNOWN_KEYS = null; // { rows, keys: Set(msKey) } of the loaded data
+let BASKET_DRAG_KEY = null;
+
+function isInBasket(msKey) {
+  return BASKET_ITEMS.some(it => it.msKey === msKey);
+}
+
+function getBasketFilters() {
+  if (!BASKET_ONLY) return [];
+  return [{ type: 'values', facet: 'Basket', key: BASKET_FILTER_KEY, values: BASKET_ITEMS.map(it => it.msKey) }];
+}
+
+function renderBasketToggleHtml(msKey, sourceId) {
+  if (!msKey || msKey === "||" || !sourceId) return "";
+  const on = isInBasket(msKey);
+  return `<button type="button" class="btn btn-link btn-sm p-0 me-1 align-baseline text-decoration-none ms-basket-toggle" data-ms-key="${escapeHtml(msKey)}" data-source-id="${escapeHtml(sourceId)}" aria-pressed="${on}" title="${on ? "Remove from basket" : "Add to basket"}">${on ? "&#9733;" : "&#9734;"}</button>`;
+}
+
+function getBasketKnownKeys() {
+  const rows = Array.isArray(allRows) ? allRows : [];
+  if (!BASKET_KNOWN_KEYS || BASKET_KNOWN_KEYS.rows !== rows) {
+    BASKET_KNOWN_KEYS = { rows, keys: new Set(groupByPreserveOrder(rows, getManuscriptKey).map(m => m.key)) };
+  }
+  return BASKET_KNOWN_KEYS.keys;
+}
+
+// Replace the basket, store it and refresh everything that shows it.
+function setBasketItems(items) {
+  BASKET_ITEMS = items;
+  if (!BASKET_STORAGE_FAILED) {
+    saveBasketItems(BASKET_ITEMS).catch(e => console.warn("Failed to store the basket:", e));
+  }
+  updateBasketControls();
+  if (BASKET_ONLY) applyFacetFilters();
+}
+
+// Adds or removes one manuscript; `on` is what the clicked control asked for.
+function toggleBasketItem(msKey, sourceId, on) {
+  // Edits made while the stored basket is still being read would replace it.
+  if (!BASKET_LOADED && BASKET_LOADING) {
+    BASKET_LOADING.then(() => toggleBasketItem(msKey, sourceId, on));
+    return;
+  }
+  if (isInBasket(msKey) === !!on) return;
+  const rest = BASKET_ITEMS.filter(it => it.msKey !== msKey);
+  const item = normalizeBasketItem({ msKey, sourceId });
+  setBasketItems((on && item) ? rest.concat([item]) : rest);
+}
+
+function moveBasketItem(msKey, toIndex) {
+  const from = BASKET_ITEMS.findIndex(it => it.msKey === msKey);
+  if (from === -1) return;
+  const items = BASKET_ITEMS.slice();
+  const [item] = items.splice(from, 1);
+  items.splice(Math.max(0, Math.min(items.length, toIndex)), 0, item);
+  setBasketItems(items);
+}
+
+function setBasketOnly(on) {
+  BASKET_ONLY = !!on;
+  updateBasketControls();
+  applyFacetFilters();
+}
+
+function setBasketStatus(text) {
+  const el = document.getElementById("basket-status");
+  if (el) el.textContent = text || "";
+}
+
+function renderBasketPanel() {
+  const list = document.getElementById("basket-list");
+  if (!list) return;
+  if (!BASKET_ITEMS.length) {
+    list.innerHTML = '<li class="list-group-item text-secondary">The basket is empty. Add manuscripts with the &#9734; next to a shelfmark or from the manuscript details.</li>';
+    return;
+  }
+  const known = getBasketKnownKeys();
+  const last = BASKET_ITEMS.length - 1;
+  list.innerHTML = BASKET_ITEMS.map((it, i) => {
+    const dep = expandDepositoryLabel(it.depository);
+    const label = (known.has(it.msKey) && it.sourceId)
+      ? `<a href="#" class="ms-open-details" data-ms-key="${escapeHtml(it.msKey)}" data-source-id="${escapeHtml(it.sourceId)}">${escapeHtml(it.shelfmark)}</a>`
+      : `<span title="Not in the loaded data">${escapeHtml(it.shelfmark)}</span>`;
+    return `
+      <li class="list-group-item d-flex align-items-center gap-2" draggable="true" data-basket-key="${escapeHtml(it.msKey)}">
+        <div class="flex-grow-1 text-break">${label}<div class="small text-secondary">${escapeHtml(dep)}</div></div>
+        <div class="btn-group btn-group-sm">
+          <button type="button" class="btn btn-outline-secondary" data-basket-move="${i - 1}" title="Move up"${i === 0 ? " disabled" : ""}>&uarr;</button>
+          <button type="button" class="btn btn-outline-secondary" data-basket-move="${i + 1}" title="Move down"${i === last ? " disabled" : ""}>&darr;</button>
+          <button type="button" class="btn btn-outline-danger" data-basket-remove title="Remove from basket">&times;</button>
+        </div>
+      </li>
+    `;
+  }).join("");
+}
+
+// Toolbar button, the basket filter switch, the panel and the toggles currently on screen.
+function updateBasketControls() {
+  const n = BASKET_ITEMS.length;
+  const btn = document.getElementById("basket-btn");
+  if (btn) {
+    btn.textContent = n ? `Basket (${n})` : "Basket";
+    btn.classList.toggle("active", BASKET_ONLY);
+    btn.title = BASKET_ONLY ? "Showing only manuscripts in the basket" : "Manuscripts saved for this study";
+  }
+  const only = document.getElementById("basket-only");
+  if (only) only.checked = BASKET_ONLY;
+
+  document.querySelectorAll("button.ms-basket-toggle").forEach(el => {
+    const on = isInBasket(el.getAttribute("data-ms-key") || "");
+    el.innerHTML = on ? "&#9733;" : "&#9734;";
+    el.setAttribute("aria-pressed", String(on));
+    el.title = on ? "Remove from basket" : "Add to basket";
+  });
+
+  const modalBtn = document.getElementById("ms-basket-btn");
+  if (modalBtn && modalBtn.dataset.msKey) {
+    modalBtn.textContent = isInBasket(modalBtn.dataset.msKey) ? "Remove from basket" : "Add to basket";
+  }
+
+  renderBasketPanel();
+}
+
+async function importBasketFile(file) {
+  try {
+    if (BASKET_LOADING) await BASKET_LOADING;
+    const items = parseBasketJson(await file.text());
+    const have = new Set(BASKET_ITEMS.map(it => it.msKey));
+    const added = items.filter(it => !have.has(it.msKey));
+    setBasketItems(BASKET_ITEMS.concat(added));
+    const known = getBasketKnownKeys();
+    const unknown = added.filter(it => !known.has(it.msKey)).length;
+    let msg = `Imported ${added.length} of ${items.length} manuscripts`;
+    if (items.length > added.length) msg += ` (${items.length - added.length} already in the basket)`;
+    if (unknown) msg += `; ${unknown} not in the loaded data`;
+    setBasketStatus(msg + ".");
+  } catch (e) {
+    console.warn("Basket import failed:", e);
+    setBasketStatus(`Could not import ${file.name}: not a basket file.`);
+  }
+}
+
+function setupBasket() {
+  updateBasketControls();
+  BASKET_LOADING = loadBasketItems()
+    .then(items => {
+      BASKET_ITEMS = items;
+    })
+    .catch(e => {
+      BASKET_STORAGE_FAILED = true;
+      console.warn("Basket storage unavailable; the basket will not survive a reload:", e);
+      setBasketStatus("This browser does not allow storing the basket; it will be lost on reload.");
+    })
+    .then(() => {
+      BASKET_LOADED = true;
+      updateBasketControls();
+      if (BASKET_ONLY) applyFacetFilters();
+    });
+
+  // Stars in the Manuscript and Text View (rendered with the rows, so delegated).
+  document.addEventListener("click", function(ev) {
+    const el = ev.target && ev.target.closest ? ev.target.closest("button.ms-basket-toggle") : null;
+    if (!el) return;
+    ev.preventDefault();
+    const msKey = el.getAttribute("data-ms-key") || "";
+    toggleBasketItem(msKey, el.getAttribute("data-source-id") || "", !isInBasket(msKey));
+  });
+
+  const modalBtn = document.getElementById("ms-basket-btn");
+  if (modalBtn) {
+    modalBtn.addEventListener("click", function() {
+      const msKey = modalBtn.dataset.msKey || "";
+      if (msKey) toggleBasketItem(msKey, modalBtn.dataset.sourceId || "", !isInBasket(msKey));
+    });
+  }
+
+  const only = document.getElementById("basket-only");
+  if (only) only.addEventListener("change", function() { setBasketOnly(only.checked); });
+
+  const exportBtn = document.getElementById("basket-export");
+  if (exportBtn) {
+    exportBtn.addEventListener("click", function() {
+      const stamp = new Date().toISOString().slice(0, 10);
+      downloadBlob(new Blob([buildBasketJson(BASKET_ITEMS)], { type: "application/json" }), `nordiclaw-basket-${stamp}.json`);
+    });
+  }
+
+  const importInput = document.getElementById("basket-import");
+  if (importInput) {
+    importInput.addEventListener("change", function() {
+      const file = importInput.files && importInput.files[0];
+      importInput.value = "";
+      if (file) importBasketFile(file);
+    });
+  }
+
+  const clearBtn = document.getElementById("basket-clear");
+  if (clearBtn) {
+    clearBtn.addEventListener("click", function() {
+      if (!BASKET_ITEMS.length) return;
+      if (!window.confirm(`Remove all ${BASKET_ITEMS.length} manuscripts from the basket?`)) return;
+      setBasketItems([]);
+      setBasketStatus("");
+    });
+  }
+
+  const list = document.getElementById("basket-list");
+  const panel = document.getElementById("basket-panel");
+  if (!list) return;
+
+  list.addEventListener("click", function(ev) {
+    const target = ev && ev.target ? ev.target : null;
+    if (!target || !target.closest) return;
+    const li = target.closest("[data-basket-key]");
+    const msKey = li ? li.getAttribute("data-basket-key") || "" : "";
+
+    const move = target.closest("[data-basket-move]");
+    if (move && msKey) {
+      moveBasketItem(msKey, Number(move.getAttribute("data-basket-move")));
+      return;
+    }
+    if (target.closest("[data-basket-remove]") && msKey) {
+      toggleBasketItem(msKey, "", false);
+      return;
+    }
+
+    const link = target.closest("a.ms-open-details");
+    if (link) {
+      ev.preventDefault();
+      // Close the panel so it does not sit above the manuscript modal.
+      const bs = window.bootstrap || (typeof bootstrap !== 'undefined' ? bootstrap : null);
+      if (bs && bs.Offcanvas && panel) bs.Offcanvas.getOrCreateInstance(panel).hide();
+      openManuscriptDetailsModalByKey({ sourceId: link.getAttribute("data-source-id") || "", msKey: link.getAttribute("data-ms-key") || "" });
+    }
+  });
+
+  // Drag an item onto another one to move it there.
+  list.addEventListener("dragstart", function(ev) {
+    const li = ev.target && ev.target.closest ? ev.target.closest("[data-basket-key]") : null;
+    BASKET_DRAG_KEY = li ? li.getAttribute("data-basket-key") : null;
+    if (li && ev.dataTransfer) ev.dataTransfer.effectAllowed = "move";
+  });
+  list.addEventListener("dragover", function(ev) {
+    if (BASKET_DRAG_KEY) ev.preventDefault();
+  });
+  list.addEventListener("drop", function(ev) {
+    const li = ev.target && ev.target.closest ? ev.target.closest("[data-basket-key]") : null;
+    const key = BASKET_DRAG_KEY;
+    BASKET_DRAG_KEY = null;
+    if (!li || !key) return;
+    ev.preventDefault();
+    moveBasketItem(key, BASKET_ITEMS.findIndex(it => it.msKey === li.getAttribute("data-basket-key")));
+  });
+  list.addEventListener("dragend", function() { BASKET_DRAG_KEY = null; });
+}
+
+// Private annotations (local-store.js): a note, tags and a "checked against facsimile"
+// flag per manuscript, edited in the manuscript modal. Notes and tags are searchable
+// (also as notes:... and tags:...) and the tags make up the Tags facet.
+let ANNOTATIONS = new Map(); // msKey -> { msKey, note, tags, checked, updatedAt }
+let ANNOTATIONS_LOADING = null;
+let ANNOTATIONS_STORAGE_FAILED = false;
+let ANNOTATION_TAG_LABELS = null; // lower-case tag -> shown spelling; null => rebuild
+// A Tags selection from a shared link waits until the tags have loaded from IndexedDB.
+let ANNOTATION_TAGS_FROM_URL = (INITIAL_URL_STATE.facets && INITIAL_URL_STATE.facets['Tags']) || null;
+
+function ensureAnnotationsLoaded() {
+  if (ANNOTATIONS_LOADING) return ANNOTATIONS_LOADING;
+  ANNOTATIONS_LOADING = loadAnnotations()
+    .then(list => {
+      ANNOTATIONS = new Map(list.map(a => [a.msKey, a]));
+      ANNOTATION_TAG_LABELS = null;
+    })
+    .catch(e => {
+      ANNOTATIONS_STORAGE_FAILED = true;
+      console.warn("Annotation storage unavailable; notes will not survive a reload:", e);
+    });
+  return ANNOTATIONS_LOADING;
+}
+
+function getAnnotation(msKey) {
+  return ANNOTATIONS.get(msKey) || null;
+}
+
+function getAnnotationSearchValues(row, field) {
+  const a = getAnnotation(getManuscriptKey(row));
+  if (!a) return [];
+  if (field === "Notes") return [a.note];
+  if (field === "Tags") return a.tags.slice();
+  return [a.note].concat(a.tags);
+}
+
+// Tags are compared without regard to case; the first spelling seen is the one shown.
+function getAnnotationTagLabels() {
+  if (ANNOTATION_TAG_LABELS) return ANNOTATION_TAG_LABELS;
+  ANNOTATION_TAG_LABELS = new Map();
+  for (const a of ANNOTATIONS.values()) {
+    for (const t of a.tags) if (!ANNOTATION_TAG_LABELS.has(t.toLowerCase())) ANNOTATION_TAG_LABELS.set(t.toLowerCase(), t);
+  }
+  return ANNOTATION_TAG_LABELS;
+}
+
+function getAnnotationTagLabel(tag) {
+  return getAnnotationTagLabels().get(String(tag).toLowerCase()) || String(tag);
+}
+
+function getAnnotationTags() {
+  return Array.from(getAnnotationTagLabels().values()).sort(compareText);
+}
+
+// Tags facet; keeps the current selection when redrawn after an edit.
+function renderTagsFacet() {
+  const facetDiv = document.getElementById("facet-Tags");
+  if (!facetDiv) return;
+  let checked = Array.from(facetDiv.querySelectorAll('input[type=checkbox][data-facet="Tags"]'))
+    .filter(cb => cb.checked && cb.value !== "__ALL__")
+    .map(cb => cb.value);
+  const tags = getAnnotationTags();
+  if (!tags.length) {
+    facetDiv.innerHTML = '<div class="small text-secondary">No tags yet. Tag a manuscript under "My notes" in its details.</div>';
+    return;
+  }
+  if (ANNOTATION_TAGS_FROM_URL) {
+    checked = checked.concat(ANNOTATION_TAGS_FROM_URL);
+    ANNOTATION_TAGS_FROM_URL = null;
+  }
+  const selected = new Set(checked.map(getAnnotationTagLabel));
+  let html = `<div class="form-check mb-1"><input class="form-check-input" type="checkbox" value="__ALL__" data-facet="Tags" id="facet-Tags-all"${selected.size ? "" : " checked"}><label class="form-check-label" for="facet-Tags-all">All</label></div>`;
+  tags.forEach((tag, i) => {
+    const id = `facet-Tags-${i}`;
+    html += `<div class="form-check mb-1"><input class="form-check-input" type="checkbox" value="${escapeHtml(tag)}" data-facet="Tags" id="${id}"${selected.has(tag) ? " checked" : ""}><label class="form-check-label" for="${id}">${escapeHtml(tag)}</label></div>`;
+  });
+  facetDiv.innerHTML = html;
+}
+
+// Annotations are part of the facet documents (search, Tags). After editing one
+// manuscript only its documents are rebuilt, plus those of manuscripts whose tags
+// are now shown in another spelling; a load or import rebuilds them all.
+function refreshAfterAnnotationChange(msKey = null) {
+  const oldLabels = ANNOTATION_TAG_LABELS;
+  ANNOTATION_TAG_LABELS = null;
+  if (msKey && oldLabels) {
+    const relabelled = new Set();
+    for (const [lower, label] of getAnnotationTagLabels()) {
+      if (oldLabels.has(lower) && oldLabels.get(lower) !== label) relabelled.add(lower);
+    }
+    const msKeys = new Set([msKey]);
+    for (const [key, a] of ANNOTATIONS) {
+      if (a.tags.some(t => relabelled.has(t.toLowerCase()))) msKeys.add(key);
+    }
+    updateFacetEngineManuscripts(msKeys);
+  } else {
+    FACET_ENGINE_ROWS = null;
+  }
+  renderTagsFacet();
+  updateAnnotationControls();
+  applyFacetFilters();
+}
+
+function updateAnnotationControls() {
+  const count = document.getElementById("annotations-count");
+  if (count) {
+    const n = ANNOTATIONS.size;
+    count.textContent = n === 1 ? "1 annotated manuscript" : `${n} annotated manuscripts`;
+  }
+}
+
+function setAnnotation(msKey, fields) {
+  const a = normalizeAnnotation(Object.assign({ msKey }, fields, { updatedAt: new Date().toISOString() }));
+  if (!a) return null;
+  if (isEmptyAnnotation(a)) ANNOTATIONS.delete(msKey);
+  else ANNOTATIONS.set(msKey, a);
+  if (!ANNOTATIONS_STORAGE_FAILED) {
+    saveAnnotations([a]).catch(e => console.warn("Failed to store the annotation:", e));
+  }
+  refreshAfterAnnotationChange(msKey);
+  return a;
+}
+
+function formatAnnotationStatus(a) {
+  if (ANNOTATIONS_STORAGE_FAILED) return "Notes cannot be stored in this browser and will be lost on reload.";
+  if (!a || !a.updatedAt) return "Only stored in this browser.";
+  const d = new Date(a.updatedAt);
+  return `Saved ${Number.isNaN(d.getTime()) ? a.updatedAt : d.toLocaleString()} — only stored in this browser.`;
+}
+
+// Editable "My notes" section of the manuscript modal. It is not a `.mb-4` section,
+// so the modal's PDF export leaves the private notes out.
+function renderAnnotationSectionHtml(msKey) {
+  if (!msKey) return "";
+  const a = getAnnotation(msKey) || { note: "", tags: [], checked: false };
+  const tagOptions = getAnnotationTags().map(t => `<option value="${escapeHtml(t)}"></option>`).join("");
+  return `
+    <div class="ms-annotation border-top pt-3" data-ms-key="${escapeHtml(msKey)}">
+      <h5 class="mb-2">My notes</h5>
+      <div class="form-check mb-2">
+        <input class="form-check-input" type="checkbox" id="ms-annotation-checked" data-annotation="checked"${a.checked ? " checked" : ""}>
+        <label class="form-check-label" for="ms-annotation-checked">Checked against facsimile</label>
+      </div>
+      <label class="form-label small text-secondary mb-1" for="ms-annotation-tags">Tags (separated by commas)</label>
+      <input class="form-control form-control-sm mb-2" id="ms-annotation-tags" data-annotation="tags" list="ms-annotation-tag-list" value="${escapeHtml(a.tags.join(", "))}">
+      <datalist id="ms-annotation-tag-list">${tagOptions}</datalist>
+      <label class="form-label small text-secondary mb-1" for="ms-annotation-note">Note</label>
+      <textarea class="form-control form-control-sm" id="ms-annotation-note" data-annotation="note" rows="4">${escapeHtml(a.note)}</textarea>
+      <div class="small text-secondary mt-1" data-annotation-status>${escapeHtml(formatAnnotationStatus(getAnnotation(msKey)))}</div>
+    </div>
+  `;
+}
+
+// Save the modal's notes form (on change, i.e. when a field loses focus or the box is ticked).
+function saveAnnotationForm(form) {
+  const msKey = form.getAttribute("data-ms-key") || "";
+  const value = (name) => {
+    const el = form.querySelector(`[data-annotation="${name}"]`);
+    return el ? (el.type === "checkbox" ? el.checked : el.value) : "";
+  };
+  const a = setAnnotation(msKey, { note: value("note"), tags: value("tags"), checked: value("checked") });
+  const tagsEl = form.querySelector('[data-annotation="tags"]');
+  if (tagsEl && a) tagsEl.value = a.tags.join(", ");
+  const status = form.querySelector("[data-annotation-status]");
+  if (status) status.textContent = formatAnnotationStatus(getAnnotation(msKey));
+}
+
+async function importAnnotationsFile(file) {
+  const status = document.getElementById("annotations-status");
+  try {
+    const records = parseAnnotationsJson(await file.text());
+    // The more recently edited version of a manuscript's notes wins.
+    const accepted = records.filter(r => {
+      const have = getAnnotation(r.msKey);
+      return !have || !have.updatedAt || (r.updatedAt && r.updatedAt > have.updatedAt);
+    });
+    for (const a of accepted) ANNOTATIONS.set(a.msKey, a);
+    if (!ANNOTATIONS_STORAGE_FAILED && accepted.length) await saveAnnotations(accepted);
+    refreshAfterAnnotationChange();
+    let msg = `Imported notes for ${accepted.length} of ${records.length} manuscripts`;
+    if (records.length > accepted.length) msg += ` (${records.length - accepted.length} older than the notes here)`;
+    if (status) status.textContent = msg + ".";
+  } catch (e) {
+    console.warn("Annotation import failed:", e);
+    if (status) status.textContent = `Could not import ${file.name}: not an annotations file.`;
+  }
+}
+
+function setupAnnotations() {
+  ensureAnnotationsLoaded().then(() => {
+    updateAnnotationControls();
+    // Data loaded before the annotations still needs their tags and search values.
+    if (ANNOTATIONS.size && Array.isArray(allRows) && allRows.length) refreshAfterAnnotationChange();
+  });
+
+  const contentDiv = document.getElementById("ms-details-content");
+  if (contentDiv) {
+    contentDiv.addEventListener("change", function(ev) {
+      const form = ev.target && ev.target.closest ? ev.target.closest(".ms-annotation") : null;
+      if (form && ev.target.matches("[data-annotation]")) saveAnnotationForm(form);
+    });
+  }
+
+  const exportBtn = document.getElementById("annotations-export");
+  if (exportBtn) {
+    exportBtn.addEventListener("click", function() {
+      const stamp = new Date().toISOString().slice(0, 10);
+      const records = Array.from(ANNOTATIONS.values()).sort((a, b) => compareText(a.msKey, b.msKey));
+      downloadBlob(new Blob([buildAnnotationsJson(records)], { type: "application/json" }), `nordiclaw-notes-${stamp}.json`);
+    });
+  }
+
+  const importInput = document.getElementById("annotations-import");
+  if (importInput) {
+    importInput.addEventListener("change", function() {
+      const file = importInput.files && importInput.files[0];
+      importInput.value = "";
+      if (file) importAnnotationsFile(file);
+    });
+  }
+}
+
+// Offline copy (sw.js): the service worker precaches the app and every data file,
+// and the header shows whether the cached data still matches the server.
+const OFFLINE_SHARED_DATA_URLS = [
+  DATA_MANIFEST_URL,
+  'data/texts.tsv',
+  'data/abbreviations.tsv',
+  'data/depositories.tsv',
+  'data/bibliography.tsv',
+  GAZETTEER_URL,
+];
+
+function getOfflineDataUrls() {
+  const urls = [];
+  for (const src of RAW_EXCEL_SOURCES) {
+    for (const u of [src.tsv, src.merges, src.segments]) {
+      if (u && !urls.includes(u)) urls.push(u);
+    }
+  }
+  return [...urls, ...OFFLINE_SHARED_DATA_URLS];
+}
+
+// Segments JSON files may be absent; they are rebuilt from the cached raw TSV + merges.
+function isOptionalOfflineDataUrl(href) {
+  return RAW_EXCEL_SOURCES.some(src => src.segments && String(href || '').endsWith(src.segments));
+}
+
+function offlineCacheSupported() {
+  return ('serviceWorker' in navigator) && /^https?:$/.test(window.location.protocol);
+}
+
+async function postToServiceWorker(message) {
+  const reg = await navigator.serviceWorker.ready;
+  const target = navigator.serviceWorker.controller || (reg && reg.active);
+  if (!target) throw new Error('No active service worker');
+  return new Promise((resolve, reject) => {
+    const channel = new MessageChannel();
+    channel.port1.onmessage = (e) => {
+      const data = e.data || {};
+      if (data.type === 'error') reject(new Error(data.message || 'Service worker error'));
+      else resolve(data.status || null);
+    };
+    target.postMessage(message, [channel.port2]);
+  });
+}
+
+function formatOfflineCachedAt(ms) {
+  if (typeof ms !== 'number' || !Number.isFinite(ms)) return '';
+  try {
+    return new Date(ms).toLocaleString();
+  } catch (e) {
+    return new Date(ms).toISOString();
+  }
+}
+
+function renderOfflineStatus(status) {
+  const el = document.getElementById('offline-status');
+  if (!el) return;
+  if (!status) {
+    el.classList.add('d-none');
+    el.innerHTML = '';
+    return;
+  }
+  el.classList.remove('d-none');
+
+  const when = formatOfflineCachedAt(status.cachedAt);
+  const missing = Array.isArray(status.missing) ? status.missing.filter(href => !isOptionalOfflineDataUrl(href)).length : 0;
+  const details = [
+    when ? `Data cached ${when}` : '',
+    missing ? `${missing} file(s) not available offline` : '',
+  ].filter(Boolean).join('. ');
+
+  let badgeClass = 'text-bg-light border';
+  let label = 'Checking offline copy…';
+  if (status.state === 'fresh') {
+    badgeClass = 'text-bg-success';
+    label = 'Offline copy up to date';
+  } else if (status.state === 'stale') {
+    badgeClass = 'text-bg-warning';
+    label = 'Cached data is stale';
+  } else if (status.state === 'offline') {
+    badgeClass = 'text-bg-secondary';
+    label = when ? `Offline: data cached ${when}` : 'Offline';
+  } else if (status.state === 'updating') {
+    label = 'Updating offline copy…';
+  }
+
+  const updateBtn = (status.state === 'stale')
+    ? ' <button type="button" class="btn btn-sm btn-outline-secondary py-0 ms-1 align-baseline" data-offline-action="update">Update</button>'
+    : '';
+  el.innerHTML = `<span class="badge ${badgeClass}" title="${escapeHtml(details)}">${escapeHtml(label)}</span>${updateBtn}`;
+}
+
+async function checkOfflineCache() {
+  try {
+    await loadDataManifest();
+    renderOfflineStatus(await postToServiceWorker({ type: 'check-data', urls: getOfflineDataUrls() }));
+  } catch (e) {
+    console.warn('Offline cache check failed:', e);
+    renderOfflineStatus(null);
+  }
+}
+
+async function updateOfflineCache() {
+  renderOfflineStatus({ state: 'updating' });
+  try {
+    await loadDataManifest();
+    await postToServiceWorker({ type: 'refresh-data', urls: getOfflineDataUrls() });
+    // Reload so the page uses the data that is now cached.
+    window.location.reload();
+  } catch (e) {
+    console.warn('Offline cache update failed:', e);
+    checkOfflineCache();
+  }
+}
+
+function setupOfflineCache() {
+  if (!offlineCacheSupported()) return;
+
+  const el = document.getElementById('offline-status');
+  if (el) {
+    el.addEventListener('click', function (e) {
+      const btn = e.target && e.target.closest ? e.target.closest('[data-offline-action="update"]') : null;
+      if (btn) updateOfflineCache();
+    });
+  }
+
+  renderOfflineStatus({ state: 'checking' });
+  navigator.serviceWorker.register('sw.js').then(() => {
+    checkOfflineCache();
+  }).catch(e => {
+    console.warn('Service worker registration failed:', e);
+    renderOfflineStatus(null);
+  });
+
+  window.addEventListener('online', checkOfflineCache);
+  window.addEventListener('offline', checkOfflineCache);
+}
+
 // Check if Bootstrap is loaded
 if (typeof bootstrap === 'undefined' && !window.bootstrap) {
   console.error("Bootstrap 5 is not loaded! Modal will not work.");
 }
 
 setupControls();
+setupExportControls();
+setupTimelineView();
+setupMapView();
+setupBibliographyView();
+setupRelationsView();
+setupSizesView();
+setupDataQualityReport();
+setupCompareControls();
+setupBasket();
+setupAnnotations();
+setupOfflineCache();
@@ -0,0 +1,287 @@
+// TEI P5 export: one <msDesc> per manuscript, wrapped in a TEI document.
+//
+// This file has no DOM dependencies; it uses escapeXmlText() from export-formats.js.
+// table.js prepares plain manuscript records
+// (see buildTeiManuscriptRecord() there):
+//   {
+//     id, settlement, repository, idno, msName, object,
+//     language: { code, name },
+//     extent,                       // overall locus, e.g. "ff. 1r-23r"
+//     columns: { [column]: [segment] },
+//     links: [{ label, url }],
+//   }
+// where a segment is { label, parts: [{ key, text }], locus: { from, to, text } | null,
+// startRow, endRow } and Dating segments also carry range: { min, max } | null.
+
+const TEI_NS = 'http://www.tei-c.org/ns/1.0';
+
+// Columns rendered as <layout>, <handNote> and <decoNote> elements, with their @type.
+const TEI_LAYOUT_COLUMNS = ['Columns', 'Lines', 'Ruling', 'Pricking'];
+const TEI_HAND_COLUMNS = { 'Script': 'script', 'Scribe': 'scribe' };
+const TEI_DECO_COLUMNS = {
+  'Rubric': 'rubrication',
+  'Style': 'style',
+  'Colours': 'colours',
+  'Form of Initials': 'initialForm',
+  'Size of Initials': 'initialSize',
+  'Iconography': 'iconography',
+  'Place': 'placement',
+};
+
+// attrs: { name: value }; empty values are left out.
+function teiElement(name, attrs, content) {
+  const a = Object.keys(attrs || {})
+    .filter(k => attrs[k] !== null && attrs[k] !== undefined && String(attrs[k]) !== '')
+    .map(k => ` ${k}="${escapeXmlText(attrs[k])}"`)
+    .join('');
+  const body = (content === null || content === undefined) ? '' : String(content);
+  return body ? `<${name}${a}>${body}</${name}>` : `<${name}${a}/>`;
+}
+
+// Valid xml:id from arbitrary text ("AMS||AM 286 fol." -> "ms-AMS-AM-286-fol").
+function toTeiId(text) {
+  const slug = String(text || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/[^A-Za-z0-9._-]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+  return 'ms-' + (slug || 'unknown');
+}
+
+function getTeiSegments(record, column) {
+  const cols = record && record.columns ? record.columns : {};
+  const segs = Array.isArray(cols[column]) ? cols[column] : [];
+  return segs.filter(s => s && String(s.label || '').trim());
+}
+
+function buildTeiLocus(locus) {
+  if (!locus || !locus.text) return '';
+  return teiElement('locus', { from: locus.from, to: locus.to }, escapeXmlText(locus.text));
+}
+
+// A locus only adds information when the column is split over several segments.
+function buildTeiSegmentContent(seg, withLocus) {
+  const locus = withLocus ? buildTeiLocus(seg.locus) : '';
+  return (locus ? locus + ' ' : '') + escapeXmlText(seg.label);
+}
+
+function segmentContains(outer, inner) {
+  return Number.isFinite(outer.startRow) && Number.isFinite(outer.endRow)
+    && Number.isFinite(inner.startRow) && Number.isFinite(inner.endRow)
+    && inner.startRow >= outer.startRow && inner.endRow <= outer.endRow;
+}
+
+function buildTeiMsItem(seg, n, type, children) {
+  const titles = (Array.isArray(seg.parts) && seg.parts.length ? seg.parts : [{ key: seg.label, text: seg.label }])
+    .map(p => teiElement('title', { type, key: p.key }, escapeXmlText(p.text)))
+    .join('');
+  return teiElement('msItem', { n }, buildTeiLocus(seg.locus) + titles + (children || ''));
+}
+
+// Main texts become top-level items; minor texts nest inside the main text whose rows contain them.
+function buildTeiMsContents(record) {
+  const mains = getTeiSegments(record, 'Main text');
+  const minors = getTeiSegments(record, 'Minor text');
+  const used = new Set();
+
+  const items = mains.map((main, i) => {
+    const nested = minors
+      .filter(m => !used.has(m) && segmentContains(main, m))
+      .map((m, j) => {
+        used.add(m);
+        return buildTeiMsItem(m, `${i + 1}.${j + 1}`, 'minor', '');
+      })
+      .join('');
+    return buildTeiMsItem(main, String(i + 1), 'main', nested);
+  });
+
+  let n = mains.length;
+  for (const m of minors) {
+    if (used.has(m)) continue;
+    n += 1;
+    items.push(buildTeiMsItem(m, String(n), 'minor', ''));
+  }
+
+  const lang = record.language || {};
+  const textLang = lang.name ? teiElement('textLang', { mainLang: lang.code }, escapeXmlText(lang.name)) : '';
+  if (!textLang && !items.length) return '';
+  return teiElement('msContents', null, textLang + items.join(''));
+}
+
+// "425x285", "ca. 245x168", "270x200x50" (height x width [x depth], mm).
+function buildTeiDimensions(text, type) {
+  const s = String(text || '');
+  const m = s.match(/(\d+(?:[.,]\d+)?)\s*[x\u00d7]\s*(\d+(?:[.,]\d+)?)(?:\s*[x\u00d7]\s*(\d+(?:[.,]\d+)?))?/);
+  if (!m) return '';
+  const num = (v) => String(v).replace(',', '.');
+  const parts = teiElement('height', { quantity: num(m[1]) }, escapeXmlText(m[1]))
+    + teiElement('width', { quantity: num(m[2]) }, escapeXmlText(m[2]))
+    + (m[3] ? teiElement('depth', { quantity: num(m[3]) }, escapeXmlText(m[3])) : '');
+  const precision = /\b(?:ca|c)\.?\s/i.test(s) ? 'low' : '';
+  return teiElement('dimensions', { type, unit: 'mm', precision }, parts);
+}
+
+function getTeiMaterialCode(labels) {
+  const codes = new Set();
+  for (const l of labels) {
+    const s = String(l || '').toLowerCase();
+    if (s.includes('parchment') || s.includes('vellum')) codes.add('perg');
+    if (s.includes('paper')) codes.add('chart');
+  }
+  if (codes.size > 1) return 'mixed';
+  return codes.size ? Array.from(codes)[0] : '';
+}
+
+function buildTeiSupportDesc(record) {
+  const material = getTeiSegments(record, 'Material');
+  const support = material.length
+    ? teiElement('support', null, material.map(s => buildTeiSegmentContent(s, material.length > 1)).join('; '))
+    : '';
+
+  const dims = [];
+  for (const [col, type] of [['Leaf size', 'leaf'], ['Full size', 'binding']]) {
+    for (const s of getTeiSegments(record, col)) {
+      const d = buildTeiDimensions(s.label, type);
+      if (d) dims.push(d);
+    }
+  }
+  const extentText = record.extent ? escapeXmlText(record.extent) : '';
+  const extent = (extentText || dims.length) ? teiElement('extent', null, [extentText].concat(dims).filter(Boolean).join(' ')) : '';
+
+  const collationParts = [];
+  for (const [col, label] of [['Gatherings', 'Gatherings'], ['Catch Words and Gatherings', 'Catchwords and signatures'], ['Production Unit', 'Production units']]) {
+    const segs = getTeiSegments(record, col);
+    if (!segs.length) continue;
+    collationParts.push(teiElement('p', null, `${escapeXmlText(label)}: ${segs.map(s => buildTeiSegmentContent(s, segs.length > 1)).join('; ')}`));
+  }
+  const collation = collationParts.length ? teiElement('collation', null, collationParts.join('')) : '';
+
+  if (!support && !extent && !collation) return '';
+  return teiElement('supportDesc', { material: getTeiMaterialCode(material.map(s => s.label)) }, support + extent + collation);
+}
+
+function buildTeiLayoutDesc(record) {
+  const layouts = [];
+  for (const col of TEI_LAYOUT_COLUMNS) {
+    const segs = getTeiSegments(record, col);
+    for (const s of segs) {
+      const num = /^\s*(\d+)\s*$/.exec(String(s.label));
+      const attrs = {};
+      if (num && col === 'Columns') attrs.columns = num[1];
+      if (num && col === 'Lines') attrs.writtenLines = num[1];
+      layouts.push(teiElement('layout', attrs, `${escapeXmlText(col)}: ${buildTeiSegmentContent(s, segs.length > 1)}`));
+    }
+  }
+  return layouts.length ? teiElement('layoutDesc', null, layouts.join('')) : '';
+}
+
+function buildTeiNotes(record, columnTypes, elementName) {
+  const notes = [];
+  for (const col of Object.keys(columnTypes)) {
+    const segs = getTeiSegments(record, col);
+    for (const s of segs) {
+      notes.push(teiElement(elementName, { type: columnTypes[col] }, buildTeiSegmentContent(s, segs.length > 1)));
+    }
+  }
+  return notes;
+}
+
+function buildTeiPhysDesc(record) {
+  const supportDesc = buildTeiSupportDesc(record);
+  const layoutDesc = buildTeiLayoutDesc(record);
+  const objectDesc = (supportDesc || layoutDesc || record.object)
+    ? teiElement('objectDesc', { form: String(record.object || '').trim().toLowerCase() }, supportDesc + layoutDesc)
+    : '';
+
+  const hands = buildTeiNotes(record, TEI_HAND_COLUMNS, 'handNote');
+  const handDesc = hands.length ? teiElement('handDesc', null, hands.join('')) : '';
+
+  const decos = buildTeiNotes(record, TEI_DECO_COLUMNS, 'decoNote');
+  const decoDesc = decos.length ? teiElement('decoDesc', null, decos.join('')) : '';
+
+  if (!objectDesc && !handDesc && !decoDesc) return '';
+  return teiElement('physDesc', null, objectDesc + handDesc + decoDesc);
+}
+
+function buildTeiHistory(record) {
+  const dating = getTeiSegments(record, 'Dating');
+  const places = getTeiSegments(record, 'Production');
+
+  const parts = [];
+  for (const s of dating) {
+    const range = s.range || null;
+    const locus = dating.length > 1 ? buildTeiLocus(s.locus) : '';
+    parts.push((locus ? locus + ' ' : '') + teiElement('origDate', {
+      notBefore: range ? String(range.min).padStart(4, '0') : '',
+      notAfter: range ? String(range.max).padStart(4, '0') : '',
+    }, escapeXmlText(s.label)));
+  }
+  for (const s of places) {
+    const locus = places.length > 1 ? buildTeiLocus(s.locus) : '';
+    parts.push((locus ? locus + ' ' : '') + teiElement('origPlace', null, escapeXmlText(s.label)));
+  }
+
+  if (!parts.length) return '';
+  return teiElement('history', null, teiElement('origin', null, parts.join('; ')));
+}
+
+function buildTeiAdditional(record) {
+  const related = getTeiSegments(record, 'Related Shelfmarks');
+  const adminInfo = related.length
+    ? teiElement('adminInfo', null, teiElement('note', { type: 'relatedShelfmarks' }, related.map(s => escapeXmlText(s.label)).join('; ')))
+    : '';
+
+  const bibls = [];
+  for (const s of getTeiSegments(record, 'Literature')) {
+    const parts = Array.isArray(s.parts) && s.parts.length ? s.parts : [{ text: s.label }];
+    for (const p of parts) bibls.push(teiElement('bibl', null, escapeXmlText(p.text)));
+  }
+  for (const link of (Array.isArray(record.links) ? record.links : [])) {
+    const label = escapeXmlText(link.label || link.url);
+    bibls.push(teiElement('bibl', { type: 'database' }, link.url ? teiElement('ref', { target: link.url }, label) : label));
+  }
+  const listBibl = bibls.length ? teiElement('listBibl', null, bibls.join('')) : '';
+
+  if (!adminInfo && !listBibl) return '';
+  return teiElement('additional', null, adminInfo + listBibl);
+}
+
+function buildTeiMsDesc(record) {
+  const msIdentifier = teiElement('msIdentifier', null,
+    (record.settlement ? teiElement('settlement', null, escapeXmlText(record.settlement)) : '')
+    + (record.repository ? teiElement('repository', null, escapeXmlText(record.repository)) : '')
+    + teiElement('idno', { type: 'shelfmark' }, escapeXmlText(record.idno || ''))
+    + (record.msName ? teiElement('msName', null, escapeXmlText(record.msName)) : ''));
+
+  return teiElement('msDesc', { 'xml:id': record.id || toTeiId(record.idno), 'xml:lang': 'en' },
+    msIdentifier
+    + buildTeiMsContents(record)
+    + buildTeiPhysDesc(record)
+    + buildTeiHistory(record)
+    + buildTeiAdditional(record));
+}
+
+// Full TEI document; every record becomes an <msDesc> in the sourceDesc.
+function buildTeiDocument(records, title) {
+  const list = Array.isArray(records) ? records : [];
+  // xml:id values must be unique within the document.
+  const usedIds = new Set();
+  const descs = list.map(r => {
+    const base = r.id || toTeiId(r.idno);
+    let id = base;
+    for (let n = 2; usedIds.has(id); n++) id = `${base}-${n}`;
+    usedIds.add(id);
+    return buildTeiMsDesc(Object.assign({}, r, { id }));
+  });
+  const date = new Date().toISOString().slice(0, 10);
+  const header = teiElement('teiHeader', null,
+    teiElement('fileDesc', null,
+      teiElement('titleStmt', null, teiElement('title', null, escapeXmlText(title || 'NordicLaw manuscripts')))
+      + teiElement('publicationStmt', null, teiElement('p', null, `Exported from the NordicLaw catalogue on ${teiElement('date', { when: date }, date)}.`))
+      + teiElement('sourceDesc', null, descs.length ? descs.join('\n') : teiElement('p', null, 'No manuscripts.'))));
+
+  return '<?xml version="1.0" encoding="UTF-8"?>\n'
+    + `<TEI xmlns="${TEI_NS}">\n${header}\n`
+    + teiElement('text', null, teiElement('body', null, teiElement('p', null, ''))) + '\n'
+    + '</TEI>\n';
+}